@@ -9,16 +9,30 @@
  * - Text input for speech generation
  * - Model selection
  * - Audio playback
- * - History management with localStorage
+ * - History management with IndexedDB
  * - Responsive UI with Deepgram design system
  *
  * Architecture:
  * - Pure vanilla JavaScript (no frameworks required)
- * - Uses native Fetch API for HTTP requests
- * - LocalStorage for history persistence
+ * - Requests, sessions and history go through TextToSpeechClient (tts-client.js)
+ * - IndexedDB for history persistence (audio stored as raw Blobs)
  * - Event-driven UI updates
  */
 
+import {
+  OUTPUT_FORMATS,
+  TextToSpeechClient,
+  decodeAudioBlob,
+  decodePcmSamples,
+  encodeWav,
+  getAudioContext,
+  getRawPcmFormat,
+  isAbortError,
+  isDecodablePcm,
+  readWavInfo,
+  splitTextIntoChunks,
+} from "./tts-client.js";
+
 // ============================================================================
 // CONFIGURATION - Customize these values for your needs
 // ============================================================================
@@ -40,53 +54,233 @@ const METADATA_ENDPOINT = "api/metadata";
 const SESSION_ENDPOINT = "api/session";
 
 /**
- * Cached session token (JWT)
+ * API endpoint for the voice catalog
+ * Returns the available text-to-speech models (Deepgram /v1/models format)
  */
-let sessionToken = null;
+const MODELS_ENDPOINT = "api/models";
 
 /**
- * Fetches a session token from the backend.
- * Caches the token for subsequent requests.
- * @returns {Promise<string>} JWT token
+ * Maximum number of history entries to keep
+ * Oldest entries are evicted first once this is exceeded
  */
-async function getSessionToken() {
-  if (sessionToken) return sessionToken;
-  const response = await fetch(SESSION_ENDPOINT);
-  if (!response.ok) throw new Error(`Session failed: ${response.status}`);
-  const data = await response.json();
-  sessionToken = data.token;
-  return sessionToken;
-}
+const MAX_HISTORY_ENTRIES = 50;
 
 /**
- * Wraps fetch with Authorization header. Shows session-expired message on 401.
- * @param {string} url - The URL to fetch
- * @param {Object} options - Fetch options
- * @returns {Promise<Response>}
+ * History bundles (ZIP of audio plus manifest.json) written by
+ * exportHistoryBundle(); bump the version when the manifest changes shape
  */
-async function authenticatedFetch(url, options = {}) {
-  const token = await getSessionToken();
-  const headers = { ...options.headers, Authorization: `Bearer ${token}` };
-  const response = await fetch(url, { ...options, headers });
-  if (response.status === 401) {
-    sessionToken = null;
-    showError("Session expired, please refresh the page.");
-    throw new Error("Session expired");
-  }
-  return response;
-}
+const HISTORY_BUNDLE_FORMAT = "deepgram-text-to-speech-history";
+const HISTORY_BUNDLE_VERSION = 1;
+
+/**
+ * Sort orders offered by the full history view
+ */
+const HISTORY_SORTS = {
+  newest: "Newest first",
+  oldest: "Oldest first",
+  pinned: "Pinned first",
+  longest: "Longest text",
+  largest: "Largest audio",
+  model: "Voice",
+};
+
+/**
+ * Maximum total size (in bytes) of audio kept in history
+ * Oldest entries are evicted first once this is exceeded
+ */
+const MAX_HISTORY_BYTES = 250 * 1024 * 1024;
+
+/**
+ * Free space (in bytes) to leave in the browser's storage quota
+ * When navigator.storage.estimate() reports less than this remaining,
+ * the oldest entries are evicted until the reserve is restored
+ */
+const HISTORY_STORAGE_RESERVE_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Maximum characters sent in a single text-to-speech request
+ * Longer text is split at paragraph and sentence boundaries into chunks
+ * of at most this size, synthesized separately, and joined back together
+ */
+const MAX_CHUNK_CHARACTERS = 2000;
+
+/**
+ * Maximum number of chunk requests in flight at the same time
+ */
+const CHUNK_CONCURRENCY = 2;
+
+/**
+ * Start playing audio while it is still being generated
+ * Set to false to always wait for the complete file before playback
+ */
+const STREAMING_PLAYBACK = true;
+
+/**
+ * Seconds of audio buffered ahead before streamed PCM starts playing
+ * Larger values are more tolerant of network jitter but start later
+ */
+const STREAMING_PCM_LEAD_SECONDS = 0.15;
+
+/**
+ * Built-in voices, used until the voice catalog loads or if it fails to load
+ * Add entries here to offer more voices without a models endpoint
+ */
+const DEFAULT_VOICES = [
+  { id: "aura-2-thalia-en", name: "Thalia", gender: "Female", accent: "American", language: "en", architecture: "aura-2" },
+  { id: "aura-2-theia-en", name: "Theia", gender: "Female", accent: "Australian", language: "en", architecture: "aura-2" },
+  { id: "aura-2-andromeda-en", name: "Andromeda", gender: "Female", accent: "American", language: "en", architecture: "aura-2" },
+  { id: "aura-2-amalthea-en", name: "Amalthea", gender: "Female", accent: "Filipina", language: "en", architecture: "aura-2" },
+  { id: "aura-2-delia-en", name: "Delia", gender: "Female", accent: "American", language: "en", architecture: "aura-2" },
+  { id: "aura-2-helena-en", name: "Helena", gender: "Female", accent: "American", language: "en", architecture: "aura-2" },
+  { id: "aura-2-draco-en", name: "Draco", gender: "Male", accent: "British", language: "en", architecture: "aura-2" },
+  { id: "aura-2-apollo-en", name: "Apollo", gender: "Male", accent: "American", language: "en", architecture: "aura-2" },
+  { id: "aura-2-aries-en", name: "Aries", gender: "Male", accent: "American", language: "en", architecture: "aura-2" },
+  { id: "aura-2-hyperion-en", name: "Hyperion", gender: "Male", accent: "Australian", language: "en", architecture: "aura-2" },
+  { id: "aura-2-arcas-en", name: "Arcas", gender: "Male", accent: "American", language: "en", architecture: "aura-2" },
+];
+
+/**
+ * LocalStorage key for the last chosen voice
+ */
+const VOICE_STORAGE_KEY = "deepgram_text_to_speech_voice";
+
+/**
+ * URL hash parameter that carries a share link's payload
+ */
+const SHARE_HASH_KEY = "share";
+
+/**
+ * Text spoken by voice previews when the catalog has no sample audio
+ * {name} is replaced with the voice name
+ */
+const VOICE_PREVIEW_TEXT = "Hi, I'm {name}. This is what my voice sounds like.";
+
+/**
+ * Maximum number of voices in one side-by-side comparison
+ * Every voice is requested at the same time, so keep this modest
+ */
+const MAX_COMPARE_VOICES = 6;
+
+/**
+ * LocalStorage key for pronunciation lexicon rules
+ */
+const LEXICON_STORAGE_KEY = "deepgram_text_to_speech_lexicon";
+
+/**
+ * Price per 1,000 characters in USD, by model prefix (see getModelPrice)
+ * Used for cost estimates and budgets only; update it to match your plan.
+ * Models without a matching prefix are counted but not priced.
+ */
+const PRICE_PER_1K_CHARACTERS = {
+  "aura-2": 0.03,
+  aura: 0.015,
+};
+
+/**
+ * LocalStorage key for the usage ledger and budgets, and how many days
+ * of usage to keep
+ */
+const USAGE_STORAGE_KEY = "deepgram_text_to_speech_usage";
+const USAGE_RETENTION_DAYS = 400;
+
+/**
+ * Script markup pauses (see parseMarkup)
+ * A blank line between paragraphs inserts PARAGRAPH_PAUSE_MS of silence;
+ * [pause ...] directives are capped at MAX_PAUSE_MS
+ */
+const PARAGRAPH_PAUSE_MS = 600;
+const MAX_PAUSE_MS = 10000;
+
+/**
+ * Batch generation limits
+ * Rows are requested by BATCH_CONCURRENCY workers, with request starts
+ * spaced at least BATCH_REQUEST_INTERVAL_MS apart to stay under rate limits
+ */
+const MAX_BATCH_ROWS = 1000;
+const BATCH_CONCURRENCY = 2;
+const BATCH_REQUEST_INTERVAL_MS = 250;
+
+/**
+ * Dialogue mode (see displayDialogue)
+ * New dialogues leave DEFAULT_DIALOGUE_GAP_MS of silence between lines
+ * (at most MAX_PAUSE_MS). Each line is one request, so it must fit in
+ * MAX_CHUNK_CHARACTERS. The script being edited is kept in LocalStorage.
+ */
+const DIALOGUE_STORAGE_KEY = "deepgram_text_to_speech_dialogue";
+const DEFAULT_DIALOGUE_GAP_MS = 400;
+const MAX_DIALOGUE_LINES = 200;
+const MAX_DIALOGUE_SPEAKERS = 6;
+
+/**
+ * Post-processing of single generations (see processAudio)
+ * Off by default; the sidebar settings are kept in LocalStorage. Loudness
+ * targets are in LUFS and peak targets in dBFS, within NORMALIZE_TARGETS.
+ * Loudness normalization never raises peaks above LOUDNESS_PEAK_CEILING_DB.
+ */
+const POST_PROCESSING_STORAGE_KEY = "deepgram_text_to_speech_post_processing";
+const DEFAULT_POST_PROCESSING = {
+  enabled: false,
+  normalize: "loudness",
+  target: -16,
+  trimThreshold: -50,
+  padStartMs: 100,
+  padEndMs: 200,
+  fadeInMs: 10,
+  fadeOutMs: 20,
+};
+const NORMALIZE_TARGETS = {
+  peak: { unit: "dBFS", min: -30, max: 0, default: -1 },
+  loudness: { unit: "LUFS", min: -40, max: -5, default: -16 },
+};
+const LOUDNESS_PEAK_CEILING_DB = -1;
+const MAX_POST_PROCESSING_MS = 5000;
+
+/**
+ * Time (ms) allowed for one text-to-speech request, including reading the
+ * audio, before it is aborted and treated as a transient failure
+ */
+const REQUEST_TIMEOUT_MS = 60000;
 
 /**
- * LocalStorage key for history persistence
- * Change this if you want to use a different storage key for text-to-speech
+ * Automatic retries for transient failures (network errors, timeouts,
+ * 5xx and 429 responses). Delays grow exponentially from
+ * RETRY_BASE_DELAY_MS up to RETRY_MAX_DELAY_MS, with random jitter;
+ * a Retry-After header takes precedence when the backend sends one.
  */
-const HISTORY_KEY = "deepgram_text_to_speech_history";
+const MAX_REQUEST_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 20000;
 
 /**
- * Maximum number of history entries to store
- * Prevents localStorage from growing too large
+ * Waveform resolution: peaks drawn for the main player, and peaks saved on
+ * each history entry for its sidebar thumbnail
  */
-const MAX_HISTORY_ENTRIES = 5;
+const MAIN_WAVEFORM_PEAKS = 1200;
+const THUMBNAIL_WAVEFORM_PEAKS = 120;
+
+/**
+ * Silence detection used to time text highlighting (see detectSilences)
+ * Stretches at least MIN_SILENCE_SECONDS long and SILENCE_THRESHOLD_DB
+ * below the loudest part of the audio count as pauses between sentences
+ */
+const MIN_SILENCE_SECONDS = 0.15;
+const SILENCE_THRESHOLD_DB = -30;
+
+/**
+ * Highlighting modes for the text shown next to the player, and the
+ * LocalStorage key for the last chosen mode
+ */
+const KARAOKE_MODES = [
+  { value: "sentence", label: "Sentences" },
+  { value: "word", label: "Words" },
+  { value: "off", label: "Off" },
+];
+const KARAOKE_MODE_KEY = "deepgram_text_to_speech_karaoke_mode";
+
+/**
+ * Longest caption cue, in characters; longer sentences are split at words
+ */
+const CAPTION_MAX_CHARACTERS = 84;
 
 // ============================================================================
 // STATE MANAGEMENT - Application state variables
@@ -106,6 +300,36 @@ let metadataContainer;
 let metadataGrid;
 let historyTitle;
 let historySidebarContent;
+let chunkProgress;
+let encodingSelect;
+let containerSelect;
+let sampleRateSelect;
+let bitRateSelect;
+let postProcessToggle;
+let postProcessOptions;
+let voiceSearchInput;
+let voiceLanguageSelect;
+let voiceAccentSelect;
+let voiceGenderSelect;
+let voiceGenerationSelect;
+let voicePreviewBtn;
+let voiceCount;
+let compareModeToggle;
+let compareVoiceList;
+let batchFileInput;
+let batchShowBtn;
+let lexiconSummary;
+let lexiconEditBtn;
+let dialogueSummary;
+let dialogueEditBtn;
+let characterCount;
+let usageSummary;
+let usageViewBtn;
+let markupBackdrop;
+let markupErrors;
+let markupPreviewBtn;
+let historySearchInput;
+let historyViewBtn;
 
 /**
  * Currently active generation ID
@@ -113,179 +337,209 @@ let historySidebarContent;
  */
 let activeRequestId = null;
 
-// ============================================================================
-// LOCALSTORAGE HISTORY MANAGEMENT
-// ============================================================================
+/**
+ * Voices available in the model picker (see DEFAULT_VOICES for the shape)
+ */
+let voiceCatalog = DEFAULT_VOICES;
 
 /**
- * Converts a Blob to base64 string for storage in localStorage
- * @param {Blob} blob - The blob to convert
- * @returns {Promise<string>} Base64 string representation of the blob
+ * Voice preview currently playing, and generated preview audio by voice id
  */
-async function blobToBase64(blob) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onloadend = () => {
-      // Remove data URL prefix (e.g., "data:audio/wav;base64,")
-      const base64 = reader.result.split(',')[1];
-      resolve(base64);
-    };
-    reader.onerror = reject;
-    reader.readAsDataURL(blob);
-  });
-}
+let voicePreviewAudio = null;
+const voicePreviewUrls = new Map();
 
 /**
- * Converts a base64 string back to a blob URL for playback
- * @param {string} base64 - Base64 string representation of the audio
- * @returns {string} Blob URL that can be used in audio elements
+ * Voices ticked for comparison, by model name
  */
-function base64ToBlobUrl(base64) {
-  // Determine MIME type (default to audio/wav, but could be enhanced)
-  // For now, assume all audio is wav format from Deepgram
-  const mimeType = 'audio/wav';
-  const byteCharacters = atob(base64);
-  const byteNumbers = new Array(byteCharacters.length);
-  for (let i = 0; i < byteCharacters.length; i++) {
-    byteNumbers[i] = byteCharacters.charCodeAt(i);
-  }
-  const byteArray = new Uint8Array(byteNumbers);
-  const blob = new Blob([byteArray], { type: mimeType });
-  return URL.createObjectURL(blob);
-}
+const compareSelection = new Set();
 
 /**
- * Retrieves text-to-speech history from localStorage
- *
- * @returns {Array} Array of history entries, or empty array if none exist
- *
- * History entry structure:
- * {
- *   id: string,              // Request ID from Deepgram or local timestamp
- *   timestamp: string,       // ISO 8601 timestamp
- *   text: string,            // Input text
- *   model: string,           // Model name used
- *   audioBase64: string,     // Base64 encoded audio data (for persistence)
- *   response: object         // Full API response
- * }
+ * Stops the running "play all in sequence" playback, if any
  */
-function getHistory() {
-  try {
-    const history = localStorage.getItem(HISTORY_KEY);
-    return history ? JSON.parse(history) : [];
-  } catch (error) {
-    console.error("Error reading history:", error);
-    return [];
-  }
-}
+let stopComparisonSequence = null;
 
 /**
- * Saves a text-to-speech result to localStorage history
- *
- * @param {Blob} audioBlob - The audio blob to save
- * @param {string} text - The input text
- * @param {string} model - Model name used for generation
- * @returns {Promise<Object|null>} The saved history entry, or null if save failed
+ * Waveform on the main player: { waveform, karaoke, audioBuffer, playingSelection }
  */
-async function saveToHistory(audioBlob, text, model) {
-  try {
-    const history = getHistory();
+let mainWaveform = null;
 
-    // Generate a fallback ID
-    const requestId = `local_${Date.now()}`;
+/**
+ * Characters and requests by day and model: { "YYYY-MM-DD": { model: { characters, requests } } },
+ * and the monthly budgets in USD (null when not set)
+ */
+let usageLedger = {};
+let usageBudget = { soft: null, hard: null };
 
-    // Convert blob to base64 for storage
-    const audioBase64 = await blobToBase64(audioBlob);
+/**
+ * How spoken text is highlighted during playback: "sentence", "word" or "off"
+ */
+let karaokeMode = "sentence";
 
-    const historyEntry = {
-      id: requestId,
-      timestamp: new Date().toISOString(),
-      text,
-      model,
-      audioBase64: audioBase64,
-      response: {
-        audioBase64: audioBase64,
-      },
-    };
+/**
+ * Waveforms drawn in the history sidebar, destroyed on every re-render
+ */
+let historyThumbnails = [];
 
-    // Add to beginning of array (newest first)
-    history.unshift(historyEntry);
+/**
+ * The loaded batch file and its progress
+ * Shape: { fileName, state, output, nextStartAt, resumeWaiters,
+ *          rows: [{ index, text, model, filename, status, error, blob, duration }] }
+ * state is one of "ready", "running", "paused", "cancelled", "done"
+ */
+let batchJob = null;
 
-    // Keep only the most recent entries to prevent localStorage overflow
-    const trimmedHistory = history.slice(0, MAX_HISTORY_ENTRIES);
+/**
+ * The chunked generation currently in progress (or awaiting retries)
+ * Shape: { text, model, output, lexicon, markup, startedAt, player, timeToFirstAudio,
+ *          chunks: [{ text, status, blob, error, model?, pauseMs? }] }
+ * Markup scripts set a model on each speech chunk and add silent pause chunks.
+ */
+let chunkJob = null;
 
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(trimmedHistory));
+/**
+ * The dialogue being edited, and its audio once generated
+ * Shape: { speakers: [{ name, model }], gapMs, output, running, plan, track, trackUrl,
+ *          lines: [{ speaker, text, status, blob, url, error, duration, response, lexicon }] }
+ * A line's speaker is an index into speakers. Line status is null until the
+ * line is first requested, then "pending", "working", "done" or "failed".
+ * plan is the chunk plan of the generation in progress (see generateDialogue).
+ */
+let dialogue = null;
 
-    // Update history UI
-    renderHistory();
+/**
+ * Post-processing applied to single generations (see DEFAULT_POST_PROCESSING for the shape)
+ */
+let postProcessingSettings = { ...DEFAULT_POST_PROCESSING };
 
-    return historyEntry;
-  } catch (error) {
-    console.error("Error saving to history:", error);
-    return null;
-  }
-}
+/**
+ * Pronunciation rules applied before synthesis (see applyLexicon)
+ * Shape: [{ term, replacement, wholeWord, caseSensitive, regex }]
+ */
+let lexiconRules = [];
 
 /**
- * Clears all history from localStorage
- *
- * @returns {boolean} True if successful, false if error occurred
+ * Search text for the history sidebar
  */
-function clearHistory() {
-  try {
-    localStorage.removeItem(HISTORY_KEY);
-    renderHistory();
-    return true;
-  } catch (error) {
-    console.error("Error clearing history:", error);
-    return false;
-  }
-}
+let historySearchQuery = "";
 
 /**
- * Retrieves a specific history entry by its request ID
- *
- * @param {string} requestId - The unique ID of the history entry
- * @returns {Object|undefined} The history entry, or undefined if not found
+ * The full-page history view, while it is open
+ * Shape: { query, model, from, to, tag, pinnedOnly, sort, selected: Set<id>, visibleIds, total }
  */
-function getHistoryEntryById(requestId) {
-  const history = getHistory();
-  return history.find((entry) => entry.id === requestId);
-}
+let historyView = null;
+
+/**
+ * Voice from a share link, selected instead of the saved voice until the
+ * user picks another one
+ */
+let sharedVoice = null;
+
+/**
+ * Aborts the single or comparison generation in progress
+ * Set while requests are in flight; the Cancel button in the status calls abort()
+ */
+let generationController = null;
+
+// ============================================================================
+// TEXT-TO-SPEECH CLIENT
+// ============================================================================
+
+/**
+ * Client for the backend endpoints, shared by everything on the page
+ * Sessions, requests, chunking and the IndexedDB history live in
+ * tts-client.js; this file only drives them from the UI.
+ */
+const ttsClient = new TextToSpeechClient({
+  endpoints: {
+    speech: API_ENDPOINT,
+    session: SESSION_ENDPOINT,
+    models: MODELS_ENDPOINT,
+    metadata: METADATA_ENDPOINT,
+  },
+  requestTimeoutMs: REQUEST_TIMEOUT_MS,
+  maxRetries: MAX_REQUEST_RETRIES,
+  retryBaseDelayMs: RETRY_BASE_DELAY_MS,
+  retryMaxDelayMs: RETRY_MAX_DELAY_MS,
+  maxChunkCharacters: MAX_CHUNK_CHARACTERS,
+  chunkConcurrency: CHUNK_CONCURRENCY,
+  history: {
+    maxEntries: MAX_HISTORY_ENTRIES,
+    maxBytes: MAX_HISTORY_BYTES,
+    storageReserveBytes: HISTORY_STORAGE_RESERVE_BYTES,
+  },
+});
+
+/**
+ * History entries and audio in IndexedDB (see HistoryStore)
+ */
+const historyStore = ttsClient.history;
 
 // ============================================================================
 // HISTORY UI RENDERING
 // ============================================================================
 
+/**
+ * Blob URLs created for the history sidebar players
+ * Revoked on every re-render so old audio can be garbage collected
+ */
+let historyAudioUrls = [];
+
+/**
+ * Incremented on every render so a slow, stale render can bail out
+ */
+let historyRenderToken = 0;
+
 /**
  * Renders the history sidebar with all generation entries
  * Highlights the currently active entry if one is selected
  */
-function renderHistory() {
-  const history = getHistory();
+async function renderHistory() {
+  const renderToken = ++historyRenderToken;
+  const queue = await historyStore.getQueue();
+  const allHistory = await historyStore.list();
+  const history = sortHistory(filterHistory(allHistory, { query: historySearchQuery }), "pinned");
+  const audioBlobs = await Promise.all(history.map((entry) => historyStore.getAudio(entry.id)));
+
+  // A newer render started while we were reading from IndexedDB
+  if (renderToken !== historyRenderToken) return;
+
+  historyAudioUrls.forEach((url) => URL.revokeObjectURL(url));
+  historyAudioUrls = [];
+  const thumbnails = [];
 
   // Update title with count
   if (historyTitle) {
-    historyTitle.textContent = `History (${history.length})`;
+    historyTitle.textContent =
+      history.length === allHistory.length
+        ? `History (${allHistory.length})`
+        : `History (${history.length} of ${allHistory.length})`;
   }
 
   // Render history list
   if (historySidebarContent) {
     if (history.length === 0) {
-      historySidebarContent.innerHTML = '<div class="history-empty">No audio generated yet</div>';
+      historySidebarContent.innerHTML =
+        allHistory.length === 0
+          ? '<div class="history-empty">No audio generated yet</div>'
+          : '<div class="history-empty">No entries match your search</div>';
     } else {
       const historyList = document.createElement("div");
       historyList.className = "history-list";
 
-      history.forEach((entry) => {
+      history.forEach((entry, index) => {
         const item = document.createElement("div");
         const isActive = activeRequestId === entry.id;
         item.className = isActive ? "history-item history-item--active" : "history-item";
         
         // Make the item clickable to load in main view
         item.onclick = (e) => {
+          if (e.target.closest("[data-history-pin]")) {
+            setHistoryPinned([entry.id], !entry.pinned);
+            return;
+          }
           // Don't trigger if clicking on the audio player or its controls
           if (e.target.tagName !== "AUDIO" && !e.target.closest("audio")) {
+            historyView = null;
             loadHistoryEntry(entry.id);
           }
         };
@@ -303,37 +557,73 @@ function renderHistory() {
           ? entry.text.substring(0, 50) + "..." 
           : entry.text;
 
-        // Create audio element - convert base64 to blob URL if needed
+        const modelLabel = getHistoryVoiceLabel(entry);
+
+        // Create audio element from the stored blob
         let audioUrl = null;
-        if (entry.audioBase64) {
-          audioUrl = base64ToBlobUrl(entry.audioBase64);
-        } else if (entry.audioUrl) {
-          // Legacy support for old entries that might have audioUrl
-          audioUrl = entry.audioUrl;
+        if (audioBlobs[index]) {
+          audioUrl = URL.createObjectURL(audioBlobs[index]);
+          historyAudioUrls.push(audioUrl);
         }
         
         const audioElement = audioUrl
           ? `<div class="history-item__audio">
+               <canvas class="history-item__waveform"></canvas>
                <audio controls preload="metadata" src="${escapeHtml(audioUrl)}">
                  Your browser does not support the audio element.
                </audio>
              </div>`
           : "";
 
+        const tags = (entry.tags || []).length
+          ? `<div class="history-item__tags">${entry.tags
+              .map((tag) => `<span class="history-tag">${escapeHtml(tag)}</span>`)
+              .join("")}</div>`
+          : "";
+
         item.innerHTML = `
-          <div class="history-item__id" title="${entry.id}">${entry.id}</div>
+          <div class="history-item__header">
+            <div class="history-item__id" title="${entry.id}">${entry.id}</div>
+            <button type="button" class="history-pin${entry.pinned ? " history-pin--active" : ""}"
+              data-history-pin aria-pressed="${Boolean(entry.pinned)}"
+              title="${entry.pinned ? "Unpin" : "Pin (never evicted)"}">
+              <i class="fa-solid fa-thumbtack"></i>
+            </button>
+          </div>
           <div class="history-item__time">${timeStr}</div>
-          <div class="history-item__model">${entry.model || "aura-2-thalia-en"}</div>
+          <div class="history-item__model">${escapeHtml(modelLabel)}</div>
           <div style="font-size: 0.75rem; color: var(--dg-muted, #949498); margin-top: 0.25rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(textPreview)}</div>
+          ${tags}
           ${audioElement}
         `;
 
         historyList.appendChild(item);
+
+        if (audioUrl) {
+          thumbnails.push({
+            entry,
+            blob: audioBlobs[index],
+            canvas: item.querySelector(".history-item__waveform"),
+            audio: item.querySelector("audio"),
+          });
+        }
       });
 
       historySidebarContent.innerHTML = "";
       historySidebarContent.appendChild(historyList);
     }
+
+    // Generations waiting for a connection go above the saved ones
+    if (queue.length > 0) {
+      historySidebarContent.prepend(renderQueueList(queue));
+    }
+  }
+
+  renderHistoryThumbnails(thumbnails, renderToken);
+
+  // Keep the full history view in step with the stored entries
+  if (historyView) {
+    renderHistoryView();
   }
 }
 
@@ -342,50 +632,92 @@ function renderHistory() {
  *
  * @param {string} requestId - The unique ID of the history entry to load
  */
-function loadHistoryEntry(requestId) {
-  const entry = getHistoryEntryById(requestId);
+async function loadHistoryEntry(requestId) {
+  const entry = await historyStore.get(requestId);
 
   if (!entry) {
     showError(`History entry not found: ${requestId}`);
     return;
   }
 
-  // Set the active request ID
-  activeRequestId = entry.id;
+  if (entry.type === "comparison") {
+    await loadComparisonEntry(entry);
+    return;
+  }
 
-  // Convert base64 to blob URL if needed
-  let audioUrl = null;
-  if (entry.audioBase64) {
-    audioUrl = base64ToBlobUrl(entry.audioBase64);
-  } else if (entry.audioUrl) {
-    // Legacy support for old entries that might have audioUrl
-    audioUrl = entry.audioUrl;
+  if (entry.type === "dialogue") {
+    await loadDialogueEntry(entry);
+    return;
   }
 
-  if (!audioUrl) {
+  // Post-processed entries also keep the original audio
+  const [audioBlob, originalBlob] = await historyStore.getAudioSet(entry.id);
+
+  if (!audioBlob) {
     showError("Audio data not found in history entry");
     return;
   }
 
+  // Set the active request ID
+  activeRequestId = entry.id;
+
   // Display the audio and text
-  displayAudio(audioUrl, entry.text);
-  displayMetadata({ audioUrl }, entry.text);
+  if (originalBlob && entry.postProcessing) {
+    displayProcessedAudio(entry.text, audioBlob, originalBlob, entry.chunkTimings, entry.postProcessing);
+  } else {
+    displayAudio(URL.createObjectURL(audioBlob), entry.text, audioBlob, entry.chunkTimings);
+  }
+  displayMetadata(
+    {
+      output: entry.output,
+      timeToFirstAudio: entry.timeToFirstAudio,
+      lexicon: entry.lexicon,
+      markup: entry.markup,
+      metadata: entry.metadata,
+      postProcessing: entry.postProcessing,
+      share: { text: entry.text, model: entry.model, output: entry.output },
+    },
+    entry.text
+  );
   hideStatus();
 
   // Re-render history to update highlighting
   renderHistory();
 }
 
+/**
+ * Describes the voices of a history entry for lists
+ *
+ * @param {Object} entry - History entry
+ * @returns {string}
+ */
+function getHistoryVoiceLabel(entry) {
+  if (entry.type === "comparison") {
+    return `Comparison · ${entry.models.length} voices`;
+  }
+  if (entry.type === "dialogue") {
+    return `Dialogue · ${entry.dialogue.lines.length} lines, ${entry.models.length} voices`;
+  }
+  return entry.model || "aura-2-thalia-en";
+}
+
 /**
  * Checks URL query parameters for a request_id and loads it if present
  * This enables deep linking to specific audio generation results
+ *
+ * Share links (see createShareLink) carry the text and settings in the
+ * hash; they pre-fill the form when the request_id isn't in this
+ * browser's history, or when there is no request_id at all.
  */
-function checkUrlForRequestId() {
+async function checkUrlForRequestId() {
   const urlParams = new URLSearchParams(window.location.search);
   const requestId = urlParams.get("request_id");
+  const share = await readShareFromUrl();
 
-  if (requestId) {
+  if (requestId && (!share || (await historyStore.get(requestId)))) {
     loadHistoryEntry(requestId);
+  } else if (share) {
+    applySharedGeneration(share);
   } else {
     // No request_id means we should show the initial form state
     resetToInitialState();
@@ -393,238 +725,6697 @@ function checkUrlForRequestId() {
 }
 
 // ============================================================================
-// FORM VALIDATION
+// SHARE LINKS
 // ============================================================================
 
 /**
- * Checks if the form is valid and ready to submit
+ * Builds a self-contained link that recreates a generation elsewhere
+ * The text, voice and output options are compressed into the URL hash
+ * (which never reaches the server). When a request id is given it is added
+ * as ?request_id= so the link still opens the saved result in this browser.
  *
- * Form is valid if:
- * - Text input has content (trimmed length > 0)
- *
- * @returns {boolean} True if form is valid, false otherwise
+ * @param {Object} share - { text, model, output, models } (models for comparisons)
+ * @param {string|null} [requestId] - History entry to deep link to
+ * @returns {Promise<string>} Absolute URL
  */
-function isFormValid() {
-  // Check if text input has content
-  const text = textInput ? textInput.value.trim() : "";
-  return text.length > 0;
+async function createShareLink(share, requestId = null) {
+  const payload = { t: share.text, m: share.model || null, o: share.output || null };
+  if (share.models && share.models.length > 1) {
+    payload.v = share.models;
+  }
+
+  const url = new URL(window.location.pathname, window.location.origin);
+  if (requestId) {
+    url.searchParams.set("request_id", requestId);
+  }
+  url.hash = `${SHARE_HASH_KEY}=${await encodeSharePayload(payload)}`;
+  return url.toString();
 }
 
 /**
- * Updates the generate button's disabled state based on form validity
- * Called whenever form inputs change
+ * Encodes a share payload for the URL hash
+ * "z" + deflated base64url where CompressionStream exists, otherwise
+ * "j" + plain base64url JSON.
+ *
+ * @param {Object} payload - { t, m, o, v }
+ * @returns {Promise<string>}
  */
-function updateFormValidation() {
-  const isValid = isFormValid();
-  if (generateBtn) {
-    generateBtn.disabled = !isValid;
+async function encodeSharePayload(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  if (typeof CompressionStream === "undefined") {
+    return `j${bytesToBase64Url(bytes)}`;
   }
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+  return `z${bytesToBase64Url(compressed)}`;
 }
 
-// ============================================================================
-// METADATA FETCHING
-// ============================================================================
-
 /**
- * Fetches app metadata from the backend and updates the UI
- * Updates page title, description, header title, and repository link
+ * Decodes and validates a share payload from the URL hash
+ *
+ * @param {string} value - Output of encodeSharePayload()
+ * @returns {Promise<Object|null>} { text, model, output, models }, or null if invalid
  */
-async function fetchMetadata() {
+async function decodeSharePayload(value) {
   try {
-    const response = await fetch(METADATA_ENDPOINT);
-    if (!response.ok) {
-      console.warn('Failed to fetch metadata, using defaults');
-      return;
-    }
-
-    const metadata = await response.json();
-
-    // Update page title
-    const pageTitle = document.getElementById('pageTitle');
-    if (metadata.title && pageTitle) {
-      pageTitle.textContent = metadata.title;
-    }
-
-    // Update page description
-    const pageDescription = document.getElementById('pageDescription');
-    if (metadata.description && pageDescription) {
-      pageDescription.setAttribute('content', metadata.description);
-    }
-
-    // Update header title
-    const headerTitle = document.getElementById('headerTitle');
-    if (metadata.title && headerTitle) {
-      headerTitle.textContent = metadata.title;
+    let bytes = base64UrlToBytes(value.slice(1));
+    if (value[0] === "z") {
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else if (value[0] !== "j") {
+      return null;
     }
 
-    // Update repository link
-    const repoLink = document.getElementById('repoLink');
-    if (metadata.repository && repoLink) {
-      repoLink.href = metadata.repository;
-    }
+    const payload = JSON.parse(new TextDecoder().decode(bytes));
+    if (!payload || typeof payload.t !== "string" || !payload.t.trim()) return null;
 
-    console.log('Metadata loaded:', metadata);
+    const output = payload.o && OUTPUT_FORMATS[payload.o.encoding] ? payload.o : null;
+    const models = Array.isArray(payload.v) ? payload.v.filter((model) => typeof model === "string") : [];
+    return {
+      text: payload.t,
+      model: typeof payload.m === "string" ? payload.m : null,
+      output,
+      models: models.slice(0, MAX_COMPARE_VOICES),
+    };
   } catch (error) {
-    console.warn('Error loading metadata, using defaults:', error);
+    console.warn("Ignoring invalid share link:", error);
+    return null;
   }
 }
 
-// ============================================================================
-// INITIALIZATION & SETUP
-// ============================================================================
+/**
+ * Reads the share payload from the current URL hash, if any
+ *
+ * @returns {Promise<Object|null>} Decoded share (see decodeSharePayload)
+ */
+async function readShareFromUrl() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const value = params.get(SHARE_HASH_KEY);
+  return value ? decodeSharePayload(value) : null;
+}
 
 /**
- * Initializes the application
- * - Caches DOM element references
- * - Sets up event listeners
- * - Loads initial state from URL parameters
- * - Renders history sidebar
+ * Pre-fills the form from a share link and offers to generate
+ * Nothing is requested until the user clicks Generate.
  *
- * Called when DOM is ready
+ * @param {Object} share - From decodeSharePayload()
  */
-function init() {
-  // Get DOM elements
-  textInput = document.getElementById("textInput");
-  modelSelect = document.getElementById("model");
-  generateBtn = document.getElementById("generateBtn");
-  mainContent = document.getElementById("mainContent");
-  statusContainer = document.getElementById("statusContainer");
-  statusMessage = document.getElementById("statusMessage");
-  metadataContainer = document.getElementById("metadataContainer");
-  metadataGrid = document.getElementById("metadataGrid");
-  historyTitle = document.getElementById("historyTitle");
-  historySidebarContent = document.getElementById("historySidebarContent");
+function applySharedGeneration(share) {
+  resetToInitialState();
 
-  // Check if we should enable elements (no state parameter means normal operation)
-  const urlParams = new URLSearchParams(window.location.search);
-  const state = urlParams.get("state");
+  // Voice: clear filters so the shared voice can be selected once the catalog has it
+  [voiceSearchInput, voiceLanguageSelect, voiceAccentSelect, voiceGenderSelect, voiceGenerationSelect].forEach(
+    (control) => {
+      if (control) control.value = "";
+    }
+  );
+  if (share.model) {
+    sharedVoice = share.model;
+  }
+  renderVoiceOptions();
 
-  if (!state) {
-    // Enable all form elements for normal operation
-    enableFormElements();
+  if (compareModeToggle) {
+    compareModeToggle.checked = share.models.length > 1;
+    compareSelection.clear();
+    share.models.forEach((model) => compareSelection.add(model));
+    updateCompareMode();
   }
 
-  setupEventListeners();
-  // Set initial state
+  setOutputOptions(share.output);
+
+  if (textInput) {
+    textInput.value = share.text;
+    textInput.dispatchEvent(new Event("input"));
+  }
+
+  const voices = share.models.length > 1 ? share.models.join(", ") : share.model || "Default voice";
+  mainContent.innerHTML = `
+    <div class="empty-state">
+      <div class="empty-state-icon dg-text-primary"><i class="fa-solid fa-link"></i></div>
+      <h2 class="dg-section-heading">Someone shared this with you</h2>
+      <p class="dg-prose">
+        The text and settings are filled in on the left (${escapeHtml(voices)}${
+          share.output ? ` · ${escapeHtml(share.output.encoding)}` : ""
+        }). Review them, then generate the audio.
+      </p>
+      <div class="generated-text share-preview">${escapeHtml(share.text)}</div>
+      <button id="generateBtn" class="dg-btn dg-btn--primary" style="margin-top: 1.5rem;" disabled>
+        Generate Audio
+      </button>
+    </div>
+  `;
+
+  generateBtn = document.getElementById("generateBtn");
+  generateBtn.addEventListener("click", handleGenerate);
   updateFormValidation();
-  // Render history
+}
+
+/**
+ * Copies a share link for the displayed result to the clipboard
+ * If the clipboard isn't available, the link is shown for manual copying.
+ *
+ * @param {HTMLButtonElement} button - The button that was clicked
+ * @param {Object} share - { text, model, output, models }
+ */
+async function copyShareLink(button, share) {
+  const link = await createShareLink(share, activeRequestId);
+  const label = button.innerHTML;
+
+  try {
+    await navigator.clipboard.writeText(link);
+    button.innerHTML = '<i class="fa-solid fa-check" style="margin-right: 0.5rem;"></i> Link copied';
+    setTimeout(() => {
+      button.innerHTML = label;
+    }, 2000);
+  } catch (error) {
+    console.warn("Clipboard unavailable, showing the link instead:", error);
+    const input = document.createElement("input");
+    input.type = "text";
+    input.readOnly = true;
+    input.className = "dg-input share-link-input";
+    input.value = link;
+    button.replaceWith(input);
+    input.select();
+  }
+}
+
+/**
+ * Encodes bytes as base64url (no padding)
+ *
+ * @param {Uint8Array} bytes - Data to encode
+ * @returns {string}
+ */
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decodes base64url (with or without padding)
+ *
+ * @param {string} value - Encoded data
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+// ============================================================================
+// HISTORY SEARCH & FULL VIEW
+// ============================================================================
+
+/**
+ * Filters history entries
+ * The query matches entry text, models, tags and id; every word must match.
+ *
+ * @param {Array<Object>} entries - History entries
+ * @param {Object} filters - { query, model, from, to, tag, pinnedOnly }; dates are YYYY-MM-DD
+ * @returns {Array<Object>} Matching entries, in the original order
+ */
+function filterHistory(entries, { query = "", model = "", from = "", to = "", tag = "", pinnedOnly = false } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null;
+  const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+
+  return entries.filter((entry) => {
+    const models = entry.models || [entry.model];
+    if (model && !models.includes(model)) return false;
+    if (tag && !(entry.tags || []).includes(tag)) return false;
+    if (pinnedOnly && !entry.pinned) return false;
+
+    const time = new Date(entry.timestamp).getTime();
+    if (fromTime !== null && time < fromTime) return false;
+    if (toTime !== null && time > toTime) return false;
+
+    if (words.length === 0) return true;
+    const haystack = [entry.text, entry.id, ...models, ...(entry.tags || [])].join(" ").toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  });
+}
+
+/**
+ * Sorts history entries (pinned entries first when sorting by "pinned")
+ *
+ * @param {Array<Object>} entries - History entries
+ * @param {string} sort - One of HISTORY_SORTS' keys
+ * @returns {Array<Object>} A sorted copy
+ */
+function sortHistory(entries, sort) {
+  const newestFirst = (a, b) => b.timestamp.localeCompare(a.timestamp);
+  const compare = {
+    pinned: (a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || newestFirst(a, b),
+    newest: newestFirst,
+    oldest: (a, b) => a.timestamp.localeCompare(b.timestamp),
+    longest: (a, b) => b.text.length - a.text.length || newestFirst(a, b),
+    largest: (a, b) => (b.size || 0) - (a.size || 0) || newestFirst(a, b),
+    model: (a, b) => (a.model || "").localeCompare(b.model || "") || newestFirst(a, b),
+  }[sort] || newestFirst;
+
+  return [...entries].sort(compare);
+}
+
+/**
+ * Parses a comma-separated tag list, dropping blanks and duplicates
+ *
+ * @param {string} value - e.g. "ivr, Spanish, ivr"
+ * @returns {Array<string>} e.g. ["ivr", "spanish"]
+ */
+function parseTags(value) {
+  return [
+    ...new Set(
+      value
+        .split(",")
+        .map((tag) => tag.trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Pins or unpins history entries; pinned entries are never evicted
+ *
+ * @param {Array<string>} requestIds - Entries to change
+ * @param {boolean} pinned - New pin state
+ */
+async function setHistoryPinned(requestIds, pinned) {
+  try {
+    for (const id of requestIds) {
+      await historyStore.update(id, { pinned });
+    }
+  } catch (error) {
+    console.error("Error updating history pins:", error);
+  }
   renderHistory();
-  // Check URL for request_id
-  checkUrlForRequestId();
-  // Fetch and display app metadata
-  fetchMetadata();
 }
 
 /**
- * Sets up all event listeners for the application
- * - Text input
- * - Generate button
- * - Browser navigation (back/forward)
+ * Replaces the tags of a history entry
+ *
+ * @param {string} requestId - Entry to change
+ * @param {Array<string>} tags - New tags
  */
-function setupEventListeners() {
-  // Text input - listen for changes
-  if (textInput) {
-    textInput.addEventListener("input", updateFormValidation);
+async function setHistoryTags(requestId, tags) {
+  try {
+    await historyStore.update(requestId, { tags });
+  } catch (error) {
+    console.error("Error updating history tags:", error);
   }
+  renderHistory();
+}
 
-  // Generate button
-  if (generateBtn) {
-    generateBtn.addEventListener("click", handleGenerate);
+/**
+ * Opens the full-page history view in the main content area
+ * Filters, sorting and selection live in historyView until it is closed.
+ */
+function displayHistoryView() {
+  activeRequestId = null;
+  historyView = {
+    query: historySearchQuery,
+    model: "",
+    from: "",
+    to: "",
+    tag: "",
+    pinnedOnly: false,
+    sort: "newest",
+    selected: new Set(),
+  };
+
+  const sortOptions = Object.entries(HISTORY_SORTS)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join("");
+
+  mainContent.innerHTML = `
+    <div class="batch-view">
+      <h2 class="dg-section-heading">History</h2>
+      <div class="history-view-filters">
+        <input type="search" class="dg-input" data-history-filter="query" placeholder="Search text, voices, tags..."
+          aria-label="Search history" value="${escapeHtml(historyView.query)}">
+        <select class="dg-input" data-history-filter="model" aria-label="Filter by model"></select>
+        <select class="dg-input" data-history-filter="tag" aria-label="Filter by tag"></select>
+        <input type="date" class="dg-input" data-history-filter="from" aria-label="From date">
+        <input type="date" class="dg-input" data-history-filter="to" aria-label="To date">
+        <select class="dg-input" data-history-filter="sort" aria-label="Sort">${sortOptions}</select>
+        <label class="compare-toggle">
+          <input type="checkbox" data-history-filter="pinnedOnly"> Pinned only
+        </label>
+      </div>
+      <div class="batch-toolbar">
+        <div id="historyViewMessage" class="batch-summary"></div>
+        <div class="batch-toolbar__actions">
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-history-action="import">
+            <i class="fa-solid fa-file-import"></i> Import bundle
+          </button>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-history-action="export-all">
+            <i class="fa-solid fa-file-zipper"></i> Export all
+          </button>
+          <input type="file" id="historyImportFile" accept=".zip,application/zip" hidden>
+        </div>
+      </div>
+      <div class="batch-toolbar">
+        <div id="historyViewSummary" class="batch-summary"></div>
+        <div class="batch-toolbar__actions">
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-history-bulk="export">
+            <i class="fa-solid fa-file-export"></i> Export
+          </button>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-history-bulk="pin">
+            <i class="fa-solid fa-thumbtack"></i> Pin
+          </button>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-history-bulk="unpin">
+            Unpin
+          </button>
+          <button type="button" class="dg-btn dg-btn--secondary dg-btn--sm" data-history-bulk="delete">
+            <i class="fa-solid fa-trash"></i> Delete
+          </button>
+        </div>
+      </div>
+      <div class="batch-table-wrapper">
+        <table class="batch-table">
+          <thead>
+            <tr>
+              <th><input type="checkbox" id="historySelectAll" aria-label="Select all"></th>
+              <th></th><th>Date</th><th>Voice</th><th>Text</th><th>Tags</th><th>Size</th>
+            </tr>
+          </thead>
+          <tbody id="historyViewRows"></tbody>
+        </table>
+      </div>
+    </div>
+  `;
+
+  const view = mainContent.querySelector(".batch-view");
+
+  view.querySelectorAll("[data-history-filter]").forEach((control) => {
+    const key = control.dataset.historyFilter;
+    control.addEventListener(control.type === "search" ? "input" : "change", () => {
+      historyView[key] = control.type === "checkbox" ? control.checked : control.value;
+      renderHistoryView();
+    });
+  });
+
+  document.getElementById("historySelectAll").addEventListener("change", (e) => {
+    view.querySelectorAll("[data-history-select]").forEach((checkbox) => {
+      checkbox.checked = e.target.checked;
+      if (e.target.checked) {
+        historyView.selected.add(checkbox.dataset.historySelect);
+      } else {
+        historyView.selected.delete(checkbox.dataset.historySelect);
+      }
+    });
+    updateHistoryViewToolbar();
+  });
+
+  view.addEventListener("change", (e) => {
+    const checkbox = e.target.closest("[data-history-select]");
+    if (checkbox) {
+      if (checkbox.checked) {
+        historyView.selected.add(checkbox.dataset.historySelect);
+      } else {
+        historyView.selected.delete(checkbox.dataset.historySelect);
+      }
+      updateHistoryViewToolbar();
+      return;
+    }
+
+    const tagsInput = e.target.closest("[data-history-tags]");
+    if (tagsInput) {
+      setHistoryTags(tagsInput.dataset.historyTags, parseTags(tagsInput.value));
+    }
+  });
+
+  view.addEventListener("click", async (e) => {
+    const pinBtn = e.target.closest("[data-history-pin]");
+    if (pinBtn) {
+      setHistoryPinned([pinBtn.dataset.historyPin], pinBtn.getAttribute("aria-pressed") !== "true");
+      return;
+    }
+
+    const openLink = e.target.closest("[data-history-open]");
+    if (openLink) {
+      e.preventDefault();
+      historyView = null;
+      loadHistoryEntry(openLink.dataset.historyOpen);
+      return;
+    }
+
+    const actionBtn = e.target.closest("[data-history-action]");
+    if (actionBtn) {
+      if (actionBtn.dataset.historyAction === "import") {
+        document.getElementById("historyImportFile").click();
+      } else {
+        exportHistoryBundle(null);
+      }
+      return;
+    }
+
+    const bulkBtn = e.target.closest("[data-history-bulk]");
+    if (!bulkBtn || historyView.selected.size === 0) return;
+    const ids = [...historyView.selected];
+    const action = bulkBtn.dataset.historyBulk;
+
+    if (action === "export") {
+      exportHistoryBundle(ids);
+    } else if (action === "delete") {
+      if (!window.confirm(`Delete ${ids.length} history ${ids.length === 1 ? "entry" : "entries"}?`)) return;
+      try {
+        await historyStore.delete(ids);
+      } catch (error) {
+        console.error("Error deleting history entries:", error);
+        showError("Unable to delete the selected entries");
+      }
+      historyView.selected.clear();
+    } else {
+      setHistoryPinned(ids, action === "pin");
+    }
+  });
+
+  document.getElementById("historyImportFile").addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const message = document.getElementById("historyViewMessage");
+    message.textContent = `Importing ${file.name}...`;
+    try {
+      const result = await importHistoryBundle(file);
+      const notes = [`Imported ${result.imported} ${result.imported === 1 ? "entry" : "entries"}`];
+      if (result.duplicates > 0) notes.push(`${result.duplicates} already in history`);
+      if (result.invalid.length > 0) notes.push(`${result.invalid.length} invalid`);
+      if (result.evicted > 0) notes.push(`${result.evicted} removed again by history limits`);
+      message.textContent = notes.join(" · ");
+      message.title = result.invalid.join("\n");
+      if (result.invalid.length > 0) {
+        console.warn("Skipped invalid history bundle entries:", result.invalid);
+      }
+    } catch (error) {
+      console.error("Error importing history:", error);
+      message.textContent = `Could not import ${file.name}: ${error.message}`;
+    }
+  });
+
+  renderHistory();
+}
+
+/**
+ * Renders the full history view's filter options and table
+ * Called after every history change while the view is open.
+ */
+async function renderHistoryView() {
+  const tbody = document.getElementById("historyViewRows");
+  if (!historyView || !tbody) {
+    historyView = null;
+    return;
   }
 
-  // Handle browser back/forward navigation
-  window.addEventListener("popstate", () => {
-    checkUrlForRequestId();
+  const history = await historyStore.list();
+  const view = historyView;
+  if (!view) return;
+
+  // Drop selections of entries that no longer exist
+  const ids = new Set(history.map((entry) => entry.id));
+  view.selected.forEach((id) => {
+    if (!ids.has(id)) view.selected.delete(id);
+  });
+
+  // Refresh the model and tag filters from the entries themselves
+  const fillOptions = (key, allLabel, values) => {
+    const select = mainContent.querySelector(`[data-history-filter="${key}"]`);
+    if (!select) return;
+    select.innerHTML =
+      `<option value="">${allLabel}</option>` +
+      [...values]
+        .sort()
+        .map((value) => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`)
+        .join("");
+    select.value = values.has(view[key]) ? view[key] : "";
+    view[key] = select.value;
+  };
+  fillOptions("model", "All voices", new Set(history.flatMap((entry) => entry.models || [entry.model])));
+  fillOptions("tag", "All tags", new Set(history.flatMap((entry) => entry.tags || [])));
+
+  const entries = sortHistory(filterHistory(history, view), view.sort);
+
+  tbody.innerHTML =
+    entries
+      .map((entry) => {
+        const date = new Date(entry.timestamp).toLocaleString("en-US", {
+          year: "numeric",
+          month: "short",
+          day: "numeric",
+          hour: "numeric",
+          minute: "2-digit",
+        });
+        const voice = getHistoryVoiceLabel(entry);
+        return `
+          <tr>
+            <td>
+              <input type="checkbox" data-history-select="${escapeHtml(entry.id)}" aria-label="Select entry"
+                ${view.selected.has(entry.id) ? "checked" : ""}>
+            </td>
+            <td>
+              <button type="button" class="history-pin${entry.pinned ? " history-pin--active" : ""}"
+                data-history-pin="${escapeHtml(entry.id)}" aria-pressed="${Boolean(entry.pinned)}"
+                title="${entry.pinned ? "Unpin" : "Pin (never evicted)"}">
+                <i class="fa-solid fa-thumbtack"></i>
+              </button>
+            </td>
+            <td class="batch-table__mono">${escapeHtml(date)}</td>
+            <td class="batch-table__mono">${escapeHtml(voice || "")}</td>
+            <td class="batch-table__text" title="${escapeHtml(entry.text)}">
+              <a href="?request_id=${encodeURIComponent(entry.id)}" data-history-open="${escapeHtml(entry.id)}">${escapeHtml(entry.text)}</a>
+            </td>
+            <td>
+              <input type="text" class="dg-input history-tags-input" data-history-tags="${escapeHtml(entry.id)}"
+                value="${escapeHtml((entry.tags || []).join(", "))}" placeholder="Add tags" aria-label="Tags">
+            </td>
+            <td class="batch-table__mono">${formatBytes(entry.size || 0)}</td>
+          </tr>
+        `;
+      })
+      .join("") || '<tr><td colspan="7" class="history-empty">No entries match these filters</td></tr>';
+
+  view.visibleIds = entries.map((entry) => entry.id);
+  updateHistoryViewToolbar(history.length);
+}
+
+/**
+ * Updates the history view summary and enables bulk actions when entries are selected
+ *
+ * @param {number} [total] - Total number of entries, when known
+ */
+function updateHistoryViewToolbar(total) {
+  if (!historyView) return;
+  if (total !== undefined) historyView.total = total;
+
+  const summary = document.getElementById("historyViewSummary");
+  if (summary) {
+    const shown = (historyView.visibleIds || []).length;
+    summary.textContent =
+      `${shown} of ${historyView.total} entries` +
+      (historyView.selected.size > 0 ? ` · ${historyView.selected.size} selected` : "");
+  }
+
+  mainContent.querySelectorAll("[data-history-bulk]").forEach((button) => {
+    button.disabled = historyView.selected.size === 0;
   });
+
+  const selectAll = document.getElementById("historySelectAll");
+  if (selectAll) {
+    const visible = historyView.visibleIds || [];
+    selectAll.checked = visible.length > 0 && visible.every((id) => historyView.selected.has(id));
+  }
 }
 
 // ============================================================================
-// EVENT HANDLERS
+// HISTORY EXPORT & IMPORT
+// ============================================================================
+
+/**
+ * Downloads history entries as a ZIP bundle: the audio files plus a
+ * manifest.json describing each entry (see HISTORY_BUNDLE_FORMAT)
+ *
+ * @param {Array<string>|null} requestIds - Entries to export, or null for all
+ */
+async function exportHistoryBundle(requestIds) {
+  try {
+    const history = await historyStore.list();
+    const wanted = requestIds ? new Set(requestIds) : null;
+    const entries = history.filter((entry) => !wanted || wanted.has(entry.id));
+    if (entries.length === 0) return;
+
+    const files = [];
+    const manifestEntries = [];
+    for (const entry of entries) {
+      const blobs = await historyStore.getAudioSet(entry.id);
+      if (blobs.length === 0) continue;
+
+      const audio = blobs.map((blob, index) => {
+        const suffix = blobs.length > 1 ? `-${index + 1}` : "";
+        const name = `audio/${entry.id}${suffix}.${getAudioExtension(blob.type)}`;
+        files.push({ name, data: blob });
+        return name;
+      });
+      manifestEntries.push({ ...entry, audio });
+    }
+
+    const manifest = {
+      format: HISTORY_BUNDLE_FORMAT,
+      version: HISTORY_BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries: manifestEntries,
+    };
+    files.push({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+
+    const zip = await createZip(files);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadBlob(zip, `text-to-speech-history-${date}.zip`);
+  } catch (error) {
+    console.error("Error exporting history:", error);
+    showError("Unable to export history");
+  }
+}
+
+/**
+ * Imports a bundle created by exportHistoryBundle()
+ *
+ * The manifest is validated entry by entry; entries whose id already
+ * exists are skipped, invalid ones are reported, and the rest are merged
+ * into the history with their original ids (so ?request_id= links keep
+ * working). Only fields this app knows are kept (see sanitizeBundleEntry).
+ * Retention limits apply as usual afterwards.
+ *
+ * @param {File} file - The .zip bundle
+ * @returns {Promise<{imported: number, duplicates: number, invalid: Array<string>, evicted: number}>}
+ */
+async function importHistoryBundle(file) {
+  const archive = await readZip(file);
+  const manifestFile = archive.get("manifest.json");
+  if (!manifestFile) {
+    throw new Error("manifest.json is missing");
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestFile.text());
+  } catch (error) {
+    throw new Error("manifest.json is not valid JSON");
+  }
+  if (!manifest || manifest.format !== HISTORY_BUNDLE_FORMAT || !Array.isArray(manifest.entries)) {
+    throw new Error("This file is not a text-to-speech history bundle");
+  }
+  if (manifest.version > HISTORY_BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${manifest.version} is newer than this app supports`);
+  }
+
+  const existing = new Set(await historyStore.listIds());
+
+  const result = { imported: 0, duplicates: 0, invalid: [], evicted: 0 };
+  const records = [];
+
+  manifest.entries.forEach((item, index) => {
+    const problem = validateBundleEntry(item, archive);
+    if (problem) {
+      result.invalid.push(`Entry ${index + 1}: ${problem}`);
+      return;
+    }
+    if (existing.has(item.id)) {
+      result.duplicates += 1;
+      return;
+    }
+    existing.add(item.id);
+
+    const { audio } = item;
+    const entry = sanitizeBundleEntry(item);
+    const blobs = audio.map((name, fileIndex) => {
+      const result = Array.isArray(entry.results) ? entry.results[fileIndex] : null;
+      const type = (result && result.mimeType) || (fileIndex === 0 && entry.mimeType) || getAudioMimeType(name);
+      return new Blob([archive.get(name)], { type });
+    });
+    entry.mimeType = blobs[0].type;
+    entry.size = blobs.reduce((sum, blob) => sum + blob.size, 0);
+
+    records.push({
+      entry,
+      audio: blobs.length > 1 ? { id: entry.id, blob: blobs[0], blobs } : { id: entry.id, blob: blobs[0] },
+    });
+  });
+
+  result.evicted = await historyStore.importEntries(records);
+  result.imported = records.length;
+  return result;
+}
+
+/**
+ * Checks one manifest entry of an imported bundle
+ * Ids end up in URLs and markup, so they are held to a strict pattern.
+ *
+ * @param {Object} item - Manifest entry
+ * @param {Map<string, Blob>} archive - Files in the bundle
+ * @returns {string|null} What is wrong with the entry, or null if it is valid
+ */
+function validateBundleEntry(item, archive) {
+  if (!item || typeof item !== "object") return "not an object";
+  if (typeof item.id !== "string" || !/^[A-Za-z0-9_.:-]{1,128}$/.test(item.id)) return "invalid id";
+  if (typeof item.text !== "string") return "missing text";
+  if (typeof item.model !== "string") return "missing model";
+  if (typeof item.timestamp !== "string" || Number.isNaN(Date.parse(item.timestamp))) return "invalid timestamp";
+  if (!Array.isArray(item.audio) || item.audio.length === 0) return "no audio files listed";
+
+  const missing = item.audio.find((name) => typeof name !== "string" || !archive.has(name));
+  if (missing !== undefined) return `audio file not found: ${missing}`;
+
+  if (item.type === "comparison") {
+    const models = Array.isArray(item.models) ? item.models : [];
+    const results = Array.isArray(item.results) ? item.results : [];
+    if (models.length !== item.audio.length || results.length !== item.audio.length) {
+      return "comparison voices don't match its audio files";
+    }
+    if (models.some((model) => typeof model !== "string") || results.some((result) => !result || typeof result.model !== "string")) {
+      return "comparison voices must be model names";
+    }
+  }
+  if (item.type === "dialogue") {
+    const speakers = item.dialogue && Array.isArray(item.dialogue.speakers) ? item.dialogue.speakers : [];
+    const lines = item.dialogue && Array.isArray(item.dialogue.lines) ? item.dialogue.lines : null;
+    if (!lines || lines.length + 1 !== item.audio.length) {
+      return "dialogue lines don't match its audio files";
+    }
+    if (lines.some((line) => !line || typeof line.text !== "string" || !isSpeakerIndex(line.speaker, speakers))) {
+      return "dialogue lines must have text and a listed speaker";
+    }
+    if (speakers.some((speaker) => !speaker || typeof speaker.model !== "string" || !speaker.model)) {
+      return "dialogue speakers must each have a voice";
+    }
+    if (!Array.isArray(item.models) || item.models.length === 0 || item.models.some((model) => typeof model !== "string")) {
+      return "dialogue voices must be a list of model names";
+    }
+  }
+  if (item.postProcessing && !item.postProcessing.error && item.audio.length !== 2) {
+    return "post-processed audio must come with the original";
+  }
+  if (item.tags !== undefined && (!Array.isArray(item.tags) || item.tags.some((tag) => typeof tag !== "string"))) {
+    return "tags must be a list of text";
+  }
+  return null;
+}
+
+/**
+ * Copies the fields this app knows from a manifest entry, dropping any
+ * whose value has the wrong shape
+ * Required fields were already checked by validateBundleEntry(); checking
+ * the optional ones keeps a hand-edited bundle from storing values that
+ * break the history, metadata or player views later.
+ *
+ * @param {Object} item - Manifest entry that passed validateBundleEntry()
+ * @returns {Object} The history entry, without the audio file list
+ */
+function sanitizeBundleEntry(item) {
+  const isString = (value) => typeof value === "string";
+  const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+  const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  const optional = (check) => (value) => value === undefined || value === null || check(value);
+  const listOf = (check) => (value) => Array.isArray(value) && value.every(check);
+  const shaped = (fields) => (value) => isObject(value) && Object.keys(fields).every((key) => fields[key](value[key]));
+  const pick = (value, fields) =>
+    Object.fromEntries(Object.keys(fields).filter((key) => value[key] !== undefined && fields[key](value[key])).map((key) => [key, value[key]]));
+
+  const metadataFields = {
+    requestIds: listOf(isString),
+    modelNames: listOf(isString),
+    modelUuids: listOf(isString),
+    characters: isNumber,
+    contentType: isString,
+    timeToFirstByte: isNumber,
+    latency: isNumber,
+    bytes: isNumber,
+    duration: isNumber,
+    sampleRate: isNumber,
+    channels: isNumber,
+  };
+  const resultFields = {
+    model: isString,
+    latency: isNumber,
+    duration: isNumber,
+    size: isNumber,
+    mimeType: isString,
+    metadata: isObject,
+  };
+  const postProcessingSettings = shaped({
+    normalize: (value) => value === "off" || Object.keys(NORMALIZE_TARGETS).includes(value),
+    target: optional(isNumber),
+    trimThreshold: optional(isNumber),
+    padStartMs: isNumber,
+    padEndMs: isNumber,
+    fadeInMs: isNumber,
+    fadeOutMs: isNumber,
+  });
+  const postProcessingResult = shaped({
+    peakDb: optional(isNumber),
+    loudness: optional(isNumber),
+    gainDb: isNumber,
+    trimmedStart: isNumber,
+    trimmedEnd: isNumber,
+    offset: isNumber,
+  });
+
+  const entry = pick(item, {
+    id: isString,
+    timestamp: isString,
+    text: isString,
+    model: isString,
+    mimeType: isString,
+    size: isNumber,
+    type: (value) => value === "comparison" || value === "dialogue",
+    models: listOf(isString),
+    results: listOf(isObject),
+    dialogue: isObject,
+    output: shaped({
+      encoding: (value) => isString(value) && Object.keys(OUTPUT_FORMATS).includes(value),
+      container: optional(isString),
+      sampleRate: optional(isNumber),
+      bitRate: optional(isNumber),
+    }),
+    timeToFirstAudio: isNumber,
+    lexicon: listOf(shaped({ term: isString, replacement: isString, count: isNumber })),
+    markup: shaped({ speechSegments: isNumber, pauses: isNumber, pauseMs: isNumber, models: listOf(isString) }),
+    chunkTimings: listOf(shaped({ text: isString, start: isNumber, end: isNumber })),
+    metadata: isObject,
+    postProcessing: (value) =>
+      isObject(value) &&
+      postProcessingSettings(value.settings) &&
+      (value.settings.normalize === "off" || isNumber(value.settings.target)) &&
+      (isString(value.error) || postProcessingResult(value)),
+    peaks: listOf(isNumber),
+    duration: isNumber,
+    tags: listOf(isString),
+    pinned: (value) => typeof value === "boolean",
+    queuedAt: isString,
+  });
+
+  if (entry.metadata) {
+    entry.metadata = pick(entry.metadata, metadataFields);
+  }
+  if (entry.results) {
+    entry.results = entry.results.map((result) => {
+      const kept = pick(result, resultFields);
+      if (kept.metadata) kept.metadata = pick(kept.metadata, metadataFields);
+      return kept;
+    });
+  }
+  if (entry.dialogue) {
+    const { gapMs, speakers, lines } = entry.dialogue;
+    entry.dialogue = {
+      gapMs: isNumber(gapMs) ? gapMs : 0,
+      speakers: speakers.map(({ name, model }) => ({ name: isString(name) ? name : "", model })),
+      lines: lines.map(({ speaker, text, duration }) => ({ speaker: Number(speaker), text, duration: isNumber(duration) ? duration : null })),
+    };
+  }
+  return entry;
+}
+
+/**
+ * Guesses an audio MIME type from a file name in a bundle
+ *
+ * @param {string} name - File name
+ * @returns {string} MIME type
+ */
+function getAudioMimeType(name) {
+  const extension = name.split(".").pop().toLowerCase();
+  const types = {
+    wav: "audio/wav",
+    mp3: "audio/mpeg",
+    ogg: "audio/ogg",
+    opus: "audio/opus",
+    flac: "audio/flac",
+    webm: "audio/webm",
+    aac: "audio/aac",
+  };
+  return types[extension] || "application/octet-stream";
+}
+
+// ============================================================================
+// FORM VALIDATION
 // ============================================================================
 
 /**
- * Handles text-to-speech generation request
- * Main function that:
- * - Validates form input
- * - Makes API request to text-to-speech endpoint
- * - Saves result to history
- * - Displays audio player
- * - Handles errors
+ * Checks if the form is valid and ready to submit
+ *
+ * Form is valid if:
+ * - Text input has content (trimmed length > 0)
+ * - A voice is selected (filters can leave none to choose from), or
+ *   at least two voices are ticked in comparison mode
+ *
+ * @returns {boolean} True if form is valid, false otherwise
+ */
+function isFormValid() {
+  // Check if text input has content
+  const text = textInput ? textInput.value.trim() : "";
+  const hasVoice = isCompareMode()
+    ? compareSelection.size >= 2
+    : modelSelect
+      ? Boolean(modelSelect.value)
+      : true;
+  const markupValid = !hasMarkup(text) || parseMarkup(text, "").errors.length === 0;
+  const withinBudget = checkBudget(getBillableRequests(text)).level !== "hard";
+  return text.length > 0 && hasVoice && markupValid && withinBudget;
+}
+
+/**
+ * Updates the generate button's disabled state based on form validity
+ * Called whenever form inputs change
+ */
+function updateFormValidation() {
+  const isValid = isFormValid();
+  if (generateBtn) {
+    generateBtn.disabled = !isValid;
+  }
+  updateCharacterCount();
+}
+
+// ============================================================================
+// OUTPUT FORMAT OPTIONS
+// ============================================================================
+
+/**
+ * Reads the output format chosen in the form
+ *
+ * Options fixed by the encoding (a single allowed value) are included so
+ * they can be displayed, but setOutputParams() only sends the ones the
+ * API lets you choose.
+ *
+ * @returns {Object|null} { encoding, container, sampleRate, bitRate }, or
+ *   null to use the backend's default format
+ */
+function getOutputOptions() {
+  const encoding = encodingSelect ? encodingSelect.value : "";
+  const format = OUTPUT_FORMATS[encoding];
+  if (!format) return null;
+
+  const pick = (select, allowed) => {
+    if (allowed.length === 0) return null;
+    const value = select ? select.value : "";
+    return allowed.map(String).includes(value) ? value : String(allowed[0]);
+  };
+
+  const sampleRate = pick(sampleRateSelect, format.sampleRates);
+  const bitRate = pick(bitRateSelect, format.bitRates);
+
+  return {
+    encoding,
+    container: pick(containerSelect, format.containers),
+    sampleRate: sampleRate ? Number(sampleRate) : null,
+    bitRate: bitRate ? Number(bitRate) : null,
+  };
+}
+
+/**
+ * Selects an output format in the form, e.g. from a share link
+ * The encoding is picked first so the other selects offer the right values.
+ *
+ * @param {Object|null} output - { encoding, container, sampleRate, bitRate }, or null for the default
+ */
+function setOutputOptions(output) {
+  if (!encodingSelect) return;
+
+  encodingSelect.value = output ? output.encoding : "";
+  updateOutputOptions();
+  if (output) {
+    if (containerSelect && output.container) containerSelect.value = output.container;
+    if (sampleRateSelect && output.sampleRate) sampleRateSelect.value = String(output.sampleRate);
+    if (bitRateSelect && output.bitRate) bitRateSelect.value = String(output.bitRate);
+    updateOutputOptions();
+  }
+}
+
+/**
+ * Greys out container, sample rate and bit rate options that the selected
+ * encoding doesn't support, and falls back to the encoding's default when
+ * the current choice becomes invalid
+ */
+function updateOutputOptions() {
+  const format = OUTPUT_FORMATS[encodingSelect ? encodingSelect.value : ""];
+  syncOutputSelect(containerSelect, format ? format.containers : []);
+  syncOutputSelect(sampleRateSelect, format ? format.sampleRates : []);
+  syncOutputSelect(bitRateSelect, format ? format.bitRates : []);
+}
+
+/**
+ * Enables only the allowed options of one output select
+ * A select with one or no allowed values is shown but locked.
+ *
+ * @param {HTMLSelectElement} select - The select to update
+ * @param {Array<string|number>} allowed - Allowed values, default first
+ */
+function syncOutputSelect(select, allowed) {
+  if (!select) return;
+  const values = allowed.map(String);
+
+  Array.from(select.options).forEach((option) => {
+    // The "—" placeholder is only used when nothing applies
+    option.disabled = option.value === "" ? values.length > 0 : !values.includes(option.value);
+  });
+
+  if (!values.includes(select.value)) {
+    select.value = values.length > 0 ? values[0] : "";
+  }
+  select.disabled = values.length <= 1;
+}
+
+/**
+ * Builds metadata rows describing an output format
+ *
+ * @param {Object} output - Output format from getOutputOptions()
+ * @returns {Array<{label: string, value: string}>}
+ */
+function describeOutputOptions(output) {
+  const rows = [{ label: "Encoding", value: output.encoding }];
+  if (output.container) {
+    rows.push({ label: "Container", value: output.container });
+  }
+  if (output.sampleRate) {
+    rows.push({ label: "Sample Rate", value: `${output.sampleRate} Hz` });
+  }
+  if (output.bitRate) {
+    rows.push({ label: "Bit Rate", value: `${output.bitRate / 1000} kbps` });
+  }
+  return rows;
+}
+
+// ============================================================================
+// METADATA FETCHING
+// ============================================================================
+
+/**
+ * Fetches app metadata from the backend and updates the UI
+ * Updates page title, description, header title, and repository link
+ */
+async function fetchMetadata() {
+  try {
+    const metadata = await ttsClient.getMetadata();
+
+    // Update page title
+    const pageTitle = document.getElementById('pageTitle');
+    if (metadata.title && pageTitle) {
+      pageTitle.textContent = metadata.title;
+    }
+
+    // Update page description
+    const pageDescription = document.getElementById('pageDescription');
+    if (metadata.description && pageDescription) {
+      pageDescription.setAttribute('content', metadata.description);
+    }
+
+    // Update header title
+    const headerTitle = document.getElementById('headerTitle');
+    if (metadata.title && headerTitle) {
+      headerTitle.textContent = metadata.title;
+    }
+
+    // Update repository link
+    const repoLink = document.getElementById('repoLink');
+    if (metadata.repository && repoLink) {
+      repoLink.href = metadata.repository;
+    }
+
+    console.log('Metadata loaded:', metadata);
+  } catch (error) {
+    console.warn('Error loading metadata, using defaults:', error);
+  }
+}
+
+// ============================================================================
+// VOICE CATALOG
+// ============================================================================
+
+/**
+ * Fetches the voice catalog from the backend and refreshes the model picker
+ * Keeps the built-in DEFAULT_VOICES if the endpoint is missing or fails
+ */
+async function fetchVoiceCatalog() {
+  try {
+    const data = await ttsClient.getModels();
+    const models = Array.isArray(data) ? data : data.tts || data.models || [];
+
+    // The catalog lists a voice once per language variant; keep the first
+    const voices = [];
+    const seen = new Set();
+    models.map(normalizeVoice).forEach((voice) => {
+      if (voice && !seen.has(voice.id)) {
+        seen.add(voice.id);
+        voices.push(voice);
+      }
+    });
+
+    if (voices.length === 0) {
+      console.warn("Voice catalog is empty, using built-in voices");
+      return;
+    }
+
+    voiceCatalog = voices;
+    renderVoiceFilters();
+    renderVoiceOptions();
+  } catch (error) {
+    console.warn("Error loading voice catalog, using built-in voices:", error);
+  }
+}
+
+/**
+ * Converts a model from the catalog response into a voice entry
+ *
+ * @param {Object} model - A text-to-speech model as returned by Deepgram's /v1/models
+ * @returns {Object|null} Voice in the DEFAULT_VOICES shape, plus an optional
+ *   `sample` audio URL, or null if the model has no canonical name
+ */
+function normalizeVoice(model) {
+  const id = model.canonical_name || model.id;
+  if (!id) return null;
+
+  const metadata = model.metadata || {};
+  const tags = (metadata.tags || []).map((tag) => String(tag).toLowerCase());
+  let gender = model.gender || "";
+  if (!gender && tags.includes("feminine")) gender = "Female";
+  if (!gender && tags.includes("masculine")) gender = "Male";
+
+  const languages = model.languages || (model.language ? [model.language] : []);
+  const name = model.name || id;
+
+  return {
+    id,
+    name: name.charAt(0).toUpperCase() + name.slice(1),
+    gender,
+    accent: metadata.accent || model.accent || "",
+    language: languages.length > 0 ? languages[0].split("-")[0].toLowerCase() : "",
+    architecture: model.architecture || id.split("-").slice(0, id.startsWith("aura-2") ? 2 : 1).join("-"),
+    sample: metadata.sample || null,
+  };
+}
+
+/**
+ * Returns a display name for a language code (e.g. "en" -> "English")
+ *
+ * @param {string} code - ISO 639 language code
+ * @returns {string}
+ */
+function getLanguageName(code) {
+  if (!code) return "";
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * Builds the option label for a voice, e.g. "Thalia (Female American English)"
+ *
+ * @param {Object} voice - Voice entry
+ * @returns {string}
+ */
+function getVoiceLabel(voice) {
+  const details = [voice.gender, voice.accent, getLanguageName(voice.language)].filter(Boolean).join(" ");
+  return details ? `${voice.name} (${details})` : voice.name;
+}
+
+/**
+ * Returns the architecture heading used to group voices, e.g. "Aura-2"
+ *
+ * @param {string} architecture - Voice architecture ("aura", "aura-2", ...)
+ * @returns {string}
+ */
+function getGenerationLabel(architecture) {
+  return architecture ? architecture.charAt(0).toUpperCase() + architecture.slice(1) : "Other";
+}
+
+/**
+ * Fills the language, accent, gender and generation filters with the
+ * values present in the catalog, keeping any current selection
+ */
+function renderVoiceFilters() {
+  const fill = (select, allLabel, values, labelFor = (value) => value) => {
+    if (!select) return;
+    const current = select.value;
+    const unique = [...new Set(values.filter(Boolean))].sort((a, b) => labelFor(a).localeCompare(labelFor(b)));
+    select.innerHTML =
+      `<option value="">${allLabel}</option>` +
+      unique.map((value) => `<option value="${escapeHtml(value)}">${escapeHtml(labelFor(value))}</option>`).join("");
+    select.value = unique.includes(current) ? current : "";
+  };
+
+  fill(voiceLanguageSelect, "All languages", voiceCatalog.map((voice) => voice.language), getLanguageName);
+  fill(voiceAccentSelect, "All accents", voiceCatalog.map((voice) => voice.accent));
+  fill(voiceGenderSelect, "All genders", voiceCatalog.map((voice) => voice.gender));
+  fill(voiceGenerationSelect, "All models", voiceCatalog.map((voice) => voice.architecture), getGenerationLabel);
+}
+
+/**
+ * Returns the catalog voices that pass the search and filter controls
+ *
+ * @returns {Array<Object>} Matching voices, in catalog order
+ */
+function getFilteredVoices() {
+  const query = voiceSearchInput ? voiceSearchInput.value.trim().toLowerCase() : "";
+  const language = voiceLanguageSelect ? voiceLanguageSelect.value : "";
+  const accent = voiceAccentSelect ? voiceAccentSelect.value : "";
+  const gender = voiceGenderSelect ? voiceGenderSelect.value : "";
+  const generation = voiceGenerationSelect ? voiceGenerationSelect.value : "";
+
+  return voiceCatalog.filter((voice) => {
+    if (language && voice.language !== language) return false;
+    if (accent && voice.accent !== accent) return false;
+    if (gender && voice.gender !== gender) return false;
+    if (generation && voice.architecture !== generation) return false;
+    if (query) {
+      const haystack = `${voice.id} ${getVoiceLabel(voice)}`.toLowerCase();
+      if (!haystack.includes(query)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Rebuilds the model <select> from the catalog and the current filters
+ *
+ * The saved voice is selected whenever it passes the filters; otherwise
+ * the first matching voice is shown (without overwriting the saved one).
+ */
+function renderVoiceOptions() {
+  if (!modelSelect) return;
+
+  const matches = getFilteredVoices();
+
+  // Group by architecture, newest generation first
+  const groups = new Map();
+  matches.forEach((voice) => {
+    if (!groups.has(voice.architecture)) groups.set(voice.architecture, []);
+    groups.get(voice.architecture).push(voice);
+  });
+  const architectures = [...groups.keys()].sort((a, b) => b.localeCompare(a));
+
+  if (matches.length === 0) {
+    modelSelect.innerHTML = '<option value="" disabled selected>No voices match these filters</option>';
+  } else {
+    modelSelect.innerHTML = architectures
+      .map((architecture) => {
+        const options = groups
+          .get(architecture)
+          .map((voice) => `<option value="${escapeHtml(voice.id)}">${escapeHtml(getVoiceLabel(voice))}</option>`)
+          .join("");
+        return `<optgroup label="${escapeHtml(getGenerationLabel(architecture))}">${options}</optgroup>`;
+      })
+      .join("");
+
+    const savedVoice = sharedVoice || localStorage.getItem(VOICE_STORAGE_KEY);
+    modelSelect.value = matches.some((voice) => voice.id === savedVoice) ? savedVoice : matches[0].id;
+  }
+
+  if (voiceCount) {
+    voiceCount.textContent =
+      matches.length === voiceCatalog.length
+        ? `${voiceCatalog.length} voices`
+        : `Showing ${matches.length} of ${voiceCatalog.length} voices`;
+  }
+
+  if (voicePreviewBtn) {
+    voicePreviewBtn.disabled = matches.length === 0;
+  }
+
+  renderCompareVoiceList(matches);
+  updateFormValidation();
+}
+
+/**
+ * Plays a short sample of a voice, or stops it if it is already playing
+ *
+ * Uses the catalog's sample audio when there is one; otherwise generates
+ * VOICE_PREVIEW_TEXT with the voice and caches the result for this visit.
+ *
+ * @param {string} voiceId - Model name of the voice to preview
+ */
+async function previewVoice(voiceId) {
+  const wasPlaying = voicePreviewAudio && voicePreviewAudio.dataset.voice === voiceId;
+  stopVoicePreview();
+  if (wasPlaying || !voiceId) return;
+
+  const voice = voiceCatalog.find((item) => item.id === voiceId);
+  if (!voice) return;
+
+  setVoicePreviewState("loading");
+
+  try {
+    let url = voice.sample || voicePreviewUrls.get(voiceId);
+    if (!url) {
+      const previewText = VOICE_PREVIEW_TEXT.replace("{name}", voice.name);
+      const budget = checkBudget([{ model: voiceId, characters: previewText.length }]);
+      if (budget.level === "hard") {
+        setVoicePreviewState("idle");
+        showError(`${escapeHtml(budget.message)}. Raise the budget under Usage to preview voices.`);
+        return;
+      }
+      const blob = await ttsClient.requestSpeech(previewText, { model: voiceId });
+      url = URL.createObjectURL(blob);
+      voicePreviewUrls.set(voiceId, url);
+    }
+
+    const audio = new Audio(url);
+    audio.dataset.voice = voiceId;
+    audio.addEventListener("ended", stopVoicePreview);
+    voicePreviewAudio = audio;
+    await audio.play();
+    setVoicePreviewState("playing");
+  } catch (error) {
+    console.error("Voice preview error:", error);
+    stopVoicePreview();
+    showError(`Unable to preview ${escapeHtml(voice.name)}: ${escapeHtml(error.message)}`);
+  }
+}
+
+/**
+ * Stops any playing voice preview and resets the preview button
+ */
+function stopVoicePreview() {
+  if (voicePreviewAudio) {
+    voicePreviewAudio.pause();
+    voicePreviewAudio = null;
+  }
+  setVoicePreviewState("idle");
+}
+
+/**
+ * Updates the preview button icon for the preview state
+ *
+ * @param {"idle"|"loading"|"playing"} state - Preview state
+ */
+function setVoicePreviewState(state) {
+  if (!voicePreviewBtn) return;
+
+  const icons = {
+    idle: "fa-solid fa-play",
+    loading: "fa-solid fa-spinner fa-spin",
+    playing: "fa-solid fa-stop",
+  };
+  voicePreviewBtn.innerHTML = `<i class="${icons[state]}"></i>`;
+  voicePreviewBtn.title = state === "playing" ? "Stop preview" : "Preview voice";
+  voicePreviewBtn.disabled = state === "loading" || !modelSelect.value;
+}
+
+// ============================================================================
+// INITIALIZATION & SETUP
+// ============================================================================
+
+/**
+ * Initializes the application
+ * - Caches DOM element references
+ * - Sets up event listeners
+ * - Loads initial state from URL parameters
+ * - Renders history sidebar
+ *
+ * Called when DOM is ready
+ */
+function init() {
+  // Get DOM elements
+  textInput = document.getElementById("textInput");
+  modelSelect = document.getElementById("model");
+  generateBtn = document.getElementById("generateBtn");
+  mainContent = document.getElementById("mainContent");
+  statusContainer = document.getElementById("statusContainer");
+  statusMessage = document.getElementById("statusMessage");
+  metadataContainer = document.getElementById("metadataContainer");
+  metadataGrid = document.getElementById("metadataGrid");
+  historyTitle = document.getElementById("historyTitle");
+  historySidebarContent = document.getElementById("historySidebarContent");
+  chunkProgress = document.getElementById("chunkProgress");
+  encodingSelect = document.getElementById("encoding");
+  containerSelect = document.getElementById("container");
+  sampleRateSelect = document.getElementById("sampleRate");
+  bitRateSelect = document.getElementById("bitRate");
+  postProcessToggle = document.getElementById("postProcessEnabled");
+  postProcessOptions = document.getElementById("postProcessOptions");
+  voiceSearchInput = document.getElementById("voiceSearch");
+  voiceLanguageSelect = document.getElementById("voiceLanguage");
+  voiceAccentSelect = document.getElementById("voiceAccent");
+  voiceGenderSelect = document.getElementById("voiceGender");
+  voiceGenerationSelect = document.getElementById("voiceGeneration");
+  voicePreviewBtn = document.getElementById("voicePreviewBtn");
+  voiceCount = document.getElementById("voiceCount");
+  compareModeToggle = document.getElementById("compareMode");
+  compareVoiceList = document.getElementById("compareVoiceList");
+  batchFileInput = document.getElementById("batchFile");
+  batchShowBtn = document.getElementById("batchShowBtn");
+  lexiconSummary = document.getElementById("lexiconSummary");
+  lexiconEditBtn = document.getElementById("lexiconEditBtn");
+  dialogueSummary = document.getElementById("dialogueSummary");
+  dialogueEditBtn = document.getElementById("dialogueEditBtn");
+  characterCount = document.getElementById("characterCount");
+  usageSummary = document.getElementById("usageSummary");
+  usageViewBtn = document.getElementById("usageViewBtn");
+  markupBackdrop = document.getElementById("markupBackdrop");
+  markupErrors = document.getElementById("markupErrors");
+  markupPreviewBtn = document.getElementById("markupPreviewBtn");
+  historySearchInput = document.getElementById("historySearch");
+  historyViewBtn = document.getElementById("historyViewBtn");
+
+  loadLexicon();
+  loadPostProcessing();
+  loadKaraokeMode();
+  loadUsage();
+
+  // Show the built-in voices right away; the full catalog replaces them once loaded
+  renderVoiceFilters();
+  renderVoiceOptions();
+  loadDialogueDraft();
+
+  // Check if we should enable elements (no state parameter means normal operation)
+  const urlParams = new URLSearchParams(window.location.search);
+  const state = urlParams.get("state");
+
+  if (!state) {
+    // Enable all form elements for normal operation
+    enableFormElements();
+  }
+
+  setupEventListeners();
+  // Set initial state
+  updateFormValidation();
+  // Render history
+  renderHistory();
+  // Check URL for request_id
+  checkUrlForRequestId();
+  // Fetch and display app metadata
+  fetchMetadata();
+  // Fetch the voice catalog
+  fetchVoiceCatalog();
+  // Cache the app for offline use and run anything queued while offline
+  registerServiceWorker();
+  processGenerationQueue();
+}
+
+/**
+ * Sets up all event listeners for the application
+ * - Text input
+ * - Generate button
+ * - Browser navigation (back/forward)
+ */
+function setupEventListeners() {
+  // Text input - listen for changes
+  if (textInput) {
+    textInput.addEventListener("input", updateFormValidation);
+    textInput.addEventListener("input", updateMarkupEditor);
+    textInput.addEventListener("scroll", () => {
+      if (markupBackdrop) markupBackdrop.scrollTop = textInput.scrollTop;
+    });
+    updateMarkupEditor();
+  }
+
+  // History search and full view
+  if (historySearchInput) {
+    historySearchInput.addEventListener("input", () => {
+      historySearchQuery = historySearchInput.value;
+      renderHistory();
+    });
+  }
+
+  if (historyViewBtn) {
+    historyViewBtn.addEventListener("click", () => {
+      hideStatus();
+      displayHistoryView();
+    });
+  }
+
+  if (markupPreviewBtn) {
+    markupPreviewBtn.addEventListener("click", () => {
+      hideStatus();
+      displayMarkupPlan();
+    });
+  }
+
+  // Generate button
+  if (generateBtn) {
+    generateBtn.addEventListener("click", handleGenerate);
+  }
+
+  // Voice picker - filters, persistence and preview
+  [voiceSearchInput, voiceLanguageSelect, voiceAccentSelect, voiceGenderSelect, voiceGenerationSelect].forEach(
+    (filter) => {
+      if (filter) {
+        filter.addEventListener("input", renderVoiceOptions);
+      }
+    }
+  );
+
+  if (modelSelect) {
+    modelSelect.addEventListener("change", () => {
+      sharedVoice = null;
+      localStorage.setItem(VOICE_STORAGE_KEY, modelSelect.value);
+      stopVoicePreview();
+      updateFormValidation();
+    });
+  }
+
+  if (voicePreviewBtn) {
+    voicePreviewBtn.addEventListener("click", () => previewVoice(modelSelect.value));
+  }
+
+  // Comparison mode - pick several voices instead of one
+  if (compareModeToggle) {
+    compareModeToggle.addEventListener("change", updateCompareMode);
+  }
+
+  if (compareVoiceList) {
+    compareVoiceList.addEventListener("change", (e) => {
+      if (e.target.type !== "checkbox") return;
+      if (e.target.checked) {
+        compareSelection.add(e.target.value);
+      } else {
+        compareSelection.delete(e.target.value);
+      }
+      renderCompareVoiceList();
+      updateFormValidation();
+    });
+
+    compareVoiceList.addEventListener("click", (e) => {
+      const previewBtn = e.target.closest("[data-preview-voice]");
+      if (previewBtn) {
+        e.preventDefault();
+        previewVoice(previewBtn.dataset.previewVoice);
+      }
+    });
+  }
+
+  // Batch generation - load a file, or go back to the batch table
+  if (batchFileInput) {
+    batchFileInput.addEventListener("change", () => {
+      if (batchFileInput.files.length > 0) {
+        loadBatchFile(batchFileInput.files[0]);
+      }
+      // Allow choosing the same file again
+      batchFileInput.value = "";
+    });
+  }
+
+  if (lexiconEditBtn) {
+    lexiconEditBtn.addEventListener("click", () => {
+      hideStatus();
+      displayLexicon();
+    });
+  }
+
+  if (usageViewBtn) {
+    usageViewBtn.addEventListener("click", () => {
+      hideStatus();
+      displayUsage();
+    });
+  }
+
+  if (dialogueEditBtn) {
+    dialogueEditBtn.addEventListener("click", () => {
+      activeRequestId = null;
+      hideStatus();
+      displayDialogue();
+      renderHistory();
+    });
+  }
+
+  if (batchShowBtn) {
+    batchShowBtn.addEventListener("click", () => {
+      if (batchJob) {
+        activeRequestId = null;
+        displayBatch(batchJob);
+        renderHistory();
+      }
+    });
+  }
+
+  // Output format - grey out options the chosen encoding doesn't support
+  if (encodingSelect) {
+    encodingSelect.addEventListener("change", updateOutputOptions);
+  }
+
+  // Post-processing settings are saved as soon as they change
+  if (postProcessToggle && postProcessOptions) {
+    postProcessToggle.addEventListener("change", handlePostProcessingChange);
+    postProcessOptions.addEventListener("change", handlePostProcessingChange);
+  }
+
+  // Chunk retry buttons (rendered into the status area on failure)
+  if (chunkProgress) {
+    chunkProgress.addEventListener("click", (e) => {
+      const retryBtn = e.target.closest("[data-retry-chunk]");
+      if (!retryBtn) return;
+      const index = retryBtn.dataset.retryChunk;
+      retryChunks(index === "all" ? null : [Number(index)]);
+    });
+  }
+
+  // Cancel button shown by showWorking() while a generation is in flight
+  if (statusMessage) {
+    statusMessage.addEventListener("click", (e) => {
+      if (e.target.closest("[data-cancel-generation]")) {
+        cancelGeneration();
+      }
+    });
+  }
+
+  // Handle browser back/forward navigation
+  window.addEventListener("popstate", () => {
+    checkUrlForRequestId();
+  });
+
+  // Pasting a share link into this tab only changes the hash
+  window.addEventListener("hashchange", () => {
+    checkUrlForRequestId();
+  });
+
+  // Follow the client: re-render history when it changes, show chunk
+  // progress, count usage per successful request, and report a session
+  // that couldn't be renewed
+  historyStore.addEventListener("change", () => renderHistory());
+  ttsClient.addEventListener("start", handleChunkProgress);
+  ttsClient.addEventListener("progress", handleChunkProgress);
+  ttsClient.addEventListener("progress", handleDialogueProgress);
+  ttsClient.addEventListener("response", (e) => recordUsage(e.detail.model, e.detail.characters));
+  ttsClient.addEventListener("sessionexpired", () => showError("Session expired, please refresh the page."));
+
+  // Replay generations queued while offline
+  window.addEventListener("online", () => {
+    renderHistory();
+    processGenerationQueue();
+  });
+  window.addEventListener("offline", renderHistory);
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Handles text-to-speech generation request
+ * Main function that:
+ * - Validates form input
+ * - Parses script markup into voice and pause segments (see parseMarkup)
+ * - Splits long text into chunks and requests each one
+ * - Joins chunk audio and saves the result to history
+ * - Displays audio player
+ * - Handles errors
+ *
+ * CUSTOMIZATION TIPS:
+ * - Modify API_ENDPOINT constant to change backend URL
+ * - Add additional form parameters in TextToSpeechClient.requestSpeech() (tts-client.js)
+ * - Tune MAX_CHUNK_CHARACTERS and CHUNK_CONCURRENCY for your backend
+ * - Customize error handling logic
+ */
+async function handleGenerate() {
+  const text = textInput ? textInput.value.trim() : "";
+
+  // Check if text was provided
+  if (!text) {
+    showError("Please enter some text to convert to speech");
+    return;
+  }
+
+  const model = modelSelect ? modelSelect.value : "aura-2-thalia-en";
+  const output = getOutputOptions();
+
+  const markup = hasMarkup(text) ? parseMarkup(text, model) : null;
+  if (markup && markup.errors.length > 0) {
+    showError(`Fix the markup before generating: ${escapeHtml(markup.errors[0].message)}`);
+    return;
+  }
+
+  const budget = checkBudget(getBillableRequests(text));
+  if (budget.level === "hard") {
+    showError(`${escapeHtml(budget.message)}. Raise the budget under Usage to continue.`);
+    return;
+  }
+
+  if (isCompareMode() && markup) {
+    showError("Script markup picks voices itself, so it can't be used in comparison mode");
+    return;
+  }
+
+  if (!navigator.onLine) {
+    await queueGeneration({ text, model, output, models: isCompareMode() ? [...compareSelection] : null });
+    return;
+  }
+
+  // Rewrite terms from the pronunciation lexicon; the typed text is what gets displayed
+  const { text: spokenText, applied } = applyLexicon(text);
+
+  if (isCompareMode()) {
+    await runComparison(text, [...compareSelection], output, { spokenText, lexicon: applied });
+    return;
+  }
+
+  const plan = markup
+    ? planMarkupChunks(markup.segments)
+    : { chunks: splitTextIntoChunks(spokenText, MAX_CHUNK_CHARACTERS).map((chunkText) => ({ text: chunkText })), lexicon: applied };
+
+  chunkJob = {
+    text,
+    model,
+    output,
+    lexicon: plan.lexicon,
+    markup: markup ? describeMarkupPlan(markup.segments) : null,
+    startedAt: performance.now(),
+    player: null,
+    timeToFirstAudio: null,
+    chunks: plan.chunks.map((chunk) => ({
+      ...chunk,
+      status: "pending",
+      blob: null,
+      error: null,
+    })),
+  };
+
+  // Silent pause chunks are filled in when joining, so scripts skip streaming
+  if (STREAMING_PLAYBACK && !markup) {
+    chunkJob.player = createStreamingPlayer(chunkJob);
+  }
+
+  // Disable form elements and show working status
+  generationController = new AbortController();
+  disableFormElements();
+  showWorking();
+
+  await runChunkJob(chunkJob, chunkJob.chunks.map((_, index) => index));
+}
+
+/**
+ * Re-runs failed chunks of the current job without redoing the others
+ *
+ * @param {Array<number>|null} indexes - Chunk indexes to retry, or null for every failed chunk
+ */
+async function retryChunks(indexes) {
+  const job = chunkJob;
+  if (!job) return;
+
+  const toRetry = (indexes || job.chunks.map((_, index) => index)).filter(
+    (index) => job.chunks[index] && job.chunks[index].status === "failed"
+  );
+  if (toRetry.length === 0) return;
+
+  generationController = new AbortController();
+  disableFormElements();
+  await runChunkJob(job, toRetry);
+}
+
+/**
+ * Requests audio for the given chunks of a job through the client, then
+ * either finishes the job or shows which chunks failed
+ * Chunk progress is rendered from the client's "progress" events.
+ *
+ * @param {Object} job - The chunk job (see chunkJob)
+ * @param {Array<number>} indexes - Chunk indexes to request
+ */
+async function runChunkJob(job, indexes) {
+  const { signal } = generationController;
+
+  // Feed bytes to the progressive player as they arrive; a failed chunk
+  // stops the player, after which the other chunks are only collected
+  const stream = job.player
+    ? {
+        onStart: (index, contentType) => job.player && job.player.start(index, contentType),
+        onData: (index, bytes) => job.player && job.player.push(index, bytes),
+        onEnd: (index) => job.player && job.player.end(index),
+        onError: () => stopStreamingPlayback(job),
+      }
+    : null;
+
+  let result = null;
+  let failure = null;
+  try {
+    result = await ttsClient.synthesize(job.text, {
+      model: job.model,
+      output: job.output,
+      chunks: job.chunks,
+      only: indexes,
+      stream,
+      signal,
+      onRetry: showRetryStatus,
+      startedAt: job.startedAt,
+    });
+  } catch (error) {
+    failure = error;
+  }
+
+  // A newer generation replaced this job while it was running
+  if (job !== chunkJob) return;
+
+  const cancelled = signal.aborted;
+  generationController = null;
+
+  // Failed chunks stay in the job so they can be retried by themselves
+  if (failure && failure.chunks) {
+    const failed = job.chunks.filter((chunk) => chunk.status === "failed");
+    // Re-enable form elements so the text can be edited or regenerated
+    enableFormElements();
+    if (job.chunks.length === 1) {
+      showError(cancelled ? "Generation cancelled." : failed[0].error);
+    } else if (cancelled) {
+      showError(`Generation cancelled with ${failed.length} of ${job.chunks.length} chunks left. Retry them below or generate again.`);
+      renderChunkProgress(job);
+    } else {
+      showError(`${failed.length} of ${job.chunks.length} chunks failed. Retry them below or generate again.`);
+      renderChunkProgress(job);
+    }
+    return;
+  }
+
+  if (failure) {
+    console.error("Text-to-speech error:", failure);
+    stopStreamingPlayback(job);
+    // Re-enable form elements on error
+    enableFormElements();
+    showError(failure.message);
+    return;
+  }
+
+  await finishChunkJob(job, result);
+}
+
+/**
+ * Saves the joined audio of a completed chunk job to history and displays it
+ *
+ * @param {Object} job - The chunk job (see chunkJob)
+ * @param {Object} result - { blob, metadata, chunkTimings } from ttsClient.synthesize()
+ */
+async function finishChunkJob(job, { blob: originalBlob, metadata, chunkTimings: originalTimings }) {
+  const { text, model, output, lexicon, markup } = job;
+  chunkJob = null;
+
+  // Normalize, trim, pad and fade if enabled; the original is kept for comparison
+  let audioBlob = originalBlob;
+  let chunkTimings = originalTimings;
+  let postProcessing = null;
+  if (postProcessingSettings.enabled) {
+    showWorking("Processing audio...");
+    try {
+      const processed = await processAudio(originalBlob, postProcessingSettings, output);
+      audioBlob = processed.blob;
+      postProcessing = processed.details;
+      chunkTimings = shiftChunkTimings(originalTimings, postProcessing.offset);
+    } catch (error) {
+      console.error("Post-processing error:", error);
+      const settings = { ...postProcessingSettings };
+      delete settings.enabled;
+      postProcessing = { settings, error: error.message };
+    }
+  }
+  const processedOk = audioBlob !== originalBlob;
+
+  const { timeToFirstAudio } = job;
+
+  // Save to history and get the entry (pass blob, not URL)
+  const historyEntry = await historyStore.save(
+    audioBlob,
+    text,
+    model,
+    {
+      output,
+      timeToFirstAudio,
+      lexicon,
+      markup,
+      chunkTimings,
+      metadata,
+      postProcessing,
+    },
+    processedOk ? originalBlob : null
+  );
+
+  // Hand the streamed playback position over to the full audio
+  const streamedTo = job.player ? job.player.stop() : null;
+  const resumeAt = streamedTo !== null && processedOk ? Math.max(0, streamedTo + postProcessing.offset) : streamedTo;
+
+  // Set the active request ID and display
+  if (historyEntry) {
+    activeRequestId = historyEntry.id;
+  }
+  enableFormElements();
+  if (processedOk) {
+    displayProcessedAudio(text, audioBlob, originalBlob, chunkTimings, postProcessing);
+  } else {
+    displayAudio(URL.createObjectURL(audioBlob), text, audioBlob, chunkTimings);
+  }
+  displayMetadata(
+    { output, timeToFirstAudio, lexicon, markup, metadata, postProcessing, share: { text, model, output } },
+    text
+  );
+  hideStatus();
+  if (historyEntry) {
+    renderHistory(); // Re-render to highlight the active item
+  }
+
+  if (resumeAt !== null) {
+    resumeAudioAt(resumeAt);
+  }
+}
+
+/**
+ * Shows the progress of the current chunk job as the client reports it
+ *
+ * @param {CustomEvent} event - "start" or "progress" event from ttsClient
+ */
+function handleChunkProgress(event) {
+  const job = chunkJob;
+  const { request, completed, total } = event.detail;
+  if (!job || request.chunks !== job.chunks) return;
+
+  if (completed === total && total > 1) {
+    showWorking("Joining audio...");
+    return;
+  }
+  renderChunkProgress(job);
+}
+
+// ============================================================================
+// CANCELLATION & RETRY
+// ============================================================================
+
+/**
+ * Cancels the single or comparison generation in progress
+ */
+function cancelGeneration() {
+  if (generationController) {
+    generationController.abort();
+    showWorking("Cancelling...");
+  }
+}
+
+/**
+ * Shows a pending retry in the status message, keeping any chunk progress visible
+ *
+ * @param {Object} retry - { attempt, maxAttempts, secondsLeft, error } from requestWithRetry()
+ */
+function showRetryStatus({ attempt, maxAttempts, secondsLeft, error }) {
+  if (!generationController || generationController.signal.aborted) return;
+
+  const chunkProgressVisible = chunkProgress && chunkProgress.style.display === "block";
+  showWorking(
+    `${escapeHtml(error.message)} · Retrying in ${secondsLeft} s (attempt ${attempt} of ${maxAttempts})`
+  );
+  if (chunkProgressVisible) {
+    chunkProgress.style.display = "block";
+  }
+}
+
+// ============================================================================
+// STREAMING PLAYBACK
+// ============================================================================
+
+/**
+ * Creates a progressive player for a chunk job
+ *
+ * Chunk responses can arrive out of order (they are requested concurrently),
+ * so bytes are buffered per chunk and fed to the audio sink strictly in
+ * chunk order. The sink is chosen from the first chunk's Content-Type:
+ * - WAV / raw linear16 is decoded and scheduled with Web Audio
+ * - Other formats use MediaSource when the browser supports the type
+ * If neither applies, playback simply waits for the complete file.
+ *
+ * @param {Object} job - The chunk job (see chunkJob)
+ * @returns {Object} { start(index, contentType), push(index, bytes), end(index), stop() }
+ */
+function createStreamingPlayer(job) {
+  const segments = job.chunks.map(() => ({ parts: [], started: false, ended: false, fed: false }));
+  let cursor = 0;
+  let sink = null;
+  let stopped = false;
+
+  // Resume audio output while we are still inside the click handler,
+  // otherwise autoplay policies may keep the context suspended
+  try {
+    getAudioContext().resume();
+  } catch (error) {
+    console.warn("Web Audio unavailable, streaming limited to MediaSource:", error);
+  }
+
+  const onFirstAudio = (delayMs) => {
+    if (job.timeToFirstAudio === null) {
+      job.timeToFirstAudio = Math.round(performance.now() - job.startedAt + delayMs);
+    }
+  };
+
+  const onSinkError = (error) => {
+    console.warn("Streaming playback stopped, waiting for the full audio:", error);
+    stopStreamingPlayback(job);
+  };
+
+  function drain() {
+    if (!sink || stopped) return;
+
+    while (cursor < segments.length) {
+      const segment = segments[cursor];
+      if (!segment.started) return;
+
+      if (!segment.fed) {
+        sink.beginSegment();
+        segment.fed = true;
+      }
+      while (segment.parts.length > 0) {
+        sink.write(segment.parts.shift());
+      }
+      if (!segment.ended) return;
+      cursor += 1;
+    }
+
+    sink.finish();
+  }
+
+  return {
+    start(index, contentType) {
+      if (stopped) return;
+      segments[index].started = true;
+
+      if (index === 0 && !sink) {
+        sink = createStreamingSink(contentType, job.output, onFirstAudio, onSinkError);
+        if (!sink) {
+          stopped = true;
+          return;
+        }
+        displayStreamingAudio(job.text, sink.element);
+      }
+      drain();
+    },
+
+    push(index, bytes) {
+      if (stopped) return;
+      segments[index].parts.push(bytes);
+      drain();
+    },
+
+    end(index) {
+      if (stopped) return;
+      segments[index].ended = true;
+      drain();
+    },
+
+    /**
+     * Stops playback
+     * @returns {number|null} Playback position in seconds if audio was still
+     *   playing, so the full file can pick up where streaming left off
+     */
+    stop() {
+      stopped = true;
+      return sink ? sink.stop() : null;
+    },
+  };
+}
+
+/**
+ * Stops a job's progressive playback and puts the main area back to its
+ * empty state if the streaming view was showing
+ *
+ * @param {Object} job - The chunk job (see chunkJob)
+ */
+function stopStreamingPlayback(job) {
+  if (!job || !job.player) return;
+  job.player.stop();
+  job.player = null;
+  if (mainContent && mainContent.querySelector(".streaming-audio")) {
+    renderEmptyState();
+  }
+}
+
+/**
+ * Picks and creates the audio sink for a streamed Content-Type
+ *
+ * @param {string} contentType - Response Content-Type
+ * @param {Object|null} output - Requested output format (see getOutputOptions)
+ * @param {Function} onFirstAudio - Called once with the ms until the first sample is heard
+ * @param {Function} onError - Called if the sink can no longer play
+ * @returns {Object|null} The sink, or null if this type can't be streamed
+ */
+function createStreamingSink(contentType, output, onFirstAudio, onError) {
+  const mimeType = contentType.split(";")[0].trim().toLowerCase();
+  const rawFormat = getRawPcmFormat(output);
+
+  if (rawFormat || ["audio/wav", "audio/wave", "audio/x-wav", "audio/l16"].includes(mimeType)) {
+    try {
+      return createPcmSink(onFirstAudio, onError, rawFormat);
+    } catch (error) {
+      console.warn("Unable to stream PCM audio:", error);
+      return null;
+    }
+  }
+
+  if (window.MediaSource && MediaSource.isTypeSupported(contentType)) {
+    return createMediaSourceSink(contentType, onFirstAudio, onError);
+  }
+
+  return null;
+}
+
+/**
+ * Creates a Web Audio sink for linear16, mu-law or A-law audio, either WAV
+ * or headerless
+ *
+ * Each segment may start with its own WAV header; the format is read from
+ * it before samples are scheduled back to back on the shared AudioContext.
+ * Headerless audio needs its format passed as rawFormat.
+ *
+ * @param {Function} onFirstAudio - Called once with the ms until the first sample is heard
+ * @param {Function} onError - Called if the stream turns out to be another format
+ * @param {Object|null} [rawFormat] - Format of headerless audio (see getRawPcmFormat)
+ * @returns {Object} Streaming sink
+ */
+function createPcmSink(onFirstAudio, onError, rawFormat = null) {
+  const context = getAudioContext();
+  const sources = [];
+  // [{ start, offset, duration }] in context time, for playback position
+  const timeline = [];
+  let format = null;
+  let pending = new Uint8Array(0);
+  let nextTime = 0;
+  let scheduledSeconds = 0;
+  let failed = false;
+
+  const concatBytes = (a, b) => {
+    const joined = new Uint8Array(a.length + b.length);
+    joined.set(a, 0);
+    joined.set(b, a.length);
+    return joined;
+  };
+
+  function schedule(audioBuffer) {
+    const now = context.currentTime;
+    // First buffer, or we ran dry: leave a little lead time before playing
+    if (nextTime < now + 0.02) {
+      nextTime = now + STREAMING_PCM_LEAD_SECONDS;
+    }
+    if (timeline.length === 0) {
+      onFirstAudio((nextTime - now) * 1000);
+    }
+
+    const source = context.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(context.destination);
+    source.start(nextTime);
+    sources.push(source);
+
+    timeline.push({ start: nextTime, offset: scheduledSeconds, duration: audioBuffer.duration });
+    nextTime += audioBuffer.duration;
+    scheduledSeconds += audioBuffer.duration;
+  }
+
+  return {
+    element: null,
+
+    beginSegment() {
+      format = rawFormat;
+      pending = new Uint8Array(0);
+    },
+
+    write(bytes) {
+      if (failed) return;
+      pending = concatBytes(pending, bytes);
+
+      if (!format) {
+        const info = readWavInfo(pending.buffer);
+        if (!info) return;
+        if (!isDecodablePcm(info)) {
+          failed = true;
+          onError(new Error(`Unsupported WAV format ${info.audioFormat}/${info.bitsPerSample}-bit`));
+          return;
+        }
+        format = info;
+        pending = pending.slice(info.dataOffset);
+      }
+
+      // Only whole frames can be played; keep the remainder for next time
+      const frameBytes = format.channels * (format.bitsPerSample / 8);
+      const frames = Math.floor(pending.length / frameBytes);
+      if (frames === 0) return;
+
+      const samples = decodePcmSamples(pending.subarray(0, frames * frameBytes), format);
+      const audioBuffer = context.createBuffer(format.channels, frames, format.sampleRate);
+      for (let channel = 0; channel < format.channels; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let frame = 0; frame < frames; frame++) {
+          data[frame] = samples[frame * format.channels + channel] / 0x8000;
+        }
+      }
+      pending = pending.slice(frames * frameBytes);
+
+      schedule(audioBuffer);
+    },
+
+    finish() {},
+
+    stop() {
+      const now = context.currentTime;
+      const playing = timeline.length > 0 && now < nextTime;
+      let position = null;
+      if (playing) {
+        const current = timeline.filter((item) => item.start <= now).pop();
+        position = current ? current.offset + Math.min(now - current.start, current.duration) : 0;
+      }
+      sources.forEach((source) => {
+        try {
+          source.stop();
+        } catch (error) {
+          // Already stopped
+        }
+      });
+      sources.length = 0;
+      return position;
+    },
+  };
+}
+
+/**
+ * Creates a MediaSource sink that plays through an <audio> element
+ * Segments are appended in "sequence" mode so each chunk follows the last.
+ *
+ * @param {string} contentType - MIME type accepted by MediaSource.isTypeSupported()
+ * @param {Function} onFirstAudio - Called once with the ms until the first sample is heard
+ * @param {Function} onError - Called if appending fails
+ * @returns {Object} Streaming sink
+ */
+function createMediaSourceSink(contentType, onFirstAudio, onError) {
+  const mediaSource = new MediaSource();
+  const audio = document.createElement("audio");
+  const queue = [];
+  let sourceBuffer = null;
+  let finished = false;
+  let stopped = false;
+
+  audio.controls = true;
+  audio.autoplay = true;
+  audio.className = "audio-player";
+  audio.src = URL.createObjectURL(mediaSource);
+  audio.addEventListener("playing", () => onFirstAudio(0), { once: true });
+
+  function flush() {
+    if (!sourceBuffer || sourceBuffer.updating || stopped) return;
+    if (queue.length > 0) {
+      try {
+        sourceBuffer.appendBuffer(queue.shift());
+      } catch (error) {
+        onError(error);
+      }
+    } else if (finished && mediaSource.readyState === "open") {
+      mediaSource.endOfStream();
+    }
+  }
+
+  mediaSource.addEventListener(
+    "sourceopen",
+    () => {
+      URL.revokeObjectURL(audio.src);
+      try {
+        sourceBuffer = mediaSource.addSourceBuffer(contentType);
+        sourceBuffer.mode = "sequence";
+        sourceBuffer.addEventListener("updateend", flush);
+        flush();
+      } catch (error) {
+        onError(error);
+      }
+    },
+    { once: true }
+  );
+
+  return {
+    element: audio,
+
+    beginSegment() {},
+
+    write(bytes) {
+      queue.push(bytes);
+      flush();
+    },
+
+    finish() {
+      finished = true;
+      flush();
+    },
+
+    stop() {
+      stopped = true;
+      const position = !audio.paused && !audio.ended ? audio.currentTime : null;
+      audio.pause();
+      return position;
+    },
+  };
+}
+
+/**
+ * Seeks the main audio player and starts playing
+ * Used to continue from where streamed playback stopped
+ *
+ * @param {number} position - Position in seconds
+ */
+function resumeAudioAt(position) {
+  const audio = mainContent ? mainContent.querySelector("audio.audio-player") : null;
+  if (!audio) return;
+
+  const start = () => {
+    audio.currentTime = Math.min(position, audio.duration || position);
+    audio.play().catch((error) => console.warn("Unable to resume playback:", error));
+  };
+
+  if (audio.readyState >= 1) {
+    start();
+  } else {
+    audio.addEventListener("loadedmetadata", start, { once: true });
+  }
+}
+
+// ============================================================================
+// VOICE COMPARISON
+// ============================================================================
+
+/**
+ * Checks whether the form is in voice comparison mode
+ * @returns {boolean}
+ */
+function isCompareMode() {
+  return compareModeToggle ? compareModeToggle.checked : false;
+}
+
+/**
+ * Switches the voice picker between a single voice and a checklist
+ */
+function updateCompareMode() {
+  const comparing = isCompareMode();
+  const picker = document.querySelector(".voice-picker");
+  if (picker) {
+    picker.style.display = comparing ? "none" : "flex";
+  }
+  if (compareVoiceList) {
+    compareVoiceList.style.display = comparing ? "block" : "none";
+  }
+
+  // Start the comparison from the voice that was already chosen
+  if (comparing && compareSelection.size === 0 && modelSelect && modelSelect.value) {
+    compareSelection.add(modelSelect.value);
+  }
+
+  stopVoicePreview();
+  renderCompareVoiceList();
+  updateFormValidation();
+}
+
+/**
+ * Renders the comparison checklist for the voices passing the filters
+ * Ticked voices stay selected even while filtered out of view.
+ *
+ * @param {Array<Object>} [voices] - Voices to list (defaults to the filtered catalog)
+ */
+function renderCompareVoiceList(voices = getFilteredVoices()) {
+  if (!compareVoiceList || !isCompareMode()) return;
+
+  const atLimit = compareSelection.size >= MAX_COMPARE_VOICES;
+  const locked = compareModeToggle.disabled;
+
+  const rows = voices
+    .map((voice) => {
+      const checked = compareSelection.has(voice.id);
+      const disabled = locked || (atLimit && !checked);
+      return `
+        <label class="compare-voice">
+          <input type="checkbox" value="${escapeHtml(voice.id)}" ${checked ? "checked" : ""} ${disabled ? "disabled" : ""}>
+          <span class="compare-voice__label">${escapeHtml(getVoiceLabel(voice))}</span>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-preview-voice="${escapeHtml(voice.id)}"
+            title="Preview voice" aria-label="Preview ${escapeHtml(voice.name)}">
+            <i class="fa-solid fa-play"></i>
+          </button>
+        </label>
+      `;
+    })
+    .join("");
+
+  compareVoiceList.innerHTML = `
+    <div class="compare-voice-list__count">
+      ${compareSelection.size} selected (2 to ${MAX_COMPARE_VOICES} voices)
+    </div>
+    ${rows || '<div class="history-empty">No voices match these filters</div>'}
+  `;
+}
+
+/**
+ * Generates the same text with several voices in parallel and shows the
+ * results side by side, saving them as one grouped history entry
+ *
+ * @param {string} text - Text as typed (shown and saved)
+ * @param {Array<string>} models - Model names to compare
+ * @param {Object|null} output - Output format from getOutputOptions()
+ * @param {Object} [lexiconResult] - { spokenText, lexicon } from applyLexicon(), if rules fired
+ */
+async function runComparison(text, models, output, { spokenText = text, lexicon = [] } = {}) {
+  // A comparison replaces any chunked generation waiting on retries
+  chunkJob = null;
+
+  const controller = new AbortController();
+  generationController = controller;
+  disableFormElements();
+  showWorking(`Comparing ${models.length} voices...`);
+
+  let finished = 0;
+  const results = await Promise.all(
+    models.map(async (model) => {
+      const startedAt = performance.now();
+      try {
+        const { blob, metadata } = await ttsClient.synthesize(spokenText, {
+          model,
+          output,
+          signal: controller.signal,
+          onRetry: showRetryStatus,
+          startedAt,
+        });
+        const latency = Math.round(performance.now() - startedAt);
+        const duration = metadata.duration ?? null;
+        return { model, blob, latency, duration, size: blob.size, metadata, error: null };
+      } catch (error) {
+        if (!isAbortError(error)) {
+          console.error(`Text-to-speech error (${model}):`, error);
+        }
+        return { model, blob: null, error: isAbortError(error) ? "Cancelled" : error.message };
+      } finally {
+        finished += 1;
+        if (finished < models.length && !controller.signal.aborted) {
+          showWorking(`Comparing ${models.length} voices... ${finished} of ${models.length} done`);
+        }
+      }
+    })
+  );
+
+  generationController = null;
+  enableFormElements();
+
+  if (controller.signal.aborted) {
+    showError("Comparison cancelled.");
+    return;
+  }
+
+  const succeeded = results.filter((result) => result.blob);
+  if (succeeded.length === 0) {
+    showError(`Every voice failed: ${escapeHtml(results[0].error)}`);
+    return;
+  }
+
+  const historyEntry = await historyStore.saveComparison(succeeded, text, output, lexicon);
+  if (historyEntry) {
+    activeRequestId = historyEntry.id;
+  }
+
+  results.forEach((result) => {
+    if (result.blob) {
+      result.url = URL.createObjectURL(result.blob);
+    }
+  });
+
+  displayComparison(results, text);
+  displayMetadata(
+    { output, comparison: succeeded, lexicon, share: { text, output, models: succeeded.map((result) => result.model) } },
+    text
+  );
+  hideStatus();
+  renderHistory(); // Re-render to highlight the active item
+}
+
+/**
+ * Loads a saved comparison from history into the main view
+ *
+ * @param {Object} entry - History entry with type "comparison"
+ */
+async function loadComparisonEntry(entry) {
+  const blobs = await historyStore.getAudioSet(entry.id);
+  if (blobs.length === 0) {
+    showError("Audio data not found in history entry");
+    return;
+  }
+
+  activeRequestId = entry.id;
+
+  const results = entry.results.map((result, index) => ({
+    ...result,
+    blob: blobs[index] || null,
+    url: blobs[index] ? URL.createObjectURL(blobs[index]) : null,
+    error: blobs[index] ? null : "Audio missing from history",
+  }));
+
+  displayComparison(results, entry.text);
+  displayMetadata(
+    {
+      output: entry.output,
+      comparison: entry.results,
+      lexicon: entry.lexicon,
+      share: { text: entry.text, output: entry.output, models: entry.models },
+    },
+    entry.text
+  );
+  hideStatus();
+  renderHistory();
+}
+
+/**
+ * Displays comparison results as a grid of players with per-voice stats
+ *
+ * @param {Array<Object>} results - { model, url, latency, size, duration, error }
+ * @param {string} text - The input text that was converted to speech
+ */
+function displayComparison(results, text) {
+  if (stopComparisonSequence) {
+    stopComparisonSequence();
+  }
+
+  const cards = results
+    .map((result, index) => {
+      const voice = voiceCatalog.find((item) => item.id === result.model);
+      const label = voice ? getVoiceLabel(voice) : result.model;
+
+      const body = result.url
+        ? `
+          <audio controls preload="metadata" class="comparison-card__audio" src="${escapeHtml(result.url)}">
+            Your browser does not support the audio element.
+          </audio>
+          <div class="comparison-card__stats">
+            <div><span class="metadata-label">Latency</span> ${result.latency} ms</div>
+            ${
+              result.metadata && result.metadata.timeToFirstByte != null
+                ? `<div><span class="metadata-label">First byte</span> ${result.metadata.timeToFirstByte} ms</div>`
+                : ""
+            }
+            <div><span class="metadata-label">Size</span> ${formatBytes(result.size)}</div>
+            <div><span class="metadata-label">Duration</span> ${formatDuration(result.duration)}</div>
+          </div>
+          <div class="caption-downloads">
+            <span class="caption-downloads__label">Captions</span>
+            <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-caption-download="vtt" data-result="${index}">
+              WebVTT
+            </button>
+            <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-caption-download="srt" data-result="${index}">
+              SRT
+            </button>
+          </div>
+        `
+        : `<div class="comparison-card__error">
+             <i class="fa-solid fa-circle-exclamation"></i> ${escapeHtml(result.error || "Failed")}
+           </div>`;
+
+      return `
+        <div class="comparison-card">
+          <div class="comparison-card__voice">${escapeHtml(label)}</div>
+          <div class="comparison-card__model">${escapeHtml(result.model)}</div>
+          ${body}
+        </div>
+      `;
+    })
+    .join("");
+
+  mainContent.innerHTML = `
+    <div style="max-width: 1000px;">
+      <h2 class="dg-section-heading">Voice Comparison</h2>
+      <div class="generated-text">
+        ${escapeHtml(text)}
+      </div>
+      <button type="button" id="playAllBtn" class="dg-btn dg-btn--secondary dg-btn--sm">
+        <i class="fa-solid fa-play"></i> Play all in sequence
+      </button>
+      <div class="comparison-grid">
+        ${cards}
+      </div>
+    </div>
+  `;
+
+  document.getElementById("playAllBtn").addEventListener("click", toggleComparisonSequence);
+  mainContent.querySelector(".comparison-grid").addEventListener("click", (e) => {
+    const button = e.target.closest("[data-caption-download]");
+    if (button) {
+      downloadComparisonCaptions(results[Number(button.dataset.result)], text, button.dataset.captionDownload);
+    }
+  });
+}
+
+/**
+ * Plays every comparison player one after another, or stops if already playing
+ */
+function toggleComparisonSequence() {
+  if (stopComparisonSequence) {
+    stopComparisonSequence();
+    return;
+  }
+
+  const playAllBtn = document.getElementById("playAllBtn");
+  const audios = [...mainContent.querySelectorAll(".comparison-card__audio")];
+  let index = -1;
+
+  const clearPlaying = () => {
+    mainContent.querySelectorAll(".comparison-card--playing").forEach((card) => {
+      card.classList.remove("comparison-card--playing");
+    });
+  };
+
+  const playNext = () => {
+    clearPlaying();
+    index += 1;
+    if (index >= audios.length) {
+      stopComparisonSequence();
+      return;
+    }
+    const audio = audios[index];
+    audio.closest(".comparison-card").classList.add("comparison-card--playing");
+    audio.currentTime = 0;
+    audio.play().catch((error) => {
+      console.warn("Unable to play comparison audio:", error);
+      playNext();
+    });
+  };
+
+  audios.forEach((audio) => audio.addEventListener("ended", playNext));
+
+  stopComparisonSequence = () => {
+    audios.forEach((audio) => {
+      audio.removeEventListener("ended", playNext);
+      audio.pause();
+    });
+    clearPlaying();
+    if (playAllBtn) {
+      playAllBtn.innerHTML = '<i class="fa-solid fa-play"></i> Play all in sequence';
+    }
+    stopComparisonSequence = null;
+  };
+
+  if (playAllBtn) {
+    playAllBtn.innerHTML = '<i class="fa-solid fa-stop"></i> Stop';
+  }
+  playNext();
+}
+
+// ============================================================================
+// WAVEFORM DISPLAY
+// ============================================================================
+
+/**
+ * Computes waveform peaks from decoded audio
+ * Each peak is the largest absolute sample (across channels) in its slice.
+ *
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {number} buckets - Number of peaks to compute
+ * @returns {Array<number>} Peaks between 0 and 1
+ */
+function computePeaks(audioBuffer, buckets) {
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+  const samplesPerBucket = Math.max(1, Math.floor(audioBuffer.length / buckets));
+  const peaks = [];
+
+  for (let bucket = 0; bucket < buckets; bucket++) {
+    const start = bucket * samplesPerBucket;
+    const end = Math.min(start + samplesPerBucket, audioBuffer.length);
+    let peak = 0;
+    for (const data of channels) {
+      for (let i = start; i < end; i++) {
+        const value = Math.abs(data[i]);
+        if (value > peak) peak = value;
+      }
+    }
+    peaks.push(Math.min(1, Math.round(peak * 1000) / 1000));
+  }
+
+  return peaks;
+}
+
+/**
+ * Draws peaks as mirrored bars, with played audio and any selection
+ * highlighted. The canvas is resized to its CSS size at device resolution.
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array<number>|null} peaks - Peaks from computePeaks()
+ * @param {Object} [state] - { progress: 0-1, selection: { start, end } as 0-1 fractions }
+ */
+function drawWaveform(canvas, peaks, { progress = 0, selection = null } = {}) {
+  const context = canvas.getContext ? canvas.getContext("2d") : null;
+  if (!context) return;
+
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+  const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  context.clearRect(0, 0, width, height);
+  if (!peaks || peaks.length === 0) return;
+
+  const styles = getComputedStyle(document.documentElement);
+  const primary = styles.getPropertyValue("--dg-primary").trim() || "#13ef95";
+  const muted = styles.getPropertyValue("--dg-pebble").trim() || "#4e4e52";
+
+  if (selection) {
+    context.fillStyle = "rgba(138, 63, 252, 0.25)";
+    context.fillRect(selection.start * width, 0, (selection.end - selection.start) * width, height);
+  }
+
+  // One bar per pixel column (at most), using the loudest peak it covers
+  const barWidth = Math.max(1, Math.floor(ratio));
+  const gap = width / peaks.length > 3 * ratio ? ratio : 0;
+  const columns = Math.min(peaks.length, Math.floor(width / barWidth));
+  const middle = height / 2;
+
+  for (let column = 0; column < columns; column++) {
+    const from = Math.floor((column / columns) * peaks.length);
+    const to = Math.max(from + 1, Math.floor(((column + 1) / columns) * peaks.length));
+    const peak = Math.max(...peaks.slice(from, to));
+    const x = (column / columns) * width;
+    const barHeight = Math.max(ratio, peak * height * 0.9);
+
+    context.fillStyle = column / columns < progress ? primary : muted;
+    context.fillRect(x, middle - barHeight / 2, Math.max(barWidth, width / columns - gap), barHeight);
+  }
+
+  if (progress > 0 && progress < 1) {
+    context.fillStyle = "#fbfbff";
+    context.fillRect(Math.round(progress * width), 0, ratio, height);
+  }
+}
+
+/**
+ * Creates a waveform bound to an <audio> element
+ *
+ * The playhead follows playback. When interactive, clicking seeks and
+ * dragging selects a region (reported through onSelectionChange).
+ * Used for both the main player and the history sidebar thumbnails.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Object} options - { audio, interactive, onSelectionChange }
+ * @returns {Object} { setPeaks(peaks, duration), getSelection(), setSelection(selection), destroy() }
+ */
+function createWaveform(canvas, { audio = null, interactive = false, onSelectionChange = null } = {}) {
+  let peaks = null;
+  let duration = 0;
+  // Selection in seconds: { start, end }
+  let selection = null;
+  let animationFrame = null;
+  const cleanups = [];
+
+  const listen = (target, type, handler) => {
+    target.addEventListener(type, handler);
+    cleanups.push(() => target.removeEventListener(type, handler));
+  };
+
+  const draw = () => {
+    const progress = audio && duration ? Math.min(1, audio.currentTime / duration) : 0;
+    drawWaveform(canvas, peaks, {
+      progress,
+      selection: selection && duration ? { start: selection.start / duration, end: selection.end / duration } : null,
+    });
+  };
+
+  const tick = () => {
+    draw();
+    animationFrame = audio && !audio.paused ? requestAnimationFrame(tick) : null;
+  };
+
+  if (audio) {
+    listen(audio, "play", () => {
+      if (!animationFrame) tick();
+    });
+    listen(audio, "pause", draw);
+    listen(audio, "seeked", draw);
+    listen(audio, "ended", draw);
+  }
+
+  if (window.ResizeObserver) {
+    const observer = new ResizeObserver(draw);
+    observer.observe(canvas);
+    cleanups.push(() => observer.disconnect());
+  }
+
+  if (interactive) {
+    const timeAt = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+      return fraction * duration;
+    };
+
+    let dragStart = null;
+    let dragStartX = 0;
+    let dragging = false;
+
+    listen(canvas, "pointerdown", (event) => {
+      if (!duration) return;
+      dragStart = timeAt(event);
+      dragStartX = event.clientX;
+      dragging = false;
+      canvas.setPointerCapture(event.pointerId);
+    });
+
+    listen(canvas, "pointermove", (event) => {
+      if (dragStart === null) return;
+      // A few pixels of movement turns a click into a selection
+      if (!dragging && Math.abs(event.clientX - dragStartX) < 4) return;
+      dragging = true;
+      const time = timeAt(event);
+      selection = { start: Math.min(dragStart, time), end: Math.max(dragStart, time) };
+      draw();
+    });
+
+    listen(canvas, "pointerup", (event) => {
+      if (dragStart === null) return;
+      if (dragging) {
+        if (onSelectionChange) onSelectionChange(selection);
+      } else if (audio) {
+        audio.currentTime = timeAt(event);
+        draw();
+      }
+      dragStart = null;
+      dragging = false;
+    });
+  }
+
+  return {
+    setPeaks(newPeaks, newDuration) {
+      peaks = newPeaks;
+      duration = newDuration;
+      draw();
+    },
+    getSelection() {
+      return selection;
+    },
+    setSelection(newSelection) {
+      selection = newSelection;
+      draw();
+      if (onSelectionChange) onSelectionChange(selection);
+    },
+    destroy() {
+      if (animationFrame) cancelAnimationFrame(animationFrame);
+      cleanups.forEach((cleanup) => cleanup());
+    },
+  };
+}
+
+/**
+ * Adds an interactive waveform to the main player
+ * Decodes the audio, draws it, and wires up the selection toolbar
+ * (play selection, export selection as WAV, clear). The decoded audio
+ * also times the highlighting of the generated text and its captions.
+ *
+ * @param {Blob} audioBlob - The audio being displayed
+ * @param {string} text - The text shown with it
+ * @param {Array<Object>|null} chunkTimings - Where each chunk sits in the audio (see measureChunkTimings)
+ */
+async function mountMainWaveform(audioBlob, text, chunkTimings) {
+  const canvas = document.getElementById("waveformCanvas");
+  const audio = mainContent.querySelector("audio.audio-player");
+  if (!canvas || !audio) return;
+
+  if (mainWaveform) {
+    mainWaveform.waveform.destroy();
+    if (mainWaveform.karaoke) mainWaveform.karaoke.destroy();
+    if (mainWaveform.captionsUrl) URL.revokeObjectURL(mainWaveform.captionsUrl);
+    mainWaveform = null;
+  }
+
+  const selectionLabel = document.getElementById("waveformSelection");
+  const selectionButtons = document.querySelectorAll("[data-waveform-action]");
+
+  const onSelectionChange = (selection) => {
+    const hasSelection = selection && selection.end - selection.start > 0.01;
+    selectionButtons.forEach((button) => {
+      button.disabled = !hasSelection;
+    });
+    selectionLabel.textContent = hasSelection
+      ? `Selection: ${formatDuration(selection.start)} – ${formatDuration(selection.end)} (${formatDuration(selection.end - selection.start)})`
+      : "Click to seek, drag to select a region";
+  };
+
+  const waveform = createWaveform(canvas, { audio, interactive: true, onSelectionChange });
+  const textElement = mainContent.querySelector(".generated-text");
+  const karaoke = textElement ? createKaraoke(textElement, text, audio) : null;
+  const state = { waveform, karaoke, audioBuffer: null };
+  mainWaveform = state;
+  onSelectionChange(null);
+
+  // Stop "play selection" at the end of the region
+  audio.addEventListener("timeupdate", () => {
+    const selection = waveform.getSelection();
+    if (state.playingSelection && selection && audio.currentTime >= selection.end) {
+      audio.pause();
+      state.playingSelection = false;
+    }
+  });
+
+  document.querySelector(".waveform-toolbar").addEventListener("click", (e) => {
+    const button = e.target.closest("[data-waveform-action]");
+    if (!button) return;
+    const selection = waveform.getSelection();
+    const action = button.dataset.waveformAction;
+
+    if (action === "play" && selection) {
+      audio.currentTime = selection.start;
+      state.playingSelection = true;
+      audio.play().catch((error) => console.warn("Unable to play selection:", error));
+    } else if (action === "export" && selection && state.audioBuffer) {
+      exportAudioSelection(state.audioBuffer, selection);
+    } else if (action === "clear") {
+      waveform.setSelection(null);
+    }
+  });
+
+  try {
+    const audioBuffer = await decodeAudioBlob(audioBlob);
+    // Another result was displayed while decoding
+    if (mainWaveform !== state) return;
+    state.audioBuffer = audioBuffer;
+    waveform.setPeaks(computePeaks(audioBuffer, MAIN_WAVEFORM_PEAKS), audioBuffer.duration);
+    if (karaoke) karaoke.setAudioBuffer(audioBuffer, chunkTimings);
+    attachCaptions(audio, buildCaptionCues(text, audioBuffer, chunkTimings), state);
+  } catch (error) {
+    console.warn("Unable to draw waveform:", error);
+    canvas.closest(".waveform").style.display = "none";
+  }
+}
+
+/**
+ * Downloads a region of decoded audio as a 16-bit WAV file
+ *
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {{start: number, end: number}} selection - Region in seconds
+ */
+function exportAudioSelection(audioBuffer, selection) {
+  const from = Math.floor(selection.start * audioBuffer.sampleRate);
+  const to = Math.min(audioBuffer.length, Math.ceil(selection.end * audioBuffer.sampleRate));
+  const channelData = Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) =>
+    audioBuffer.getChannelData(channel).slice(from, to)
+  );
+
+  const wav = encodeWav(channelData, audioBuffer.sampleRate);
+  const label = `${selection.start.toFixed(2)}-${selection.end.toFixed(2)}s`;
+  downloadBlob(wav, `${activeRequestId || "audio"}-${label}.wav`);
+}
+
+/**
+ * Draws waveform thumbnails for history sidebar items
+ *
+ * Peaks are computed once per entry and saved on it, so later renders
+ * don't need to decode the audio again. Entries are decoded one at a
+ * time to keep the page responsive.
+ *
+ * @param {Array<{entry: Object, blob: Blob, canvas: HTMLCanvasElement, audio: HTMLAudioElement}>} items
+ * @param {number} renderToken - historyRenderToken of the render that created the canvases
+ */
+async function renderHistoryThumbnails(items, renderToken) {
+  historyThumbnails.forEach((waveform) => waveform.destroy());
+  historyThumbnails = [];
+
+  for (const { entry, blob, canvas, audio } of items) {
+    if (renderToken !== historyRenderToken) return;
+
+    let peaks = entry.peaks;
+    let duration = entry.duration;
+    if (!peaks) {
+      try {
+        const audioBuffer = await decodeAudioBlob(blob);
+        peaks = computePeaks(audioBuffer, THUMBNAIL_WAVEFORM_PEAKS);
+        duration = audioBuffer.duration;
+        await historyStore.update(entry.id, { peaks, duration: entry.duration ?? duration });
+      } catch (error) {
+        console.warn(`Unable to draw waveform for ${entry.id}:`, error);
+        continue;
+      }
+    }
+
+    if (renderToken !== historyRenderToken) return;
+    const waveform = createWaveform(canvas, { audio });
+    waveform.setPeaks(peaks, duration || (audio && audio.duration) || 0);
+    historyThumbnails.push(waveform);
+  }
+}
+
+// ============================================================================
+// AUDIO POST-PROCESSING
+// ============================================================================
+
+/**
+ * Restores the post-processing settings from LocalStorage
+ */
+function loadPostProcessing() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(POST_PROCESSING_STORAGE_KEY) || "null");
+    postProcessingSettings = sanitizePostProcessing({ ...DEFAULT_POST_PROCESSING, ...stored });
+  } catch (error) {
+    console.error("Error reading post-processing settings:", error);
+    postProcessingSettings = { ...DEFAULT_POST_PROCESSING };
+  }
+  renderPostProcessingControls();
+}
+
+/**
+ * Persists the post-processing settings to LocalStorage
+ */
+function savePostProcessing() {
+  try {
+    localStorage.setItem(POST_PROCESSING_STORAGE_KEY, JSON.stringify(postProcessingSettings));
+  } catch (error) {
+    console.error("Error saving post-processing settings:", error);
+  }
+}
+
+/**
+ * Builds post-processing settings from stored or typed values, clamping
+ * each one to its allowed range
+ *
+ * @param {Object} data - Settings in the shape of DEFAULT_POST_PROCESSING; numbers may be strings
+ * @returns {Object} See DEFAULT_POST_PROCESSING; target is null when normalize is "off"
+ */
+function sanitizePostProcessing(data) {
+  const number = (value, min, max, fallback) => {
+    const parsed = Number(value);
+    if (value === "" || value === null || value === undefined || Number.isNaN(parsed)) return fallback;
+    return Math.min(Math.max(parsed, min), max);
+  };
+  const milliseconds = (value) => Math.round(number(value, 0, MAX_POST_PROCESSING_MS, 0));
+
+  const normalize = data.normalize === "off" || NORMALIZE_TARGETS[data.normalize] ? data.normalize : "off";
+  const range = NORMALIZE_TARGETS[normalize];
+
+  return {
+    enabled: data.enabled === true,
+    normalize,
+    target: range ? number(data.target, range.min, range.max, range.default) : null,
+    trimThreshold: data.trimThreshold === null || data.trimThreshold === "off" ? null : number(data.trimThreshold, -90, -10, -50),
+    padStartMs: milliseconds(data.padStartMs),
+    padEndMs: milliseconds(data.padEndMs),
+    fadeInMs: milliseconds(data.fadeInMs),
+    fadeOutMs: milliseconds(data.fadeOutMs),
+  };
+}
+
+/**
+ * Returns a post-processing field in the sidebar by name
+ *
+ * @param {string} name - A key of DEFAULT_POST_PROCESSING
+ * @returns {HTMLInputElement|HTMLSelectElement|null}
+ */
+function getPostProcessingField(name) {
+  return postProcessOptions ? postProcessOptions.querySelector(`[name="${name}"]`) : null;
+}
+
+/**
+ * Shows the current settings in the sidebar
+ */
+function renderPostProcessingControls() {
+  if (!postProcessToggle || !postProcessOptions) return;
+  const settings = postProcessingSettings;
+
+  postProcessToggle.checked = settings.enabled;
+  postProcessOptions.style.display = settings.enabled ? "" : "none";
+
+  getPostProcessingField("normalize").value = settings.normalize;
+  getPostProcessingField("target").value = settings.target ?? "";
+  getPostProcessingField("trimThreshold").value = settings.trimThreshold === null ? "off" : String(settings.trimThreshold);
+  ["padStartMs", "padEndMs", "fadeInMs", "fadeOutMs"].forEach((name) => {
+    getPostProcessingField(name).value = settings[name];
+  });
+
+  updatePostProcessingControls();
+}
+
+/**
+ * Matches the target field to the normalization mode
+ */
+function updatePostProcessingControls() {
+  const target = getPostProcessingField("target");
+  if (!target) return;
+
+  const range = NORMALIZE_TARGETS[postProcessingSettings.normalize];
+  target.disabled = !range || postProcessToggle.disabled;
+  target.min = range ? range.min : "";
+  target.max = range ? range.max : "";
+  document.getElementById("postProcessTargetUnit").textContent = range ? range.unit : "dB";
+}
+
+/**
+ * Reads the sidebar after any post-processing setting changed and saves it
+ *
+ * @param {Event} e - Change inside the post-processing section
+ */
+function handlePostProcessingChange(e) {
+  const values = { enabled: postProcessToggle.checked };
+  Object.keys(DEFAULT_POST_PROCESSING).forEach((name) => {
+    const field = getPostProcessingField(name);
+    if (field) values[name] = field.value;
+  });
+
+  // A new mode starts from its own default target
+  if (e.target.name === "normalize") {
+    values.target = undefined;
+  }
+
+  postProcessingSettings = sanitizePostProcessing(values);
+  savePostProcessing();
+  renderPostProcessingControls();
+}
+
+/**
+ * Converts decibels to a linear amplitude
+ * @param {number} db - Level in dB
+ * @returns {number}
+ */
+function dbToGain(db) {
+  return 10 ** (db / 20);
+}
+
+/**
+ * Converts a linear amplitude to decibels
+ * @param {number} gain - Amplitude, 1 being full scale
+ * @returns {number} -Infinity for silence
+ */
+function gainToDb(gain) {
+  return 20 * Math.log10(gain);
+}
+
+/**
+ * Returns the OfflineAudioContext constructor
+ * @returns {Function}
+ * @throws {Error} If Web Audio is not supported
+ */
+function getOfflineAudioContextClass() {
+  const OfflineContextClass = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+  if (!OfflineContextClass) {
+    throw new Error("Web Audio is not supported in this browser");
+  }
+  return OfflineContextClass;
+}
+
+/**
+ * Decodes generated audio for post-processing without changing its sample rate
+ *
+ * PCM, mu-law and A-law WAV files are read directly. Other formats are
+ * decoded by an OfflineAudioContext running at the requested sample rate,
+ * or at the device's rate when none was requested.
+ *
+ * @param {Blob} blob - Generated audio
+ * @param {Object|null} output - Output format options used for the request
+ * @returns {Promise<AudioBuffer>}
+ */
+async function decodeAudioForProcessing(blob, output) {
+  const buffer = await blob.arrayBuffer();
+  const info = readWavInfo(buffer);
+
+  if (info && isDecodablePcm(info)) {
+    const frames = Math.floor(info.dataLength / info.blockAlign);
+    if (frames === 0) {
+      throw new Error("The audio is empty");
+    }
+    const samples = decodePcmSamples(new Uint8Array(buffer, info.dataOffset, frames * info.blockAlign), info);
+    const audioBuffer = new AudioBuffer({ numberOfChannels: info.channels, length: frames, sampleRate: info.sampleRate });
+    for (let channel = 0; channel < info.channels; channel++) {
+      const data = audioBuffer.getChannelData(channel);
+      for (let frame = 0; frame < frames; frame++) {
+        data[frame] = samples[frame * info.channels + channel] / 32768;
+      }
+    }
+    return audioBuffer;
+  }
+
+  const OfflineContextClass = getOfflineAudioContextClass();
+  const sampleRate = (output && output.sampleRate) || getAudioContext().sampleRate;
+  return new OfflineContextClass(1, 1, sampleRate).decodeAudioData(buffer);
+}
+
+/**
+ * Finds where the audio first and last rises above a level
+ *
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {number} thresholdDb - Level in dBFS; quieter samples count as silence
+ * @returns {{start: number, end: number}} Frame range to keep; all of it if nothing is louder
+ */
+function findAudibleRange(audioBuffer, thresholdDb) {
+  const threshold = dbToGain(thresholdDb);
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+  const isAudible = (frame) => channels.some((data) => Math.abs(data[frame]) >= threshold);
+
+  let start = 0;
+  while (start < audioBuffer.length && !isAudible(start)) start++;
+  if (start === audioBuffer.length) {
+    return { start: 0, end: audioBuffer.length };
+  }
+
+  let end = audioBuffer.length;
+  while (end > start && !isAudible(end - 1)) end--;
+  return { start, end };
+}
+
+/**
+ * Returns the highest sample of a range, across channels
+ *
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {{start: number, end: number}} range - Frames to scan
+ * @returns {number} Peak amplitude, 1 being full scale
+ */
+function measurePeak(audioBuffer, { start, end }) {
+  let peak = 0;
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let frame = start; frame < end; frame++) {
+      peak = Math.max(peak, Math.abs(data[frame]));
+    }
+  }
+  return peak;
+}
+
+/**
+ * Measures the integrated loudness of a range, following ITU-R BS.1770
+ *
+ * The audio is K-weighted by rendering it through two biquad filters in
+ * an OfflineAudioContext, then averaged over 400 ms blocks (75% overlap).
+ * Blocks under -70 LUFS, and then blocks 10 LU below the average of the
+ * rest, are left out so pauses don't pull the result down.
+ *
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {{start: number, end: number}} range - Frames to measure
+ * @returns {Promise<number>} Loudness in LUFS, -Infinity for silence
+ */
+async function measureLoudness(audioBuffer, { start, end }) {
+  const { numberOfChannels, sampleRate } = audioBuffer;
+  const OfflineContextClass = getOfflineAudioContextClass();
+  const context = new OfflineContextClass(numberOfChannels, end - start, sampleRate);
+
+  const source = context.createBufferSource();
+  source.buffer = audioBuffer;
+  const shelf = context.createBiquadFilter();
+  shelf.type = "highshelf";
+  shelf.frequency.value = 1681;
+  shelf.gain.value = 4;
+  const highpass = context.createBiquadFilter();
+  highpass.type = "highpass";
+  highpass.frequency.value = 38;
+  // Web Audio takes a highpass Q in dB, so the BS.1770 Q of 0.5 becomes about -6 dB
+  highpass.Q.value = 20 * Math.log10(0.5);
+
+  source.connect(shelf);
+  shelf.connect(highpass);
+  highpass.connect(context.destination);
+  source.start(0, start / sampleRate, (end - start) / sampleRate);
+  const weighted = await context.startRendering();
+
+  const channels = Array.from({ length: numberOfChannels }, (_, channel) => weighted.getChannelData(channel));
+  const blockSize = Math.min(Math.round(0.4 * sampleRate), weighted.length);
+  const step = Math.max(1, Math.round(blockSize / 4));
+  const blocks = [];
+  for (let from = 0; from + blockSize <= weighted.length; from += step) {
+    let power = 0;
+    channels.forEach((data) => {
+      let sum = 0;
+      for (let frame = from; frame < from + blockSize; frame++) {
+        sum += data[frame] * data[frame];
+      }
+      power += sum / blockSize;
+    });
+    blocks.push(power);
+  }
+
+  const loudnessOf = (powers) => -0.691 + 10 * Math.log10(powers.reduce((sum, power) => sum + power, 0) / powers.length);
+  const audible = blocks.filter((power) => loudnessOf([power]) > -70);
+  if (audible.length === 0) return -Infinity;
+
+  const relativeGate = loudnessOf(audible) - 10;
+  return loudnessOf(audible.filter((power) => loudnessOf([power]) > relativeGate));
+}
+
+/**
+ * Renders the kept range with gain, fades and padding in an OfflineAudioContext
+ *
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {{start: number, end: number}} range - Frames to keep
+ * @param {number} gain - Linear gain to apply
+ * @param {Object} settings - See DEFAULT_POST_PROCESSING
+ * @returns {Promise<AudioBuffer>}
+ */
+async function renderProcessedAudio(audioBuffer, range, gain, settings) {
+  const { numberOfChannels, sampleRate } = audioBuffer;
+  const padStart = Math.round((settings.padStartMs / 1000) * sampleRate);
+  const padEnd = Math.round((settings.padEndMs / 1000) * sampleRate);
+  const frames = range.end - range.start;
+
+  const OfflineContextClass = getOfflineAudioContextClass();
+  const context = new OfflineContextClass(numberOfChannels, padStart + frames + padEnd, sampleRate);
+  const source = context.createBufferSource();
+  source.buffer = audioBuffer;
+  const amplifier = context.createGain();
+  source.connect(amplifier);
+  amplifier.connect(context.destination);
+
+  const from = padStart / sampleRate;
+  const duration = frames / sampleRate;
+  const to = from + duration;
+  // Fades can't overlap, so each gets at most half of the audio
+  const fadeIn = Math.min(settings.fadeInMs / 1000, duration / 2);
+  const fadeOut = Math.min(settings.fadeOutMs / 1000, duration / 2);
+
+  amplifier.gain.setValueAtTime(fadeIn > 0 ? 0 : gain, from);
+  if (fadeIn > 0) {
+    amplifier.gain.linearRampToValueAtTime(gain, from + fadeIn);
+  }
+  amplifier.gain.setValueAtTime(gain, to - fadeOut);
+  if (fadeOut > 0) {
+    amplifier.gain.linearRampToValueAtTime(0, to);
+  }
+
+  source.start(from, range.start / sampleRate, duration);
+  return context.startRendering();
+}
+
+/**
+ * Post-processes generated audio entirely in the browser
+ *
+ * In order: silence below the trim threshold is cut from both ends, the
+ * rest is normalized to the peak or loudness target, faded in and out,
+ * and padded with silence. Loudness gain stops short of pushing peaks
+ * over LOUDNESS_PEAK_CEILING_DB, so quiet targets are met but loud ones
+ * may not be.
+ *
+ * @param {Blob} blob - Generated audio
+ * @param {Object} settings - See DEFAULT_POST_PROCESSING
+ * @param {Object|null} output - Output format options used for the request
+ * @returns {Promise<{blob: Blob, details: Object}>} 16-bit WAV audio, and what
+ *   was done: { settings, peakDb, loudness, gainDb, trimmedStart, trimmedEnd, offset }
+ *   (times in seconds; offset is how far the kept audio moved)
+ */
+async function processAudio(blob, settings, output) {
+  const audioBuffer = await decodeAudioForProcessing(blob, output);
+  const { sampleRate } = audioBuffer;
+
+  const range =
+    settings.trimThreshold !== null
+      ? findAudibleRange(audioBuffer, settings.trimThreshold)
+      : { start: 0, end: audioBuffer.length };
+  const peak = measurePeak(audioBuffer, range);
+
+  let loudness = null;
+  let gainDb = 0;
+  if (settings.normalize === "peak" && peak > 0) {
+    gainDb = settings.target - gainToDb(peak);
+  } else if (settings.normalize === "loudness") {
+    loudness = await measureLoudness(audioBuffer, range);
+    if (Number.isFinite(loudness)) {
+      gainDb = Math.min(settings.target - loudness, LOUDNESS_PEAK_CEILING_DB - gainToDb(peak));
+    } else {
+      loudness = null;
+    }
+  }
+
+  const rendered = await renderProcessedAudio(audioBuffer, range, dbToGain(gainDb), settings);
+  const channelData = Array.from({ length: rendered.numberOfChannels }, (_, channel) => rendered.getChannelData(channel));
+  const round = (value, digits) => (value === null ? null : Number(value.toFixed(digits)));
+  const applied = { ...settings };
+  delete applied.enabled;
+
+  return {
+    blob: encodeWav(channelData, sampleRate),
+    details: {
+      settings: applied,
+      peakDb: peak > 0 ? round(gainToDb(peak), 2) : null,
+      loudness: round(loudness, 2),
+      gainDb: round(gainDb, 2),
+      trimmedStart: round(range.start / sampleRate, 3),
+      trimmedEnd: round((audioBuffer.length - range.end) / sampleRate, 3),
+      offset: round((settings.padStartMs / 1000) - range.start / sampleRate, 3),
+    },
+  };
+}
+
+/**
+ * Moves chunk timings by an offset, e.g. after trimming and padding
+ *
+ * @param {Array<Object>|null} chunkTimings - See measureChunkTimings()
+ * @param {number} offset - Seconds to add (negative moves earlier)
+ * @returns {Array<Object>|null}
+ */
+function shiftChunkTimings(chunkTimings, offset) {
+  if (!chunkTimings) return null;
+  return chunkTimings.map((chunk) => ({
+    ...chunk,
+    start: Math.max(0, chunk.start + offset),
+    end: Math.max(0, chunk.end + offset),
+  }));
+}
+
+/**
+ * Summarizes what post-processing did, for the metadata panel
+ *
+ * @param {Object} postProcessing - details from processAudio(), or { settings, error }
+ * @returns {string}
+ */
+function describePostProcessing(postProcessing) {
+  if (postProcessing.error) {
+    return `Failed, original kept (${postProcessing.error})`;
+  }
+
+  const { settings, gainDb, trimmedStart, trimmedEnd } = postProcessing;
+  const parts = [];
+  const range = NORMALIZE_TARGETS[settings.normalize];
+  if (range) {
+    const label = settings.normalize === "peak" ? "Peak" : "Loudness";
+    parts.push(`${label} ${settings.target} ${range.unit} (${gainDb >= 0 ? "+" : ""}${gainDb.toFixed(1)} dB)`);
+  }
+  if (settings.trimThreshold !== null) {
+    parts.push(`trimmed ${Math.round(trimmedStart * 1000)} / ${Math.round(trimmedEnd * 1000)} ms below ${settings.trimThreshold} dBFS`);
+  }
+  if (settings.padStartMs > 0 || settings.padEndMs > 0) {
+    parts.push(`padded ${settings.padStartMs} / ${settings.padEndMs} ms`);
+  }
+  if (settings.fadeInMs > 0 || settings.fadeOutMs > 0) {
+    parts.push(`fades ${settings.fadeInMs} / ${settings.fadeOutMs} ms`);
+  }
+  return parts.length > 0 ? parts.join(", ") : "Re-encoded as WAV";
+}
+
+/**
+ * Displays post-processed audio with a toggle to hear the original
+ * Switching keeps the playback position, moved by what trimming and
+ * padding shifted.
+ *
+ * @param {string} text - The input text
+ * @param {Blob} processedBlob - Audio from processAudio()
+ * @param {Blob} originalBlob - Audio as generated
+ * @param {Array<Object>|null} chunkTimings - Chunk positions in the processed audio
+ * @param {Object} postProcessing - details from processAudio()
+ */
+function displayProcessedAudio(text, processedBlob, originalBlob, chunkTimings, postProcessing) {
+  const views = {
+    processed: { blob: processedBlob, url: null, chunkTimings, shift: postProcessing.offset },
+    original: { blob: originalBlob, url: null, chunkTimings: shiftChunkTimings(chunkTimings, -postProcessing.offset), shift: -postProcessing.offset },
+  };
+
+  const show = (name, position = null, playing = false) => {
+    const view = views[name];
+    if (!view.url) {
+      view.url = URL.createObjectURL(view.blob);
+    }
+    displayAudio(view.url, text, view.blob, view.chunkTimings);
+
+    const toggle = document.createElement("div");
+    toggle.className = "processing-toggle";
+    toggle.setAttribute("role", "group");
+    toggle.setAttribute("aria-label", "Compare with the original");
+    toggle.innerHTML = ["processed", "original"]
+      .map(
+        (option) => `
+          <button type="button" class="dg-btn dg-btn--sm ${option === name ? "dg-btn--secondary" : "dg-btn--ghost"}"
+            data-processing-view="${option}" aria-pressed="${option === name}">
+            ${option === "processed" ? "Processed" : "Original"}
+          </button>
+        `
+      )
+      .join("");
+    mainContent.querySelector(".audio-player-container").prepend(toggle);
+
+    toggle.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-processing-view]");
+      if (!button || button.dataset.processingView === name) return;
+      const next = button.dataset.processingView;
+      const audio = mainContent.querySelector("audio.audio-player");
+      show(next, Math.max(0, audio.currentTime + views[next].shift), !audio.paused);
+    });
+
+    if (playing) {
+      resumeAudioAt(position);
+    } else if (position) {
+      const audio = mainContent.querySelector("audio.audio-player");
+      audio.addEventListener(
+        "loadedmetadata",
+        () => {
+          audio.currentTime = Math.min(position, audio.duration || position);
+        },
+        { once: true }
+      );
+    }
+  };
+
+  show("processed");
+}
+
+// ============================================================================
+// KARAOKE HIGHLIGHTING
+// ============================================================================
+
+/**
+ * Restores the last chosen highlighting mode from LocalStorage
+ */
+function loadKaraokeMode() {
+  const saved = localStorage.getItem(KARAOKE_MODE_KEY);
+  if (KARAOKE_MODES.some((mode) => mode.value === saved)) {
+    karaokeMode = saved;
+  }
+}
+
+/**
+ * Changes how spoken text is highlighted and remembers the choice
+ *
+ * @param {string} mode - One of KARAOKE_MODES
+ */
+function setKaraokeMode(mode) {
+  karaokeMode = mode;
+  localStorage.setItem(KARAOKE_MODE_KEY, mode);
+  if (mainWaveform && mainWaveform.karaoke) {
+    mainWaveform.karaoke.setMode(mode);
+  }
+}
+
+/**
+ * Splits text into sentences and words, keeping character offsets so the
+ * original text can be rendered around them
+ *
+ * Script markup tags ([pause 800ms], [voice ...]) stay in the text but
+ * carry no weight and never end a sentence, since nothing is spoken for them.
+ *
+ * @param {string} text - Text as displayed
+ * @returns {Array<{start: number, end: number, weight: number, words: Array<{start: number, end: number, weight: number}>}>}
+ */
+function segmentTextForTiming(text) {
+  // Blank out markup tags so they don't count as speech
+  const spoken = hasMarkup(text) ? text.replace(/\[[^[\]\n]*\]/g, (tag) => " ".repeat(tag.length)) : text;
+  const weigh = (from, to) => (spoken.slice(from, to).match(/[\p{L}\p{N}]/gu) || []).length;
+
+  const sentences = [];
+  const addSentence = (from, to) => {
+    const slice = text.slice(from, to);
+    const start = from + (slice.length - slice.trimStart().length);
+    const end = to - (slice.length - slice.trimEnd().length);
+    if (end <= start) return;
+
+    const words = [];
+    const wordPattern = /\S+/g;
+    let match;
+    while ((match = wordPattern.exec(text.slice(start, end))) !== null) {
+      const wordStart = start + match.index;
+      const wordEnd = wordStart + match[0].length;
+      words.push({ start: wordStart, end: wordEnd, weight: weigh(wordStart, wordEnd) });
+    }
+    const weight = words.reduce((sum, word) => sum + word.weight, 0);
+    if (weight > 0) {
+      sentences.push({ start, end, weight, words });
+    }
+  };
+
+  // A sentence ends at terminal punctuation followed by whitespace, or at a line break
+  const terminator = /[.!?…]+["'”’)\]]*(?=\s|$)|\n/g;
+  let cursor = 0;
+  let match;
+  while ((match = terminator.exec(spoken)) !== null) {
+    addSentence(cursor, match.index + match[0].length);
+    cursor = match.index + match[0].length;
+  }
+  addSentence(cursor, text.length);
+
+  return sentences;
+}
+
+/**
+ * Finds stretches of silence in decoded audio
+ * Audio is measured in 10 ms windows; windows more than SILENCE_THRESHOLD_DB
+ * below the loudest window count as silent.
+ *
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {number} [minDuration] - Shortest silence to report, in seconds
+ * @returns {Array<{start: number, end: number}>} Silences in seconds, in order
+ */
+function detectSilences(audioBuffer, minDuration = MIN_SILENCE_SECONDS) {
+  const windowSize = Math.max(1, Math.round(audioBuffer.sampleRate * 0.01));
+  const windows = Math.ceil(audioBuffer.length / windowSize);
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+
+  const levels = new Float32Array(windows);
+  let loudest = 0;
+  for (let w = 0; w < windows; w++) {
+    const from = w * windowSize;
+    const to = Math.min(from + windowSize, audioBuffer.length);
+    let sum = 0;
+    for (const data of channels) {
+      for (let i = from; i < to; i++) sum += data[i] * data[i];
+    }
+    levels[w] = Math.sqrt(sum / ((to - from) * channels.length));
+    loudest = Math.max(loudest, levels[w]);
+  }
+  if (loudest === 0) return [{ start: 0, end: audioBuffer.duration }];
+
+  const threshold = loudest * 10 ** (SILENCE_THRESHOLD_DB / 20);
+  const silences = [];
+  let runStart = null;
+  for (let w = 0; w <= windows; w++) {
+    const silent = w < windows && levels[w] < threshold;
+    if (silent && runStart === null) {
+      runStart = w;
+    } else if (!silent && runStart !== null) {
+      const start = (runStart * windowSize) / audioBuffer.sampleRate;
+      const end = Math.min(audioBuffer.duration, (w * windowSize) / audioBuffer.sampleRate);
+      if (end - start >= minDuration) silences.push({ start, end });
+      runStart = null;
+    }
+  }
+  return silences;
+}
+
+/**
+ * Estimates when each sentence (and word) is spoken
+ *
+ * Sentences get time in proportion to their length, between the leading
+ * and trailing silence. Sentence boundaries are then snapped to nearby
+ * detected pauses, and sentences between snapped boundaries are spread
+ * out again. Known boundaries (e.g. where chunks were joined, see
+ * getChunkBoundaries) are used as-is.
+ *
+ * @param {Array<Object>} sentences - From segmentTextForTiming()
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {Map<number, {from: number, to: number}>} [knownBoundaries] - Sentence index to the
+ *   time the previous sentence ends (`from`) and this one starts (`to`), in seconds
+ * @returns {Array<{start: number, end: number, words: Array<{start: number, end: number}>}>}
+ */
+function estimateSentenceTimings(sentences, audioBuffer, knownBoundaries = new Map()) {
+  const count = sentences.length;
+  if (count === 0) return [];
+
+  const duration = audioBuffer.duration;
+  const silences = detectSilences(audioBuffer);
+  const leading = silences.find((silence) => silence.start <= 0.01);
+  const trailing = silences.find((silence) => silence.end >= duration - 0.01);
+  const speechStart = leading && leading !== trailing ? leading.end : 0;
+  const speechEnd = trailing && trailing.start > speechStart ? trailing.start : duration;
+
+  // Boundary k sits between sentence k-1 and k: sentence k-1 ends at `from`, sentence k starts at `to`
+  const fixed = new Map([
+    [0, { from: speechStart, to: speechStart }],
+    [count, { from: speechEnd, to: speechEnd }],
+  ]);
+  knownBoundaries.forEach((boundary, index) => {
+    if (index > 0 && index < count) fixed.set(index, boundary);
+  });
+
+  const weights = sentences.map((sentence) => sentence.weight);
+  const spread = (fromIndex, toIndex) => {
+    const start = fixed.get(fromIndex).to;
+    const span = fixed.get(toIndex).from - start;
+    const total = weights.slice(fromIndex, toIndex).reduce((sum, weight) => sum + weight, 0);
+    const times = [];
+    let elapsed = 0;
+    for (let k = fromIndex + 1; k < toIndex; k++) {
+      elapsed += weights[k - 1];
+      times.push([k, start + (span * elapsed) / total]);
+    }
+    return times;
+  };
+  const fixedIndexes = () => [...fixed.keys()].sort((a, b) => a - b);
+
+  // Snap estimated boundaries to the nearest pause, left to right, so each
+  // snap refines the estimates for the sentences after it
+  const internal = silences.filter((silence) => silence !== leading && silence !== trailing);
+  const tolerance = Math.max(0.6, (0.35 * (speechEnd - speechStart)) / count);
+  let previous = 0;
+  for (let k = 1; k < count; k++) {
+    if (fixed.has(k)) {
+      previous = k;
+      continue;
+    }
+    const next = fixedIndexes().find((index) => index > k);
+    const [, estimate] = spread(previous, next)[k - previous - 1];
+    const after = fixed.get(previous).to;
+    const before = fixed.get(next).from;
+
+    let best = null;
+    internal.forEach((silence) => {
+      const distance = Math.abs((silence.start + silence.end) / 2 - estimate);
+      if (silence.start > after && silence.end < before && distance <= tolerance && (!best || distance < best.distance)) {
+        best = { silence, distance };
+      }
+    });
+    if (best) {
+      fixed.set(k, { from: best.silence.start, to: best.silence.end });
+      previous = k;
+    }
+  }
+
+  const boundaries = new Map(fixed);
+  const finalIndexes = fixedIndexes();
+  for (let i = 0; i < finalIndexes.length - 1; i++) {
+    spread(finalIndexes[i], finalIndexes[i + 1]).forEach(([k, time]) => {
+      boundaries.set(k, { from: time, to: time });
+    });
+  }
+
+  return sentences.map((sentence, index) => {
+    const start = boundaries.get(index).to;
+    const end = Math.max(start, boundaries.get(index + 1).from);
+    let elapsed = 0;
+    const words = sentence.words.map((word) => {
+      const wordStart = start + ((end - start) * elapsed) / sentence.weight;
+      elapsed += word.weight;
+      return { start: wordStart, end: start + ((end - start) * elapsed) / sentence.weight };
+    });
+    return { start, end, words };
+  });
+}
+
+/**
+ * Renders text as sentence and word spans for highlighting
+ *
+ * @param {string} text - Text as displayed
+ * @param {Array<Object>} sentences - From segmentTextForTiming()
+ * @returns {string} HTML
+ */
+function renderKaraokeText(text, sentences) {
+  let html = "";
+  let cursor = 0;
+  sentences.forEach((sentence, s) => {
+    html += escapeHtml(text.slice(cursor, sentence.start));
+    html += `<span class="karaoke-sentence" data-sentence="${s}">`;
+    let wordCursor = sentence.start;
+    sentence.words.forEach((word, w) => {
+      html += escapeHtml(text.slice(wordCursor, word.start));
+      html += `<span class="karaoke-word" data-word="${w}">${escapeHtml(text.slice(word.start, word.end))}</span>`;
+      wordCursor = word.end;
+    });
+    html += "</span>";
+    cursor = sentence.end;
+  });
+  return html + escapeHtml(text.slice(cursor));
+}
+
+/**
+ * Highlights the sentence (or word) being spoken in a rendered text block
+ *
+ * Text is split into spans right away; highlighting starts once timings
+ * are known (see setAudioBuffer). Clicking a sentence seeks to it.
+ *
+ * @param {HTMLElement} container - Element that shows the text
+ * @param {string} text - Text as displayed
+ * @param {HTMLAudioElement} audio - The player to follow
+ * @returns {Object} { setAudioBuffer(audioBuffer, chunkTimings), setMode(mode), destroy() }
+ */
+function createKaraoke(container, text, audio) {
+  const sentences = segmentTextForTiming(text);
+  let timings = null;
+  let mode = karaokeMode;
+  let animationFrame = null;
+  let activeSentence = null;
+  let activeWord = null;
+
+  container.innerHTML = renderKaraokeText(text, sentences);
+  const sentenceElements = [...container.querySelectorAll(".karaoke-sentence")];
+
+  const clearHighlight = () => {
+    if (activeSentence) activeSentence.classList.remove("karaoke-sentence--active");
+    if (activeWord) activeWord.classList.remove("karaoke-word--active");
+    activeSentence = null;
+    activeWord = null;
+  };
+
+  const update = () => {
+    if (!timings || mode === "off") {
+      clearHighlight();
+      return;
+    }
+    const time = audio.currentTime;
+    const index = timings.findIndex((timing) => time >= timing.start && time < timing.end);
+    const sentence = index === -1 ? null : sentenceElements[index];
+
+    if (sentence !== activeSentence) {
+      clearHighlight();
+      activeSentence = sentence;
+      if (sentence && mode === "sentence") sentence.classList.add("karaoke-sentence--active");
+    }
+
+    if (mode === "word" && sentence) {
+      const wordIndex = timings[index].words.findIndex((word) => time >= word.start && time < word.end);
+      const word = wordIndex === -1 ? null : sentence.querySelector(`[data-word="${wordIndex}"]`);
+      if (word !== activeWord) {
+        if (activeWord) activeWord.classList.remove("karaoke-word--active");
+        activeWord = word;
+        if (word) word.classList.add("karaoke-word--active");
+      }
+    }
+  };
+
+  const tick = () => {
+    update();
+    animationFrame = !audio.paused ? requestAnimationFrame(tick) : null;
+  };
+
+  const onPlay = () => {
+    if (!animationFrame) tick();
+  };
+  const onClick = (e) => {
+    const sentence = e.target.closest("[data-sentence]");
+    if (!sentence || !timings) return;
+    audio.currentTime = timings[Number(sentence.dataset.sentence)].start;
+    audio.play().catch((error) => console.warn("Unable to play from sentence:", error));
+  };
+
+  audio.addEventListener("play", onPlay);
+  audio.addEventListener("seeked", update);
+  audio.addEventListener("pause", update);
+  container.addEventListener("click", onClick);
+  container.classList.add("karaoke");
+
+  return {
+    setAudioBuffer(audioBuffer, chunkTimings = null) {
+      timings = estimateSentenceTimings(sentences, audioBuffer, getChunkBoundaries(sentences, chunkTimings) || new Map());
+      container.classList.add("karaoke--ready");
+      update();
+    },
+    setMode(newMode) {
+      mode = newMode;
+      clearHighlight();
+      update();
+    },
+    destroy() {
+      if (animationFrame) cancelAnimationFrame(animationFrame);
+      audio.removeEventListener("play", onPlay);
+      audio.removeEventListener("seeked", update);
+      audio.removeEventListener("pause", update);
+      container.removeEventListener("click", onClick);
+    },
+  };
+}
+
+// ============================================================================
+// CAPTIONS
+// ============================================================================
+
+/**
+ * Matches sentences to the chunks they were generated in
+ *
+ * Chunks are split at sentence boundaries, so the sentence after each
+ * join starts exactly where that chunk's audio starts. If the chunk texts
+ * don't line up with the sentences (a lexicon rule added punctuation, or a
+ * long sentence was split), the joins can't be placed and null is returned.
+ *
+ * @param {Array<Object>} sentences - From segmentTextForTiming()
+ * @param {Array<{text: string, start: number, end: number}>|null} chunkTimings - See measureChunkTimings()
+ * @returns {Map<number, {from: number, to: number}>|null} Boundaries for estimateSentenceTimings()
+ */
+function getChunkBoundaries(sentences, chunkTimings) {
+  const boundaries = new Map();
+  if (!chunkTimings || chunkTimings.length < 2) return boundaries;
+
+  let index = 0;
+  chunkTimings.forEach((chunk, c) => {
+    if (c > 0) {
+      boundaries.set(index, { from: chunkTimings[c - 1].end, to: chunk.start });
+    }
+    index += segmentTextForTiming(chunk.text).length;
+  });
+
+  return index === sentences.length ? boundaries : null;
+}
+
+/**
+ * Builds caption cues aligned to sentences
+ *
+ * Sentence timings come from the chunk joins when the audio was generated
+ * in chunks, and from detected pauses otherwise (see
+ * estimateSentenceTimings). Sentences longer than CAPTION_MAX_CHARACTERS
+ * are split into several cues at word boundaries.
+ *
+ * @param {string} text - The text that was converted to speech
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {Array<Object>|null} [chunkTimings] - See measureChunkTimings()
+ * @returns {Array<{start: number, end: number, text: string}>} Cues in order
+ */
+function buildCaptionCues(text, audioBuffer, chunkTimings = null) {
+  let source = text;
+  let sentences = segmentTextForTiming(source);
+  let boundaries = getChunkBoundaries(sentences, chunkTimings);
+
+  // Caption what each chunk actually said when its joins can't be placed in the text
+  if (!boundaries) {
+    source = chunkTimings.map((chunk) => chunk.text).join("\n");
+    sentences = segmentTextForTiming(source);
+    boundaries = getChunkBoundaries(sentences, chunkTimings) || new Map();
+  }
+
+  const markup = hasMarkup(source);
+  const cleanText = (from, to) =>
+    (markup ? source.slice(from, to).replace(/\[[^[\]\n]*\]/g, " ") : source.slice(from, to))
+      .replace(/\s+/g, " ")
+      .trim();
+
+  const cues = [];
+  const timings = estimateSentenceTimings(sentences, audioBuffer, boundaries);
+  sentences.forEach((sentence, s) => {
+    let first = 0;
+    sentence.words.forEach((word, w) => {
+      const isLast = w === sentence.words.length - 1;
+      const next = sentence.words[w + 1];
+      if (!isLast && next.end - sentence.words[first].start <= CAPTION_MAX_CHARACTERS) return;
+
+      const cueText = cleanText(sentence.words[first].start, word.end);
+      const start = timings[s].words[first].start;
+      const end = timings[s].words[w].end;
+      if (cueText && end > start) {
+        cues.push({ start, end, text: cueText });
+      }
+      first = w + 1;
+    });
+  });
+
+  return cues;
+}
+
+/**
+ * Formats seconds as a caption timestamp, e.g. 00:01:02.345
+ *
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Decimal separator: "." for WebVTT, "," for SRT
+ * @returns {string}
+ */
+function formatCaptionTime(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Writes cues as a WebVTT file
+ *
+ * @param {Array<Object>} cues - From buildCaptionCues()
+ * @returns {string}
+ */
+function createWebVtt(cues) {
+  const body = cues
+    .map((cue) => `${formatCaptionTime(cue.start, ".")} --> ${formatCaptionTime(cue.end, ".")}\n${escapeVttText(cue.text)}`)
+    .join("\n\n");
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Escapes cue text for WebVTT, where "&" and "<" start markup and
+ * "-->" inside a cue would be read as a timing line
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeVttText(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Writes cues as a SubRip (SRT) file
+ *
+ * @param {Array<Object>} cues - From buildCaptionCues()
+ * @returns {string}
+ */
+function createSrt(cues) {
+  return cues
+    .map(
+      (cue, index) =>
+        `${index + 1}\n${formatCaptionTime(cue.start, ",")} --> ${formatCaptionTime(cue.end, ",")}\n${cue.text}\n`
+    )
+    .join("\n");
+}
+
+/**
+ * Downloads captions for a piece of audio
+ *
+ * @param {Array<Object>} cues - From buildCaptionCues()
+ * @param {string} format - "vtt" or "srt"
+ * @param {string} name - File name without extension
+ */
+function downloadCaptions(cues, format, name) {
+  const blob =
+    format === "srt"
+      ? new Blob([createSrt(cues)], { type: "application/x-subrip" })
+      : new Blob([createWebVtt(cues)], { type: "text/vtt" });
+  downloadBlob(blob, `${name}.${format}`);
+}
+
+/**
+ * Adds sentence captions to the main player as a <track> and enables
+ * the caption download buttons next to it
+ *
+ * @param {HTMLAudioElement} audio - The main player
+ * @param {Array<Object>} cues - From buildCaptionCues()
+ * @param {Object} state - The mainWaveform state the captions belong to
+ */
+function attachCaptions(audio, cues, state) {
+  if (cues.length === 0) return;
+
+  state.captionsUrl = URL.createObjectURL(new Blob([createWebVtt(cues)], { type: "text/vtt" }));
+  const track = document.createElement("track");
+  track.kind = "captions";
+  track.label = "Captions";
+  track.src = state.captionsUrl;
+  track.default = true;
+  audio.appendChild(track);
+
+  const name = activeRequestId || "audio";
+  document.querySelectorAll("[data-caption-download]").forEach((button) => {
+    button.disabled = false;
+    button.addEventListener("click", () => downloadCaptions(cues, button.dataset.captionDownload, name));
+  });
+}
+
+/**
+ * Downloads captions for one voice of a comparison, decoding its audio first
+ *
+ * @param {Object} result - Comparison result with `blob` and `model`
+ * @param {string} text - The text that was converted to speech
+ * @param {string} format - "vtt" or "srt"
+ */
+async function downloadComparisonCaptions(result, text, format) {
+  try {
+    const audioBuffer = await decodeAudioBlob(result.blob);
+    downloadCaptions(buildCaptionCues(text, audioBuffer), format, `${activeRequestId || "comparison"}-${result.model}`);
+  } catch (error) {
+    console.error("Error creating captions:", error);
+    showError("Couldn't create captions for this audio.");
+  }
+}
+
+// ============================================================================
+// BATCH GENERATION
+// ============================================================================
+
+/**
+ * Reads an uploaded batch file and shows its rows, ready to start
+ *
+ * - .txt: one utterance per line (blank lines skipped)
+ * - .csv: columns text, model, filename (model and filename optional);
+ *   a header row is used to find the columns, otherwise they are read
+ *   in that order
+ *
+ * @param {File} file - The uploaded file
+ */
+async function loadBatchFile(file) {
+  if (batchJob && (batchJob.state === "running" || batchJob.state === "paused")) {
+    showError("Cancel the running batch before loading another file");
+    return;
+  }
+
+  try {
+    const content = (await file.text()).replace(/^\uFEFF/, "");
+    const isCsv = /\.csv$/i.test(file.name) || file.type === "text/csv";
+    const items = isCsv ? parseBatchCsv(content) : parseBatchText(content);
+
+    if (items.length === 0) {
+      showError(`No text found in ${escapeHtml(file.name)}`);
+      return;
+    }
+    if (items.length > MAX_BATCH_ROWS) {
+      showError(`${escapeHtml(file.name)} has ${items.length} rows; the limit is ${MAX_BATCH_ROWS}`);
+      return;
+    }
+
+    const defaultModel = modelSelect && modelSelect.value ? modelSelect.value : "aura-2-thalia-en";
+
+    batchJob = {
+      fileName: file.name,
+      state: "ready",
+      output: getOutputOptions(),
+      nextStartAt: 0,
+      resumeWaiters: [],
+      rows: items.map((item, index) => ({
+        index,
+        text: item.text,
+        model: item.model || defaultModel,
+        filename: item.filename || "",
+        status: "queued",
+        error: null,
+        blob: null,
+        duration: null,
+        lexicon: [],
+      })),
+    };
+
+    hideStatus();
+    displayBatch(batchJob);
+  } catch (error) {
+    console.error("Batch file error:", error);
+    showError(`Unable to read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}`);
+  }
+}
+
+/**
+ * Parses a plain-text batch file: one utterance per line
+ *
+ * @param {string} content - File contents
+ * @returns {Array<{text: string}>}
+ */
+function parseBatchText(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((text) => ({ text }));
+}
+
+/**
+ * Parses a CSV batch file into text, model and filename items
+ *
+ * @param {string} content - File contents
+ * @returns {Array<{text: string, model: string, filename: string}>}
+ */
+function parseBatchCsv(content) {
+  const records = parseCsv(content).filter((record) => record.some((cell) => cell.trim()));
+  if (records.length === 0) return [];
+
+  // Use the header row to locate columns, if there is one
+  const header = records[0].map((cell) => cell.trim().toLowerCase());
+  let columns = { text: 0, model: 1, filename: 2 };
+  if (header.includes("text")) {
+    columns = {
+      text: header.indexOf("text"),
+      model: header.indexOf("model"),
+      filename: header.indexOf("filename"),
+    };
+    records.shift();
+  }
+
+  const cell = (record, column) => (column >= 0 && record[column] ? record[column].trim() : "");
+
+  return records
+    .map((record) => ({
+      text: cell(record, columns.text),
+      model: cell(record, columns.model),
+      filename: cell(record, columns.filename),
+    }))
+    .filter((item) => item.text);
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ *
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Records of fields
+ */
+function parseCsv(content) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Starts (or restarts after completion) the loaded batch
+ * Runs BATCH_CONCURRENCY workers that take queued rows in order.
+ */
+async function startBatch() {
+  const job = batchJob;
+  if (!job || job.state === "running" || job.state === "paused") return;
+
+  const queued = job.rows.filter((row) => row.status === "queued");
+  const budget = checkBudget(
+    queued.map((row) => ({ model: row.model, characters: applyLexicon(row.text).text.length }))
+  );
+  if (budget.level === "hard") {
+    showError(`${escapeHtml(budget.message)}. Raise the budget under Usage to run this batch.`);
+    return;
+  }
+
+  job.state = "running";
+  job.output = getOutputOptions();
+  job.controller = new AbortController();
+  disableFormElements();
+  updateBatchToolbar(job);
+
+  const workers = Array.from({ length: BATCH_CONCURRENCY }, () => runBatchWorker(job));
+  await Promise.all(workers);
+
+  if (job.state === "running") {
+    job.state = "done";
+  }
+  enableFormElements();
+  updateBatchToolbar(job);
+}
+
+/**
+ * Pulls queued rows from the batch until none are left or it is cancelled
+ *
+ * @param {Object} job - The batch job (see batchJob)
+ */
+async function runBatchWorker(job) {
+  for (;;) {
+    if (job.state === "paused") {
+      await new Promise((resolve) => job.resumeWaiters.push(resolve));
+      continue;
+    }
+    if (job.state !== "running") return;
+    if (!job.rows.some((item) => item.status === "queued")) return;
+
+    // Throttle: space request starts at least BATCH_REQUEST_INTERVAL_MS apart
+    const now = performance.now();
+    const startAt = Math.max(now, job.nextStartAt);
+    job.nextStartAt = startAt + BATCH_REQUEST_INTERVAL_MS;
+    if (startAt > now) {
+      await new Promise((resolve) => setTimeout(resolve, startAt - now));
+    }
+
+    // Paused or cancelled while waiting for the slot
+    if (job.state !== "running") continue;
+
+    const row = job.rows.find((item) => item.status === "queued");
+    if (!row) return;
+
+    row.status = "working";
+    row.error = null;
+    renderBatchRow(row);
+
+    try {
+      // Rows are pronounced the same way as text typed into the form
+      const { text: spokenText, applied } = applyLexicon(row.text);
+      const result = await ttsClient.synthesize(spokenText, {
+        model: row.model,
+        output: job.output,
+        signal: job.controller.signal,
+        onRetry: ({ attempt, maxAttempts, secondsLeft }) => {
+          row.retry = `Retrying in ${secondsLeft} s (attempt ${attempt} of ${maxAttempts})`;
+          renderBatchRow(row);
+        },
+      });
+      row.blob = result.blob;
+      row.duration = result.metadata.duration ?? null;
+      row.lexicon = applied;
+      row.status = "done";
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error(`Batch row ${row.index + 1} failed:`, error);
+      }
+      row.status = "failed";
+      row.error = error.message;
+    }
+    row.retry = null;
+
+    // A cancel while this row was in flight discards its result
+    if (job.state === "cancelled") {
+      row.status = "cancelled";
+      row.blob = null;
+    }
+
+    renderBatchRow(row);
+    updateBatchToolbar(job);
+  }
+}
+
+/**
+ * Pauses the running batch; rows already in flight still finish
+ */
+function pauseBatch() {
+  if (!batchJob || batchJob.state !== "running") return;
+  batchJob.state = "paused";
+  updateBatchToolbar(batchJob);
+}
+
+/**
+ * Resumes a paused batch
+ */
+function resumeBatch() {
+  if (!batchJob || batchJob.state !== "paused") return;
+  batchJob.state = "running";
+  releaseBatchWorkers(batchJob);
+  updateBatchToolbar(batchJob);
+}
+
+/**
+ * Cancels the batch: queued rows are skipped and in-flight requests aborted
+ */
+function cancelBatch() {
+  if (!batchJob || (batchJob.state !== "running" && batchJob.state !== "paused")) return;
+  batchJob.state = "cancelled";
+  batchJob.controller.abort();
+  batchJob.rows.forEach((row) => {
+    if (row.status === "queued") {
+      row.status = "cancelled";
+      renderBatchRow(row);
+    }
+  });
+  releaseBatchWorkers(batchJob);
+  updateBatchToolbar(batchJob);
+}
+
+/**
+ * Re-queues failed and cancelled rows so the next start retries them
+ */
+function requeueBatch() {
+  if (!batchJob || batchJob.state === "running" || batchJob.state === "paused") return;
+  batchJob.rows.forEach((row) => {
+    if (row.status === "failed" || row.status === "cancelled") {
+      row.status = "queued";
+      row.error = null;
+      renderBatchRow(row);
+    }
+  });
+  startBatch();
+}
+
+/**
+ * Wakes workers waiting on a paused batch
+ *
+ * @param {Object} job - The batch job (see batchJob)
+ */
+function releaseBatchWorkers(job) {
+  const waiters = job.resumeWaiters;
+  job.resumeWaiters = [];
+  waiters.forEach((resolve) => resolve());
+}
+
+/**
+ * Packages finished rows as a ZIP of audio files plus manifest.json
+ * and downloads it
+ */
+async function downloadBatchZip() {
+  const job = batchJob;
+  if (!job) return;
+
+  const usedNames = new Set();
+  const files = [];
+  const manifestRows = job.rows.map((row) => {
+    let filename = null;
+    if (row.blob) {
+      filename = getBatchFilename(row, usedNames);
+      files.push({ name: filename, data: row.blob });
+    }
+    return {
+      index: row.index + 1,
+      filename,
+      text: row.text,
+      model: row.model,
+      status: row.status,
+      error: row.error,
+      size: row.blob ? row.blob.size : null,
+      duration: row.duration,
+      lexicon: row.blob ? row.lexicon : [],
+    };
+  });
+
+  const manifest = {
+    source: job.fileName,
+    createdAt: new Date().toISOString(),
+    output: job.output,
+    rows: manifestRows,
+  };
+  files.push({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+
+  const zip = await createZip(files);
+  const baseName = job.fileName.replace(/\.[^.]+$/, "") || "batch";
+  downloadBlob(zip, `${baseName}-audio.zip`);
+}
+
+/**
+ * Returns a unique, safe file name for a batch row's audio
+ * The extension always matches the audio format that came back.
+ *
+ * @param {Object} row - Batch row with a blob
+ * @param {Set<string>} usedNames - Names already in the archive (updated)
+ * @returns {string}
+ */
+function getBatchFilename(row, usedNames) {
+  const extension = getAudioExtension(row.blob.type);
+  const base =
+    (row.filename || String(row.index + 1).padStart(4, "0"))
+      .replace(/\.(wav|mp3|ogg|opus|flac|webm|mulaw|alaw|raw|pcm)$/i, "")
+      .replace(/[\\/:*?"<>|\x00-\x1f]+/g, "_")
+      .trim() || String(row.index + 1).padStart(4, "0");
+
+  let name = `${base}.${extension}`;
+  for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+    name = `${base}-${suffix}.${extension}`;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * Displays the batch table with its toolbar in the main content area
+ *
+ * @param {Object} job - The batch job (see batchJob)
+ */
+function displayBatch(job) {
+  const rows = job.rows
+    .map(
+      (row) => `
+      <tr data-batch-row="${row.index}">
+        <td>${row.index + 1}</td>
+        <td class="batch-table__text" title="${escapeHtml(row.text)}">${escapeHtml(row.text)}</td>
+        <td class="batch-table__mono">${escapeHtml(row.model)}</td>
+        <td class="batch-table__mono">${escapeHtml(row.filename || "—")}</td>
+        <td class="batch-table__status"></td>
+      </tr>
+    `
+    )
+    .join("");
+
+  mainContent.innerHTML = `
+    <div class="batch-view">
+      <h2 class="dg-section-heading">Batch: ${escapeHtml(job.fileName)}</h2>
+      <div class="batch-toolbar">
+        <div id="batchSummary" class="batch-summary"></div>
+        <div class="batch-toolbar__actions">
+          <button type="button" class="dg-btn dg-btn--primary dg-btn--sm" data-batch-action="start">
+            <i class="fa-solid fa-play"></i> Start
+          </button>
+          <button type="button" class="dg-btn dg-btn--secondary dg-btn--sm" data-batch-action="pause">
+            <i class="fa-solid fa-pause"></i> Pause
+          </button>
+          <button type="button" class="dg-btn dg-btn--secondary dg-btn--sm" data-batch-action="resume">
+            <i class="fa-solid fa-play"></i> Resume
+          </button>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-batch-action="cancel">
+            <i class="fa-solid fa-xmark"></i> Cancel
+          </button>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-batch-action="retry">
+            <i class="fa-solid fa-rotate-right"></i> Retry failed
+          </button>
+          <button type="button" class="dg-btn dg-btn--secondary dg-btn--sm" data-batch-action="download">
+            <i class="fa-solid fa-file-zipper"></i> Download ZIP
+          </button>
+        </div>
+      </div>
+      <div class="batch-table-wrapper">
+        <table class="batch-table">
+          <thead>
+            <tr><th>#</th><th>Text</th><th>Model</th><th>Filename</th><th>Status</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+
+  mainContent.querySelector(".batch-toolbar__actions").addEventListener("click", (e) => {
+    const button = e.target.closest("[data-batch-action]");
+    if (!button) return;
+    const actions = {
+      start: startBatch,
+      pause: pauseBatch,
+      resume: resumeBatch,
+      cancel: cancelBatch,
+      retry: requeueBatch,
+      download: downloadBatchZip,
+    };
+    actions[button.dataset.batchAction]();
+  });
+
+  job.rows.forEach(renderBatchRow);
+  updateBatchToolbar(job);
+}
+
+/**
+ * Updates one row's status cell in the batch table
+ *
+ * @param {Object} row - Batch row
+ */
+function renderBatchRow(row) {
+  const cell = mainContent.querySelector(`[data-batch-row="${row.index}"] .batch-table__status`);
+  if (!cell) return;
+
+  const labels = {
+    queued: '<i class="fa-regular fa-clock"></i> Queued',
+    working: `<i class="fa-solid fa-spinner fa-spin"></i> ${escapeHtml(row.retry || "Generating")}`,
+    done: `<i class="fa-solid fa-circle-check dg-text-primary"></i> ${formatDuration(row.duration)}`,
+    failed: `<i class="fa-solid fa-circle-exclamation"></i> ${escapeHtml(row.error || "Failed")}`,
+    cancelled: '<i class="fa-solid fa-ban"></i> Cancelled',
+  };
+  cell.innerHTML = labels[row.status];
+  cell.className = `batch-table__status batch-table__status--${row.status}`;
+}
+
+/**
+ * Updates the batch summary and shows the toolbar buttons that apply
+ * to the current state
+ *
+ * @param {Object} job - The batch job (see batchJob)
+ */
+function updateBatchToolbar(job) {
+  const summary = document.getElementById("batchSummary");
+  if (summary) {
+    const count = (status) => job.rows.filter((row) => row.status === status).length;
+    const inFlight = count("working");
+    const stateLabel = {
+      ready: "Ready",
+      running: "Running",
+      paused: inFlight > 0 ? `Pausing (${inFlight} in flight)` : "Paused",
+      cancelled: inFlight > 0 ? `Cancelling (${inFlight} in flight)` : "Cancelled",
+      done: "Finished",
+    }[job.state];
+    summary.textContent =
+      `${stateLabel} · ${count("done")} of ${job.rows.length} done` +
+      (count("failed") > 0 ? ` · ${count("failed")} failed` : "");
+  }
+
+  const active = job.state === "running" || job.state === "paused";
+  const hasAudio = job.rows.some((row) => row.blob);
+  const hasRetryable = job.rows.some((row) => row.status === "failed" || row.status === "cancelled");
+  const visible = {
+    start: job.state === "ready",
+    pause: job.state === "running",
+    resume: job.state === "paused",
+    cancel: active,
+    retry: !active && job.state !== "ready" && hasRetryable,
+    download: !active && hasAudio,
+  };
+
+  mainContent.querySelectorAll("[data-batch-action]").forEach((button) => {
+    button.style.display = visible[button.dataset.batchAction] ? "inline-flex" : "none";
+  });
+
+  if (batchShowBtn) {
+    batchShowBtn.style.display = "inline-flex";
+  }
+}
+
+// ============================================================================
+// DIALOGUE
+// ============================================================================
+
+/**
+ * Loads the dialogue being edited from LocalStorage, or starts a new one
+ */
+function loadDialogueDraft() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DIALOGUE_STORAGE_KEY) || "null");
+    dialogue = stored ? normalizeDialogue(stored) : createDialogue();
+  } catch (error) {
+    console.error("Error reading dialogue:", error);
+    dialogue = createDialogue();
+  }
+  updateDialogueSummary();
+}
+
+/**
+ * Persists the dialogue's speakers, gap and lines (not its audio) to LocalStorage
+ */
+function saveDialogueDraft() {
+  try {
+    localStorage.setItem(
+      DIALOGUE_STORAGE_KEY,
+      JSON.stringify({
+        speakers: dialogue.speakers,
+        gapMs: dialogue.gapMs,
+        lines: dialogue.lines.map(({ speaker, text }) => ({ speaker, text })),
+      })
+    );
+  } catch (error) {
+    console.error("Error saving dialogue:", error);
+  }
+  updateDialogueSummary();
+}
+
+/**
+ * Starts a dialogue between two speakers, with an empty line for each
+ * The first speaker gets the selected voice, the second another voice.
+ *
+ * @returns {Object} See dialogue
+ */
+function createDialogue() {
+  const first = modelSelect && modelSelect.value ? modelSelect.value : "aura-2-thalia-en";
+  const other = voiceCatalog.find((voice) => voice.id !== first);
+
+  return normalizeDialogue({
+    speakers: [
+      { name: "Agent", model: first },
+      { name: "Caller", model: other ? other.id : first },
+    ],
+    gapMs: DEFAULT_DIALOGUE_GAP_MS,
+    lines: [
+      { speaker: 0, text: "" },
+      { speaker: 1, text: "" },
+    ],
+  });
+}
+
+/**
+ * Builds a dialogue from stored or saved data, dropping anything invalid
+ *
+ * @param {Object} data - { speakers: [{ name, model }], gapMs, lines: [{ speaker, text }] }
+ * @returns {Object} See dialogue; no line has audio yet
+ * @throws {Error} If there is no usable speaker
+ */
+function normalizeDialogue(data) {
+  const speakers = (Array.isArray(data.speakers) ? data.speakers : [])
+    .filter((speaker) => speaker && typeof speaker.model === "string" && speaker.model)
+    .slice(0, MAX_DIALOGUE_SPEAKERS)
+    .map((speaker, index) => ({
+      name: typeof speaker.name === "string" && speaker.name.trim() ? speaker.name.trim() : `Speaker ${index + 1}`,
+      model: speaker.model,
+    }));
+  if (speakers.length === 0) {
+    throw new Error("A dialogue needs at least one speaker");
+  }
+
+  const lines = (Array.isArray(data.lines) ? data.lines : [])
+    .filter(Boolean)
+    .slice(0, MAX_DIALOGUE_LINES)
+    .map((line) =>
+      createDialogueLine(
+        isSpeakerIndex(line.speaker, speakers) ? line.speaker : 0,
+        typeof line.text === "string" ? line.text : ""
+      )
+    );
+
+  return {
+    speakers,
+    lines,
+    gapMs: getDialogueGap(data.gapMs),
+    output: null,
+    running: false,
+    plan: null,
+    track: null,
+    trackUrl: null,
+  };
+}
+
+/**
+ * Whether a line's speaker points at one of the dialogue's speakers
+ * Keys like "length" or "0" would pass a plain lookup, so require an index.
+ *
+ * @param {*} speaker - A line's speaker
+ * @param {Array} speakers - The dialogue's speakers
+ * @returns {boolean}
+ */
+function isSpeakerIndex(speaker, speakers) {
+  return Number.isInteger(speaker) && speaker >= 0 && speaker < speakers.length;
+}
+
+/**
+ * Creates a dialogue line without audio
+ *
+ * @param {number} speaker - Index into the dialogue's speakers
+ * @param {string} [text] - What the speaker says
+ * @returns {Object} See dialogue
+ */
+function createDialogueLine(speaker, text = "") {
+  return {
+    speaker,
+    text,
+    status: null,
+    blob: null,
+    url: null,
+    error: null,
+    duration: null,
+    response: null,
+    lexicon: [],
+  };
+}
+
+/**
+ * Reads a gap setting as whole milliseconds between 0 and MAX_PAUSE_MS
+ *
+ * @param {*} value - Gap from the editor or storage
+ * @returns {number}
+ */
+function getDialogueGap(value) {
+  const gapMs = Math.round(Number(value));
+  if (value === undefined || value === "" || Number.isNaN(gapMs)) return DEFAULT_DIALOGUE_GAP_MS;
+  return Math.min(Math.max(gapMs, 0), MAX_PAUSE_MS);
+}
+
+/**
+ * Shows the size of the dialogue next to the sidebar's edit button
+ */
+function updateDialogueSummary() {
+  if (!dialogueSummary || !dialogue) return;
+  const written = dialogue.lines.filter((line) => line.text.trim()).length;
+  dialogueSummary.textContent =
+    written === 0
+      ? "No lines yet"
+      : `${written} line${written === 1 ? "" : "s"}, ${dialogue.speakers.length} speaker${dialogue.speakers.length === 1 ? "" : "s"}`;
+}
+
+/**
+ * Returns the script with a speaker label on every line, as saved in history
+ *
+ * @param {Object} current - The dialogue (see dialogue)
+ * @returns {string}
+ */
+function getDialogueScript(current) {
+  return current.lines.map((line) => `${current.speakers[line.speaker].name}: ${line.text.trim()}`).join("\n");
+}
+
+/**
+ * Describes a dialogue for its history entry and the metadata panel
+ *
+ * @param {Object} current - The dialogue (see dialogue)
+ * @returns {Object} { gapMs, speakers: [{ name, model }], lines: [{ speaker, text, duration }] }
+ */
+function describeDialogue(current) {
+  return {
+    gapMs: current.gapMs,
+    speakers: current.speakers.map(({ name, model }) => ({ name, model })),
+    lines: current.lines.map(({ speaker, text, duration }) => ({ speaker, text: text.trim(), duration })),
+  };
+}
+
+/**
+ * Checks that every line can be sent
+ *
+ * @param {Object} current - The dialogue (see dialogue)
+ * @returns {string|null} What is wrong, or null if the dialogue can be generated
+ */
+function validateDialogue(current) {
+  if (current.lines.length === 0) return "Add a line to the dialogue first";
+
+  const empty = current.lines.findIndex((line) => !line.text.trim());
+  if (empty >= 0) return `Line ${empty + 1} has no text`;
+
+  const long = current.lines.findIndex((line) => applyLexicon(line.text.trim()).text.length > MAX_CHUNK_CHARACTERS);
+  if (long >= 0) return `Line ${long + 1} is longer than ${MAX_CHUNK_CHARACTERS} characters; split it into several lines`;
+
+  return null;
+}
+
+/**
+ * Discards a line's audio after the line changed
+ *
+ * @param {Object} line - Dialogue line
+ */
+function invalidateDialogueLine(line) {
+  if (line.url) {
+    URL.revokeObjectURL(line.url);
+  }
+  Object.assign(line, createDialogueLine(line.speaker, line.text));
+  invalidateDialogueTrack();
+}
+
+/**
+ * Discards the joined track after lines, speakers or the gap changed
+ */
+function invalidateDialogueTrack() {
+  if (!dialogue.track) return;
+  if (dialogue.trackUrl) {
+    URL.revokeObjectURL(dialogue.trackUrl);
+  }
+  dialogue.track = null;
+  dialogue.trackUrl = null;
+  renderDialogueTrack();
+}
+
+/**
+ * Revokes the object URLs of a dialogue that is being replaced
+ *
+ * @param {Object|null} current - The dialogue (see dialogue)
+ */
+function releaseDialogueAudio(current) {
+  if (!current) return;
+  current.lines.forEach((line) => {
+    if (line.url) URL.revokeObjectURL(line.url);
+  });
+  if (current.trackUrl) {
+    URL.revokeObjectURL(current.trackUrl);
+  }
+}
+
+/**
+ * Voices every line without audio with its speaker's voice, joins all
+ * lines into one track and saves the dialogue to history
+ *
+ * The lines go to the client as one chunk plan: a chunk per line with a
+ * silent pause chunk between lines. Lines that already have audio are
+ * marked done, so only new, edited or failed lines are requested and the
+ * rest are joined as they are.
+ */
+async function generateDialogue() {
+  const current = dialogue;
+  if (!current || current.running) return;
+
+  const problem = validateDialogue(current);
+  if (problem) {
+    showError(escapeHtml(problem));
+    return;
+  }
+
+  if (!navigator.onLine) {
+    showError("Dialogue generation needs a connection");
+    return;
+  }
+
+  // Audio in another format can't be joined with new lines
+  const output = getOutputOptions();
+  if (JSON.stringify(output) !== JSON.stringify(current.output)) {
+    current.lines.forEach(invalidateDialogueLine);
+    current.output = output;
+  }
+
+  const pending = current.lines.filter((line) => !line.blob);
+  if (pending.length === 0 && current.track) {
+    showNotice("Every line is already voiced. Edit or regenerate a line first.");
+    return;
+  }
+
+  // Rewrite terms from the pronunciation lexicon; the typed lines are what get displayed
+  const spoken = new Map(pending.map((line) => [line, applyLexicon(line.text.trim())]));
+
+  const budget = checkBudget(
+    pending.map((line) => ({ model: current.speakers[line.speaker].model, characters: spoken.get(line).text.length }))
+  );
+  if (budget.level === "hard") {
+    showError(`${escapeHtml(budget.message)}. Raise the budget under Usage to continue.`);
+    return;
+  }
+
+  current.plan = [];
+  current.lines.forEach((line, index) => {
+    if (index > 0 && current.gapMs > 0) {
+      current.plan.push({ pauseMs: current.gapMs });
+    }
+    if (spoken.has(line)) {
+      line.lexicon = spoken.get(line).applied;
+      line.status = "pending";
+      line.error = null;
+    }
+    current.plan.push({
+      line: index,
+      text: spoken.has(line) ? spoken.get(line).text : line.text.trim(),
+      model: current.speakers[line.speaker].model,
+      status: line.blob ? "done" : "pending",
+      requested: spoken.has(line),
+      blob: line.blob,
+      response: line.response,
+    });
+  });
+
+  // A dialogue replaces any chunked generation waiting on retries
+  chunkJob = null;
+  current.running = true;
+  generationController = new AbortController();
+  const { signal } = generationController;
+  disableFormElements();
+  updateDialogueControls();
+  showWorking(`Generating dialogue... 0 of ${pending.length} lines`);
+
+  let result = null;
+  let failure = null;
+  try {
+    result = await ttsClient.synthesize(getDialogueScript(current), {
+      output,
+      chunks: current.plan,
+      signal,
+      onRetry: showRetryStatus,
+    });
+  } catch (error) {
+    failure = error;
+  }
+
+  current.running = false;
+  current.plan = null;
+  generationController = null;
+  enableFormElements();
+
+  if (failure) {
+    if (!failure.chunks) {
+      console.error("Dialogue error:", failure);
+    }
+    const failed = current.lines.filter((line) => line.status === "failed").length;
+    if (signal.aborted) {
+      showError("Dialogue cancelled. Generate again to voice the remaining lines.");
+    } else if (failure.chunks) {
+      showError(`${failed} of ${current.lines.length} lines failed. Regenerate them below.`);
+    } else {
+      showError(escapeHtml(failure.message));
+    }
+    if (current === dialogue) {
+      renderDialogueLines();
+    }
+    return;
+  }
+
+  // Timings list the spoken chunks, one per line; a lone line has none
+  const timings = result.chunkTimings || [{ start: 0, end: result.metadata.duration ?? null }];
+  current.lines.forEach((line, index) => {
+    const timing = timings[index];
+    line.duration = timing && timing.end !== null ? timing.end - timing.start : null;
+  });
+  current.track = result.blob;
+
+  // Rules that fired on any line, with their counts added up
+  const lexicon = [];
+  current.lines.forEach((line) => {
+    line.lexicon.forEach((rule) => {
+      const match = lexicon.find((item) => item.term === rule.term && item.replacement === rule.replacement);
+      if (match) {
+        match.count += rule.count;
+      } else {
+        lexicon.push({ ...rule });
+      }
+    });
+  });
+
+  const script = getDialogueScript(current);
+  const details = { output, lexicon, metadata: result.metadata, dialogue: describeDialogue(current) };
+  const historyEntry = await historyStore.saveDialogue(
+    result.blob,
+    current.lines.map((line) => line.blob),
+    script,
+    details
+  );
+  if (historyEntry) {
+    activeRequestId = historyEntry.id;
+  }
+
+  if (current === dialogue) {
+    saveDialogueDraft();
+    displayDialogue();
+  }
+  displayMetadata(details, script);
+  hideStatus();
+  renderHistory(); // Re-render to highlight the active item
+}
+
+/**
+ * Discards one line's audio and generates the dialogue again, which
+ * requests only that line
+ *
+ * @param {number} index - Line index
+ */
+function regenerateDialogueLine(index) {
+  const line = dialogue.lines[index];
+  if (!line || dialogue.running) return;
+  invalidateDialogueLine(line);
+  renderDialogueLine(index);
+  generateDialogue();
+}
+
+/**
+ * Follows the client's progress events for the dialogue being generated
+ *
+ * @param {CustomEvent} event - "progress" event from ttsClient
+ */
+function handleDialogueProgress(event) {
+  const { request, chunk } = event.detail;
+  if (!dialogue || !dialogue.plan || request.chunks !== dialogue.plan || chunk.line === undefined) return;
+
+  const line = dialogue.lines[chunk.line];
+  line.status = chunk.status;
+  line.error = chunk.error || null;
+  if (chunk.status === "done") {
+    line.blob = chunk.blob;
+    line.response = chunk.response || null;
+  }
+  renderDialogueLine(chunk.line);
+
+  if (generationController && !generationController.signal.aborted) {
+    const requested = dialogue.plan.filter((item) => item.requested);
+    const done = requested.filter((item) => item.status === "done").length;
+    showWorking(`Generating dialogue... ${done} of ${requested.length} lines`);
+  }
+}
+
+/**
+ * Opens a saved dialogue from history in the editor, with every line's
+ * audio so single lines can be regenerated
+ *
+ * @param {Object} entry - History entry with type "dialogue"
+ */
+async function loadDialogueEntry(entry) {
+  if (dialogue && dialogue.running) {
+    showError("Wait for the current dialogue to finish generating");
+    return;
+  }
+
+  const blobs = await historyStore.getAudioSet(entry.id);
+  if (blobs.length === 0) {
+    showError("Audio data not found in history entry");
+    return;
+  }
+
+  activeRequestId = entry.id;
+  releaseDialogueAudio(dialogue);
+
+  dialogue = normalizeDialogue(entry.dialogue);
+  dialogue.output = entry.output || null;
+  dialogue.track = blobs[0];
+  dialogue.lines.forEach((line, index) => {
+    const blob = blobs[index + 1];
+    if (!blob) return;
+    line.status = "done";
+    line.blob = blob;
+    line.duration = entry.dialogue.lines[index].duration ?? null;
+  });
+  saveDialogueDraft();
+
+  // Regenerated lines must come back in the same format as the saved ones
+  setOutputOptions(dialogue.output);
+
+  displayDialogue();
+  displayMetadata(
+    { output: entry.output, lexicon: entry.lexicon, metadata: entry.metadata, dialogue: entry.dialogue },
+    entry.text
+  );
+  hideStatus();
+  renderHistory();
+}
+
+/**
+ * Opens the dialogue editor in the main content area
+ * Once generated, the joined track and its script are shown above the editor.
+ */
+function displayDialogue() {
+  mainContent.innerHTML = `
+    <div class="dialogue-view">
+      <h2 class="dg-section-heading">Dialogue</h2>
+      <p class="dg-prose">
+        Each line is spoken with its speaker's voice, and the lines are joined into one track.
+        Editing a line, or changing its speaker's voice, only regenerates that line.
+      </p>
+      <div id="dialogueTrack"></div>
+      <h3 class="dg-form-label">Speakers</h3>
+      <div class="batch-table-wrapper">
+        <table class="batch-table">
+          <thead>
+            <tr><th>Name</th><th>Voice</th><th></th></tr>
+          </thead>
+          <tbody id="dialogueSpeakers"></tbody>
+        </table>
+      </div>
+      <div class="dialogue-settings">
+        <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-dialogue-action="add-speaker">
+          <i class="fa-solid fa-user-plus"></i> Add speaker
+        </button>
+        <label class="dialogue-gap">
+          Gap between lines
+          <input type="number" id="dialogueGap" class="dg-input" min="0" max="${MAX_PAUSE_MS}" step="50"
+            value="${dialogue.gapMs}">
+          ms
+        </label>
+      </div>
+      <h3 class="dg-form-label">Script</h3>
+      <ol id="dialogueLines" class="dialogue-lines"></ol>
+      <div class="batch-toolbar">
+        <div id="dialogueProgress" class="batch-summary"></div>
+        <div class="batch-toolbar__actions">
+          <button type="button" class="dg-btn dg-btn--secondary dg-btn--sm" data-dialogue-action="add-line">
+            <i class="fa-solid fa-plus"></i> Add line
+          </button>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-dialogue-action="new">
+            <i class="fa-solid fa-file"></i> New dialogue
+          </button>
+          <button type="button" class="dg-btn dg-btn--primary dg-btn--sm" data-dialogue-action="generate">
+            <i class="fa-solid fa-comments"></i> Generate dialogue
+          </button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const view = mainContent.querySelector(".dialogue-view");
+  view.addEventListener("click", handleDialogueClick);
+  view.addEventListener("input", handleDialogueInput);
+  view.addEventListener("change", handleDialogueChange);
+
+  renderDialogueTrack();
+  renderDialogueSpeakers();
+  renderDialogueLines();
+  updateDialogueControls();
+}
+
+/**
+ * Handles the dialogue editor's buttons
+ *
+ * @param {MouseEvent} e - Click inside the dialogue view
+ */
+function handleDialogueClick(e) {
+  const button = e.target.closest("[data-dialogue-action], [data-speaker-action], [data-line-action]");
+  if (!button || dialogue.running) return;
+
+  const { dialogueAction, speakerAction, lineAction } = button.dataset;
+
+  if (dialogueAction === "generate") {
+    generateDialogue();
+  } else if (dialogueAction === "download" && dialogue.track) {
+    downloadBlob(dialogue.track, `${activeRequestId || "dialogue"}.${getAudioExtension(dialogue.track.type)}`);
+  } else if (dialogueAction === "add-speaker") {
+    if (dialogue.speakers.length >= MAX_DIALOGUE_SPEAKERS) return;
+    dialogue.speakers.push({
+      name: `Speaker ${dialogue.speakers.length + 1}`,
+      model: modelSelect && modelSelect.value ? modelSelect.value : dialogue.speakers[0].model,
+    });
+    saveDialogueDraft();
+    renderDialogueSpeakers();
+    renderDialogueLines();
+  } else if (dialogueAction === "add-line") {
+    if (dialogue.lines.length >= MAX_DIALOGUE_LINES) return;
+    // Alternate speakers, as in a conversation
+    const last = dialogue.lines[dialogue.lines.length - 1];
+    const speaker = last ? (last.speaker + 1) % dialogue.speakers.length : 0;
+    dialogue.lines.push(createDialogueLine(speaker));
+    invalidateDialogueTrack();
+    saveDialogueDraft();
+    renderDialogueLines();
+    const textareas = mainContent.querySelectorAll("#dialogueLines textarea");
+    textareas[textareas.length - 1].focus();
+  } else if (dialogueAction === "new") {
+    if (!window.confirm("Start a new dialogue? The current script and its audio will be cleared.")) return;
+    releaseDialogueAudio(dialogue);
+    dialogue = createDialogue();
+    activeRequestId = null;
+    saveDialogueDraft();
+    displayDialogue();
+    renderHistory();
+  } else if (speakerAction === "remove") {
+    const index = Number(button.dataset.speaker);
+    if (dialogue.speakers.length < 2 || dialogue.lines.some((line) => line.speaker === index)) return;
+    dialogue.speakers.splice(index, 1);
+    dialogue.lines.forEach((line) => {
+      if (line.speaker > index) line.speaker -= 1;
+    });
+    saveDialogueDraft();
+    renderDialogueSpeakers();
+    renderDialogueLines();
+  } else if (lineAction) {
+    const index = Number(button.closest("[data-dialogue-line]").dataset.dialogueLine);
+    const target = lineAction === "up" ? index - 1 : index + 1;
+
+    if (lineAction === "regenerate") {
+      regenerateDialogueLine(index);
+      return;
+    }
+    if (lineAction === "remove") {
+      releaseDialogueAudio({ lines: dialogue.lines.splice(index, 1) });
+    } else if (dialogue.lines[target]) {
+      // Moved lines keep their audio; only the joined track changes
+      [dialogue.lines[index], dialogue.lines[target]] = [dialogue.lines[target], dialogue.lines[index]];
+    } else {
+      return;
+    }
+    invalidateDialogueTrack();
+    saveDialogueDraft();
+    renderDialogueLines();
+  }
+}
+
+/**
+ * Keeps line text in step with the editor as it is typed
+ *
+ * @param {InputEvent} e - Input inside the dialogue view
+ */
+function handleDialogueInput(e) {
+  if (e.target.dataset.lineField !== "text") return;
+
+  const index = Number(e.target.closest("[data-dialogue-line]").dataset.dialogueLine);
+  const line = dialogue.lines[index];
+  line.text = e.target.value;
+  if (line.blob || line.status) {
+    invalidateDialogueLine(line);
+    renderDialogueLine(index);
+  }
+  saveDialogueDraft();
+}
+
+/**
+ * Applies speaker, voice and gap changes from the editor
+ * Lines whose voice changed lose their audio; other changes only affect
+ * the joined track.
+ *
+ * @param {Event} e - Change inside the dialogue view
+ */
+function handleDialogueChange(e) {
+  const field = e.target;
+
+  if (field.id === "dialogueGap") {
+    dialogue.gapMs = getDialogueGap(field.value);
+    field.value = dialogue.gapMs;
+    invalidateDialogueTrack();
+  } else if (field.dataset.speakerField === "name") {
+    const index = Number(field.dataset.speaker);
+    dialogue.speakers[index].name = field.value.trim() || `Speaker ${index + 1}`;
+    field.value = dialogue.speakers[index].name;
+    mainContent.querySelectorAll(`[data-speaker-option="${index}"]`).forEach((option) => {
+      option.textContent = dialogue.speakers[index].name;
+    });
+    invalidateDialogueTrack();
+  } else if (field.dataset.speakerField === "model") {
+    const index = Number(field.dataset.speaker);
+    dialogue.speakers[index].model = field.value;
+    dialogue.lines.forEach((line, lineIndex) => {
+      if (line.speaker !== index) return;
+      invalidateDialogueLine(line);
+      renderDialogueLine(lineIndex);
+    });
+    invalidateDialogueTrack();
+  } else if (field.dataset.lineField === "speaker") {
+    const index = Number(field.closest("[data-dialogue-line]").dataset.dialogueLine);
+    const line = dialogue.lines[index];
+    const previousModel = dialogue.speakers[line.speaker].model;
+    line.speaker = Number(field.value);
+    if (dialogue.speakers[line.speaker].model !== previousModel) {
+      invalidateDialogueLine(line);
+    }
+    invalidateDialogueTrack();
+    renderDialogueLine(index);
+    renderDialogueSpeakers();
+  } else {
+    return;
+  }
+
+  saveDialogueDraft();
+}
+
+/**
+ * Renders the speakers table with each speaker's voice picker
+ * A speaker can only be removed once no line uses it.
+ */
+function renderDialogueSpeakers() {
+  const tbody = document.getElementById("dialogueSpeakers");
+  if (!tbody) return;
+
+  tbody.innerHTML = dialogue.speakers
+    .map((speaker, index) => {
+      // Keep voices that have since left the catalog selectable
+      const voices = voiceCatalog.some((voice) => voice.id === speaker.model)
+        ? voiceCatalog
+        : [{ id: speaker.model, name: speaker.model }, ...voiceCatalog];
+      const options = voices
+        .map(
+          (voice) =>
+            `<option value="${escapeHtml(voice.id)}"${voice.id === speaker.model ? " selected" : ""}>${escapeHtml(
+              getVoiceLabel(voice)
+            )}</option>`
+        )
+        .join("");
+      const inUse = dialogue.lines.some((line) => line.speaker === index);
+      const removable = dialogue.speakers.length > 1 && !inUse;
+
+      return `
+        <tr>
+          <td>
+            <input type="text" class="dg-input" value="${escapeHtml(speaker.name)}" maxlength="40"
+              data-speaker-field="name" data-speaker="${index}" aria-label="Speaker ${index + 1} name">
+          </td>
+          <td>
+            <select class="dg-input" data-speaker-field="model" data-speaker="${index}"
+              aria-label="Voice of ${escapeHtml(speaker.name)}">${options}</select>
+          </td>
+          <td>
+            <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-speaker-action="remove"
+              data-speaker="${index}" ${removable ? "" : "disabled"}
+              title="${inUse ? "Used by a line" : "Remove speaker"}" aria-label="Remove ${escapeHtml(speaker.name)}">
+              <i class="fa-solid fa-trash"></i>
+            </button>
+          </td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const addSpeakerBtn = mainContent.querySelector('[data-dialogue-action="add-speaker"]');
+  if (addSpeakerBtn) {
+    addSpeakerBtn.disabled = dialogue.running || dialogue.speakers.length >= MAX_DIALOGUE_SPEAKERS;
+  }
+}
+
+/**
+ * Renders every line of the script editor
+ */
+function renderDialogueLines() {
+  const list = document.getElementById("dialogueLines");
+  if (!list) return;
+
+  list.innerHTML = dialogue.lines
+    .map((line, index) => {
+      const options = dialogue.speakers
+        .map(
+          (speaker, s) =>
+            `<option value="${s}" data-speaker-option="${s}"${s === line.speaker ? " selected" : ""}>${escapeHtml(
+              speaker.name
+            )}</option>`
+        )
+        .join("");
+
+      return `
+        <li class="dialogue-line" data-dialogue-line="${index}">
+          <div class="dialogue-line__header">
+            <span class="dialogue-line__number">${index + 1}</span>
+            <select class="dg-input dialogue-line__speaker" data-line-field="speaker" aria-label="Speaker of line ${index + 1}">
+              ${options}
+            </select>
+            <div class="dialogue-line__actions">
+              <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-line-action="up"
+                title="Move up" aria-label="Move line ${index + 1} up" ${index === 0 ? "disabled" : ""}>
+                <i class="fa-solid fa-arrow-up"></i>
+              </button>
+              <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-line-action="down"
+                title="Move down" aria-label="Move line ${index + 1} down" ${index === dialogue.lines.length - 1 ? "disabled" : ""}>
+                <i class="fa-solid fa-arrow-down"></i>
+              </button>
+              <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-line-action="remove"
+                title="Remove line" aria-label="Remove line ${index + 1}">
+                <i class="fa-solid fa-trash"></i>
+              </button>
+            </div>
+          </div>
+          <textarea class="dg-input" rows="2" data-line-field="text" aria-label="Line ${index + 1}"
+            placeholder="What ${escapeHtml(dialogue.speakers[line.speaker].name)} says...">${escapeHtml(line.text)}</textarea>
+          <div class="dialogue-line__status"></div>
+        </li>
+      `;
+    })
+    .join("");
+
+  dialogue.lines.forEach((_, index) => renderDialogueLine(index));
+  updateDialogueControls();
+}
+
+/**
+ * Updates one line's status, player and regenerate button
+ *
+ * @param {number} index - Line index
+ */
+function renderDialogueLine(index) {
+  const cell = mainContent.querySelector(`[data-dialogue-line="${index}"] .dialogue-line__status`);
+  const line = dialogue.lines[index];
+  if (!cell || !line) return;
+
+  const labels = {
+    pending: '<i class="fa-regular fa-clock"></i> Queued',
+    working: '<i class="fa-solid fa-spinner fa-spin"></i> Generating',
+    done: `<i class="fa-solid fa-circle-check dg-text-primary"></i> ${line.duration != null ? formatDuration(line.duration) : "Voiced"}`,
+    failed: `<i class="fa-solid fa-circle-exclamation"></i> ${escapeHtml(line.error || "Failed")}`,
+  };
+
+  if (line.blob && !line.url) {
+    line.url = URL.createObjectURL(line.blob);
+  }
+  const player = line.url
+    ? `<audio controls preload="none" src="${escapeHtml(line.url)}">
+         Your browser does not support the audio element.
+       </audio>`
+    : "";
+  const regenerateBtn =
+    !dialogue.running && (line.blob || line.status === "failed")
+      ? `<button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-line-action="regenerate">
+           <i class="fa-solid fa-rotate-right"></i> Regenerate
+         </button>`
+      : "";
+
+  cell.className = `dialogue-line__status dialogue-line__status--${line.status || "new"}`;
+  cell.innerHTML = line.status ? `<span>${labels[line.status]}</span>${player}${regenerateBtn}` : "";
+}
+
+/**
+ * Shows the joined track and the script it was made from, once generated
+ */
+function renderDialogueTrack() {
+  const container = document.getElementById("dialogueTrack");
+  if (!container) return;
+
+  if (!dialogue.track) {
+    container.innerHTML = "";
+    return;
+  }
+
+  if (!dialogue.trackUrl) {
+    dialogue.trackUrl = URL.createObjectURL(dialogue.track);
+  }
+
+  const script = dialogue.lines
+    .map(
+      (line) => `
+        <p class="dialogue-script__line">
+          <span class="dialogue-script__speaker">${escapeHtml(dialogue.speakers[line.speaker].name)}:</span>
+          ${escapeHtml(line.text.trim())}
+        </p>
+      `
+    )
+    .join("");
+
+  container.innerHTML = `
+    <div class="generated-text dialogue-script">${script}</div>
+    <div class="audio-player-container">
+      <audio controls class="audio-player" src="${escapeHtml(dialogue.trackUrl)}">
+        Your browser does not support the audio element.
+      </audio>
+      <button type="button" class="dg-btn dg-btn--secondary dg-btn--sm" data-dialogue-action="download">
+        <i class="fa-solid fa-download"></i> Download track
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Updates the summary and locks the editor while the dialogue is generating
+ */
+function updateDialogueControls() {
+  const view = mainContent.querySelector(".dialogue-view");
+  if (!view) return;
+
+  view.querySelectorAll("input, select, textarea, button").forEach((control) => {
+    if (dialogue.running) {
+      control.dataset.wasDisabled = control.disabled ? "true" : "";
+      control.disabled = true;
+    } else if (control.dataset.wasDisabled !== undefined) {
+      control.disabled = control.dataset.wasDisabled === "true";
+      delete control.dataset.wasDisabled;
+    }
+  });
+
+  const summary = document.getElementById("dialogueProgress");
+  if (summary) {
+    const voiced = dialogue.lines.filter((line) => line.blob).length;
+    summary.textContent =
+      `${dialogue.lines.length} line${dialogue.lines.length === 1 ? "" : "s"} · ${voiced} voiced` +
+      (dialogue.track ? " · track ready" : "");
+  }
+}
+
+// ============================================================================
+// PRONUNCIATION LEXICON
+// ============================================================================
+
+/**
+ * Loads lexicon rules from LocalStorage, dropping any that are invalid
+ */
+function loadLexicon() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LEXICON_STORAGE_KEY) || "[]");
+    lexiconRules = stored.flatMap((rule) => {
+      try {
+        return [normalizeLexiconRule(rule)];
+      } catch (error) {
+        console.warn("Skipping invalid lexicon rule:", rule, error);
+        return [];
+      }
+    });
+  } catch (error) {
+    console.error("Error reading lexicon:", error);
+    lexiconRules = [];
+  }
+  updateLexiconSummary();
+}
+
+/**
+ * Persists lexicon rules to LocalStorage
+ */
+function saveLexicon() {
+  try {
+    localStorage.setItem(LEXICON_STORAGE_KEY, JSON.stringify(lexiconRules));
+  } catch (error) {
+    console.error("Error saving lexicon:", error);
+  }
+  updateLexiconSummary();
+}
+
+/**
+ * Validates a rule (from the editor, storage or an imported file)
+ * and fills in default options
+ *
+ * @param {Object} rule - { term, replacement, wholeWord, caseSensitive, regex }
+ * @returns {Object} The normalized rule
+ * @throws {Error} If the term is missing or the regex doesn't compile
+ */
+function normalizeLexiconRule(rule) {
+  if (!rule || typeof rule.term !== "string" || rule.term.trim() === "") {
+    throw new Error("Each rule needs a term");
+  }
+  if (rule.replacement !== undefined && typeof rule.replacement !== "string") {
+    throw new Error(`The spoken form for "${rule.term}" must be text`);
+  }
+
+  const normalized = {
+    term: rule.regex ? rule.term : rule.term.trim(),
+    replacement: rule.replacement || "",
+    wholeWord: rule.wholeWord !== false,
+    caseSensitive: Boolean(rule.caseSensitive),
+    regex: Boolean(rule.regex),
+  };
+
+  // Surfaces invalid regular expressions up front
+  compileLexiconRule(normalized);
+  return normalized;
+}
+
+/**
+ * Builds the regular expression that matches a rule's term
+ * Whole-word matching uses lookarounds rather than \b so terms that start
+ * or end with punctuation (e.g. "C++", ".NET") still match.
+ *
+ * @param {Object} rule - A normalized lexicon rule
+ * @returns {RegExp} Global expression for the term
+ * @throws {SyntaxError} If a regex rule is invalid
+ */
+function compileLexiconRule(rule) {
+  const source = rule.regex ? rule.term : rule.term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const bounded = rule.wholeWord ? `(?<!\\w)(?:${source})(?!\\w)` : source;
+  return new RegExp(bounded, rule.caseSensitive ? "g" : "gi");
+}
+
+/**
+ * Applies lexicon rules to text, in order
+ * Regex rules may use $1-style references in the spoken form.
+ *
+ * @param {string} text - Text as typed
+ * @param {Array<Object>} [rules] - Rules to apply, defaults to the saved lexicon
+ * @returns {{text: string, applied: Array<{term: string, replacement: string, count: number}>}}
+ *          The text to synthesize and the rules that matched
+ */
+function applyLexicon(text, rules = lexiconRules) {
+  const applied = [];
+  let result = text;
+
+  rules.forEach((rule) => {
+    const pattern = compileLexiconRule(rule);
+    const count = (result.match(pattern) || []).length;
+    if (count === 0) return;
+
+    // A function replacement keeps "$" literal for plain-text rules
+    result = result.replace(pattern, rule.regex ? rule.replacement : () => rule.replacement);
+    applied.push({ term: rule.term, replacement: rule.replacement, count });
+  });
+
+  return { text: result, applied };
+}
+
+/**
+ * Describes fired rules for the metadata panel
+ *
+ * @param {Array<Object>} applied - From applyLexicon()
+ * @returns {string}
+ */
+function describeLexiconRules(applied) {
+  return applied
+    .map((rule) => `${rule.term} → ${rule.replacement || "(removed)"} ×${rule.count}`)
+    .join(", ");
+}
+
+/**
+ * Shows the number of saved rules next to the sidebar's edit button
+ */
+function updateLexiconSummary() {
+  if (!lexiconSummary) return;
+  lexiconSummary.textContent =
+    lexiconRules.length === 0
+      ? "No rules yet"
+      : `${lexiconRules.length} rule${lexiconRules.length === 1 ? "" : "s"} applied before synthesis`;
+}
+
+/**
+ * Opens the lexicon editor in the main content area
+ */
+function displayLexicon() {
+  mainContent.innerHTML = `
+    <div class="lexicon-view">
+      <h2 class="dg-section-heading">Pronunciation Lexicon</h2>
+      <p class="dg-prose">
+        Rules replace terms with how they should be spoken, in order, before text is sent for synthesis.
+      </p>
+      <form id="lexiconForm" class="lexicon-form">
+        <input type="text" name="term" class="dg-input" placeholder="Term, e.g. SQL" aria-label="Term" required>
+        <input type="text" name="replacement" class="dg-input" placeholder="Spoken as, e.g. sequel" aria-label="Spoken as">
+        <div class="lexicon-form__options">
+          <label class="compare-toggle"><input type="checkbox" name="wholeWord" checked> Whole word</label>
+          <label class="compare-toggle"><input type="checkbox" name="caseSensitive"> Case-sensitive</label>
+          <label class="compare-toggle"><input type="checkbox" name="regex"> Regex</label>
+          <button type="submit" class="dg-btn dg-btn--primary dg-btn--sm">
+            <i class="fa-solid fa-plus"></i> Add rule
+          </button>
+        </div>
+      </form>
+      <div class="batch-toolbar">
+        <div id="lexiconMessage" class="batch-summary"></div>
+        <div class="batch-toolbar__actions">
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-lexicon-action="import">
+            <i class="fa-solid fa-file-import"></i> Import JSON
+          </button>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-lexicon-action="export">
+            <i class="fa-solid fa-file-export"></i> Export JSON
+          </button>
+          <button type="button" class="dg-btn dg-btn--secondary dg-btn--sm" data-lexicon-action="close">
+            Done
+          </button>
+          <input type="file" id="lexiconImportFile" accept=".json,application/json" hidden>
+        </div>
+      </div>
+      <div class="batch-table-wrapper">
+        <table class="batch-table">
+          <thead>
+            <tr><th>Term</th><th>Spoken as</th><th>Options</th><th></th></tr>
+          </thead>
+          <tbody id="lexiconRules"></tbody>
+        </table>
+      </div>
+      <h3 class="dg-form-label lexicon-preview__label">Preview of the current text</h3>
+      <div id="lexiconPreview" class="generated-text"></div>
+    </div>
+  `;
+
+  const form = document.getElementById("lexiconForm");
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    try {
+      const rule = normalizeLexiconRule({
+        term: form.elements.term.value,
+        replacement: form.elements.replacement.value,
+        wholeWord: form.elements.wholeWord.checked,
+        caseSensitive: form.elements.caseSensitive.checked,
+        regex: form.elements.regex.checked,
+      });
+      lexiconRules.push(rule);
+      saveLexicon();
+      form.reset();
+      setLexiconMessage(`Added "${rule.term}"`);
+      renderLexiconRules();
+    } catch (error) {
+      setLexiconMessage(error.message, true);
+    }
+  });
+
+  mainContent.querySelector(".lexicon-view").addEventListener("click", (e) => {
+    const button = e.target.closest("[data-lexicon-action], [data-lexicon-delete]");
+    if (!button) return;
+
+    if (button.dataset.lexiconDelete !== undefined) {
+      lexiconRules.splice(Number(button.dataset.lexiconDelete), 1);
+      saveLexicon();
+      renderLexiconRules();
+      return;
+    }
+
+    const action = button.dataset.lexiconAction;
+    if (action === "import") {
+      document.getElementById("lexiconImportFile").click();
+    } else if (action === "export") {
+      exportLexicon();
+    } else if (action === "close") {
+      closeLexicon();
+    }
+  });
+
+  document.getElementById("lexiconImportFile").addEventListener("change", (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) importLexicon(file);
+  });
+
+  renderLexiconRules();
+}
+
+/**
+ * Renders the rule table and the preview of the textarea with rules applied
+ */
+function renderLexiconRules() {
+  const tbody = document.getElementById("lexiconRules");
+  if (!tbody) return;
+
+  tbody.innerHTML =
+    lexiconRules
+      .map((rule, index) => {
+        const options = [
+          rule.wholeWord ? "whole word" : null,
+          rule.caseSensitive ? "case-sensitive" : null,
+          rule.regex ? "regex" : null,
+        ]
+          .filter(Boolean)
+          .join(", ");
+        return `
+          <tr>
+            <td class="batch-table__mono">${escapeHtml(rule.term)}</td>
+            <td>${escapeHtml(rule.replacement || "(removed)")}</td>
+            <td class="batch-table__status">${escapeHtml(options || "—")}</td>
+            <td>
+              <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-lexicon-delete="${index}"
+                aria-label="Delete rule">
+                <i class="fa-solid fa-trash"></i>
+              </button>
+            </td>
+          </tr>
+        `;
+      })
+      .join("") || '<tr><td colspan="4" class="history-empty">No rules yet</td></tr>';
+
+  const preview = document.getElementById("lexiconPreview");
+  const text = textInput ? textInput.value.trim() : "";
+  if (!text) {
+    preview.textContent = "Enter text in the sidebar to preview the rules.";
+    return;
+  }
+  const { text: spoken, applied } = applyLexicon(text);
+  preview.textContent = spoken;
+  if (applied.length > 0) {
+    setLexiconMessage(`Matches in the current text: ${describeLexiconRules(applied)}`);
+  }
+}
+
+/**
+ * Shows a note or validation error in the lexicon toolbar
+ *
+ * @param {string} message - Text to show
+ * @param {boolean} [isError] - Style as an error
+ */
+function setLexiconMessage(message, isError = false) {
+  const element = document.getElementById("lexiconMessage");
+  if (!element) return;
+  element.textContent = message;
+  element.classList.toggle("lexicon-message--error", isError);
+}
+
+/**
+ * Downloads the lexicon as JSON so it can be shared
+ */
+function exportLexicon() {
+  const json = JSON.stringify({ version: 1, rules: lexiconRules }, null, 2);
+  downloadBlob(new Blob([json], { type: "application/json" }), "pronunciation-lexicon.json");
+}
+
+/**
+ * Merges rules from an exported lexicon file
+ * Rules with the same term and options replace the existing ones; the file
+ * is rejected as a whole if any rule is invalid.
+ *
+ * @param {File} file - JSON file with { rules: [...] } or a bare array
+ */
+async function importLexicon(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    const incoming = Array.isArray(data) ? data : data && data.rules;
+    if (!Array.isArray(incoming)) {
+      throw new Error("Expected a list of rules");
+    }
+
+    const rules = incoming.map((rule, index) => {
+      try {
+        return normalizeLexiconRule(rule);
+      } catch (error) {
+        throw new Error(`Rule ${index + 1}: ${error.message}`);
+      }
+    });
+
+    const sameRule = (a, b) =>
+      a.term === b.term && a.regex === b.regex && a.wholeWord === b.wholeWord && a.caseSensitive === b.caseSensitive;
+    let replaced = 0;
+    rules.forEach((rule) => {
+      const existing = lexiconRules.findIndex((current) => sameRule(current, rule));
+      if (existing === -1) {
+        lexiconRules.push(rule);
+      } else {
+        lexiconRules[existing] = rule;
+        replaced += 1;
+      }
+    });
+
+    saveLexicon();
+    renderLexiconRules();
+    setLexiconMessage(`Imported ${rules.length} rules from ${file.name} (${replaced} replaced)`);
+  } catch (error) {
+    console.error("Error importing lexicon:", error);
+    setLexiconMessage(`Could not import ${file.name}: ${error.message}`, true);
+  }
+}
+
+/**
+ * Leaves the lexicon editor, returning to the active result if there is one
+ */
+function closeLexicon() {
+  if (activeRequestId) {
+    loadHistoryEntry(activeRequestId);
+  } else {
+    resetToInitialState();
+    updateFormValidation();
+  }
+}
+
+// ============================================================================
+// USAGE & BUDGETS
+// ============================================================================
+
+/**
+ * Price per 1,000 characters for a model, from PRICE_PER_1K_CHARACTERS
+ * The longest matching model prefix wins, so "aura-2-thalia-en" uses the
+ * "aura-2" price rather than "aura".
+ *
+ * @param {string} model - Model name
+ * @returns {number|null} Price in USD, or null if the model isn't priced
+ */
+function getModelPrice(model) {
+  const prefix = Object.keys(PRICE_PER_1K_CHARACTERS)
+    .filter((key) => model === key || model.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? PRICE_PER_1K_CHARACTERS[prefix] : null;
+}
+
+/**
+ * Estimates the cost of synthesizing a number of characters
+ *
+ * @param {number} characters - Billed characters
+ * @param {string} model - Model name
+ * @returns {number|null} Cost in USD, or null if the model isn't priced
+ */
+function estimateCost(characters, model) {
+  const price = getModelPrice(model);
+  return price === null ? null : (characters / 1000) * price;
+}
+
+/**
+ * Formats a cost in USD, keeping sub-cent amounts readable
+ *
+ * @param {number|null} cost - Cost in USD
+ * @returns {string} e.g. "$0.0042", "$12.50", or "unpriced"
+ */
+function formatCost(cost) {
+  if (cost === null) return "unpriced";
+  return `$${cost.toFixed(cost > 0 && cost < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Works out what the form would send, as the characters billed per model
+ * Mirrors handleGenerate(): lexicon rules and markup are applied first,
+ * pauses cost nothing, and comparison mode sends the text once per voice.
+ *
+ * @param {string} text - Text as typed
+ * @returns {Array<{model: string, characters: number}>} One item per model
+ */
+function getBillableRequests(text) {
+  if (!text) return [];
+  const model = modelSelect ? modelSelect.value : "";
+  const perModel = new Map();
+  const add = (name, characters) => perModel.set(name, (perModel.get(name) || 0) + characters);
+
+  if (hasMarkup(text)) {
+    planMarkupChunks(parseMarkup(text, model).segments)
+      .chunks.filter((chunk) => !chunk.pauseMs)
+      .forEach((chunk) => add(chunk.model, chunk.text.length));
+  } else {
+    const { text: spokenText } = applyLexicon(text);
+    (isCompareMode() ? [...compareSelection] : [model]).forEach((name) => add(name, spokenText.length));
+  }
+
+  return [...perModel].map(([name, characters]) => ({ model: name, characters }));
+}
+
+/**
+ * Returns today's date in local time as YYYY-MM-DD, the ledger's day key
+ *
+ * @param {Date} [date] - Date to format
+ * @returns {string}
+ */
+function getUsageDay(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Loads the usage ledger and budgets from LocalStorage
+ */
+function loadUsage() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(USAGE_STORAGE_KEY) || "{}");
+    usageLedger = stored.days && typeof stored.days === "object" ? stored.days : {};
+    const budget = stored.budget || {};
+    usageBudget = {
+      soft: Number.isFinite(budget.soft) ? budget.soft : null,
+      hard: Number.isFinite(budget.hard) ? budget.hard : null,
+    };
+  } catch (error) {
+    console.error("Error reading usage ledger:", error);
+    usageLedger = {};
+    usageBudget = { soft: null, hard: null };
+  }
+  updateUsageSummary();
+}
+
+/**
+ * Persists the usage ledger and budgets to LocalStorage
+ * Days older than USAGE_RETENTION_DAYS are dropped.
+ */
+function saveUsage() {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - USAGE_RETENTION_DAYS);
+  const oldest = getUsageDay(cutoff);
+  Object.keys(usageLedger).forEach((day) => {
+    if (day < oldest) delete usageLedger[day];
+  });
+
+  try {
+    localStorage.setItem(USAGE_STORAGE_KEY, JSON.stringify({ days: usageLedger, budget: usageBudget }));
+  } catch (error) {
+    console.error("Error saving usage ledger:", error);
+  }
+}
+
+/**
+ * Adds a successful synthesis request to today's usage
+ *
+ * @param {string} model - Model the request used
+ * @param {number} characters - Characters sent
+ */
+function recordUsage(model, characters) {
+  const day = getUsageDay();
+  const models = (usageLedger[day] = usageLedger[day] || {});
+  const usage = (models[model] = models[model] || { characters: 0, requests: 0 });
+  usage.characters += characters;
+  usage.requests += 1;
+  saveUsage();
+  updateUsageSummary();
+  updateCharacterCount();
+}
+
+/**
+ * Totals the ledger from a given day onward
+ *
+ * @param {string} [fromDay] - First day to include (YYYY-MM-DD); all days if omitted
+ * @returns {{characters: number, requests: number, cost: number, unpriced: number,
+ *   days: Map<string, Object>, models: Map<string, Object>}} Totals, plus totals by day and by model
+ */
+function summarizeUsage(fromDay = "") {
+  const summary = { characters: 0, requests: 0, cost: 0, unpriced: 0, days: new Map(), models: new Map() };
+  const addTo = (map, key, usage, cost) => {
+    const total = map.get(key) || { characters: 0, requests: 0, cost: 0 };
+    total.characters += usage.characters;
+    total.requests += usage.requests;
+    total.cost += cost || 0;
+    map.set(key, total);
+  };
+
+  Object.keys(usageLedger)
+    .filter((day) => day >= fromDay)
+    .sort()
+    .forEach((day) => {
+      Object.entries(usageLedger[day]).forEach(([model, usage]) => {
+        const cost = estimateCost(usage.characters, model);
+        summary.characters += usage.characters;
+        summary.requests += usage.requests;
+        summary.cost += cost || 0;
+        if (cost === null) summary.unpriced += usage.characters;
+        addTo(summary.days, day, usage, cost);
+        addTo(summary.models, model, usage, cost);
+      });
+    });
+
+  return summary;
+}
+
+/**
+ * Returns the first day of the current budget period (this calendar month)
+ *
+ * @returns {string} YYYY-MM-DD
+ */
+function getBudgetPeriodStart() {
+  return `${getUsageDay().slice(0, 8)}01`;
+}
+
+/**
+ * Checks a planned generation against the monthly budgets
+ *
+ * @param {Array<{model: string, characters: number}>} requests - From getBillableRequests()
+ * @returns {{level: string, message: string}} level is "ok", "soft" (warn) or "hard" (block)
+ */
+function checkBudget(requests) {
+  const estimate = requests.reduce((sum, request) => sum + (estimateCost(request.characters, request.model) || 0), 0);
+  const total = summarizeUsage(getBudgetPeriodStart()).cost + estimate;
+
+  if (usageBudget.hard !== null && total > usageBudget.hard) {
+    return {
+      level: "hard",
+      message: `This would bring this month to ${formatCost(total)}, over the ${formatCost(usageBudget.hard)} hard budget`,
+    };
+  }
+  if (usageBudget.soft !== null && total > usageBudget.soft) {
+    return {
+      level: "soft",
+      message: `This brings this month to ${formatCost(total)}, over the ${formatCost(usageBudget.soft)} soft budget`,
+    };
+  }
+  return { level: "ok", message: "" };
+}
+
+/**
+ * Updates the character count and cost estimate under the textarea
+ */
+function updateCharacterCount() {
+  if (!characterCount || !textInput) return;
+
+  const text = textInput.value.trim();
+  const requests = getBillableRequests(text);
+  const billed = requests.reduce((sum, request) => sum + request.characters, 0);
+
+  const parts = [`${textInput.value.length.toLocaleString()} characters`];
+  if (requests.length > 0) {
+    const costs = requests.map((request) => estimateCost(request.characters, request.model));
+    const priced = costs.filter((cost) => cost !== null);
+    if (billed !== textInput.value.length) {
+      parts.push(`${billed.toLocaleString()} billed`);
+    }
+    parts.push(`est. ${priced.length > 0 ? formatCost(priced.reduce((sum, cost) => sum + cost, 0)) : formatCost(null)}`);
+    if (requests.length > 1) {
+      parts.push(requests.map((request, i) => `${request.model} ${formatCost(costs[i])}`).join(", "));
+    }
+  }
+
+  const budget = checkBudget(requests);
+  characterCount.textContent = parts.join(" · ");
+  characterCount.classList.toggle("character-count--warning", budget.level === "soft");
+  characterCount.classList.toggle("character-count--blocked", budget.level === "hard");
+  if (budget.message) {
+    characterCount.textContent += `. ${budget.message}.`;
+  }
+}
+
+/**
+ * Updates the sidebar usage line with this month's spend
+ */
+function updateUsageSummary() {
+  if (!usageSummary) return;
+  const month = summarizeUsage(getBudgetPeriodStart());
+  const limit = usageBudget.hard ?? usageBudget.soft;
+  usageSummary.textContent =
+    `${formatCost(month.cost)} this month` +
+    (limit !== null ? ` of ${formatCost(limit)}` : "") +
+    ` · ${month.requests.toLocaleString()} request${month.requests === 1 ? "" : "s"}`;
+}
+
+/**
+ * Opens the usage summary and budget settings in the main content area
+ */
+function displayUsage() {
+  mainContent.innerHTML = `
+    <div class="usage-view">
+      <h2 class="dg-section-heading">Usage &amp; Budget</h2>
+      <p class="dg-prose">
+        Successful requests from this browser, priced with the configured price table. Budgets apply per calendar month.
+      </p>
+      <form id="usageBudgetForm" class="lexicon-form">
+        <input type="number" name="soft" class="dg-input" min="0" step="0.01" placeholder="Soft budget (warn), USD"
+          aria-label="Soft budget in USD" value="${usageBudget.soft ?? ""}">
+        <input type="number" name="hard" class="dg-input" min="0" step="0.01" placeholder="Hard budget (block), USD"
+          aria-label="Hard budget in USD" value="${usageBudget.hard ?? ""}">
+        <div class="lexicon-form__options">
+          <button type="submit" class="dg-btn dg-btn--primary dg-btn--sm">Save budgets</button>
+        </div>
+      </form>
+      <div class="batch-toolbar">
+        <div id="usageMessage" class="batch-summary"></div>
+        <div class="batch-toolbar__actions">
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-usage-action="reset">
+            <i class="fa-solid fa-trash"></i> Reset usage
+          </button>
+          <button type="button" class="dg-btn dg-btn--secondary dg-btn--sm" data-usage-action="close">
+            Done
+          </button>
+        </div>
+      </div>
+      <h3 class="dg-form-label lexicon-preview__label">This month by model</h3>
+      <div class="batch-table-wrapper">
+        <table class="batch-table">
+          <thead>
+            <tr><th>Model</th><th>Requests</th><th>Characters</th><th>Price / 1k</th><th>Est. cost</th></tr>
+          </thead>
+          <tbody id="usageByModel"></tbody>
+        </table>
+      </div>
+      <h3 class="dg-form-label lexicon-preview__label">By day</h3>
+      <div class="batch-table-wrapper">
+        <table class="batch-table">
+          <thead>
+            <tr><th>Day</th><th>Requests</th><th>Characters</th><th>Est. cost</th></tr>
+          </thead>
+          <tbody id="usageByDay"></tbody>
+        </table>
+      </div>
+    </div>
+  `;
+
+  const form = document.getElementById("usageBudgetForm");
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const read = (input) => (input.value.trim() === "" ? null : Number(input.value));
+    const soft = read(form.elements.soft);
+    const hard = read(form.elements.hard);
+    if ([soft, hard].some((value) => value !== null && (!Number.isFinite(value) || value < 0))) {
+      renderUsage("Budgets must be positive amounts", true);
+      return;
+    }
+    if (soft !== null && hard !== null && soft > hard) {
+      renderUsage("The soft budget should be lower than the hard budget", true);
+      return;
+    }
+    usageBudget = { soft, hard };
+    saveUsage();
+    updateUsageSummary();
+    updateFormValidation();
+    renderUsage("Budgets saved");
+  });
+
+  mainContent.querySelector(".usage-view").addEventListener("click", (e) => {
+    const button = e.target.closest("[data-usage-action]");
+    if (!button) return;
+
+    if (button.dataset.usageAction === "reset") {
+      if (!window.confirm("Clear all recorded usage? Budgets are kept.")) return;
+      usageLedger = {};
+      saveUsage();
+      updateUsageSummary();
+      updateFormValidation();
+      renderUsage("Usage cleared");
+    } else if (button.dataset.usageAction === "close") {
+      closeUsage();
+    }
+  });
+
+  renderUsage();
+}
+
+/**
+ * Renders the usage tables and the month's totals
+ *
+ * @param {string} [message] - Message to show instead of the totals
+ * @param {boolean} [isError] - Whether the message is an error
+ */
+function renderUsage(message = "", isError = false) {
+  const byModel = document.getElementById("usageByModel");
+  if (!byModel) return;
+
+  const month = summarizeUsage(getBudgetPeriodStart());
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - 30);
+  const recent = summarizeUsage(getUsageDay(cutoff));
+
+  byModel.innerHTML =
+    [...month.models]
+      .sort((a, b) => b[1].characters - a[1].characters)
+      .map(([model, usage]) => {
+        const price = getModelPrice(model);
+        return `
+          <tr>
+            <td class="batch-table__mono">${escapeHtml(model)}</td>
+            <td>${usage.requests.toLocaleString()}</td>
+            <td>${usage.characters.toLocaleString()}</td>
+            <td>${formatCost(price)}</td>
+            <td>${price === null ? "—" : formatCost(usage.cost)}</td>
+          </tr>
+        `;
+      })
+      .join("") || '<tr><td colspan="5" class="history-empty">No usage this month</td></tr>';
+
+  document.getElementById("usageByDay").innerHTML =
+    [...recent.days]
+      .reverse()
+      .map(
+        ([day, usage]) => `
+          <tr>
+            <td class="batch-table__mono">${day}</td>
+            <td>${usage.requests.toLocaleString()}</td>
+            <td>${usage.characters.toLocaleString()}</td>
+            <td>${formatCost(usage.cost)}</td>
+          </tr>
+        `
+      )
+      .join("") || '<tr><td colspan="4" class="history-empty">No usage in the last 30 days</td></tr>';
+
+  const status = document.getElementById("usageMessage");
+  status.classList.toggle("lexicon-message--error", isError);
+  if (message) {
+    status.textContent = message;
+    return;
+  }
+  const budget = checkBudget([]);
+  status.textContent =
+    `This month: ${formatCost(month.cost)} · ${month.requests.toLocaleString()} request${month.requests === 1 ? "" : "s"} · ` +
+    `${month.characters.toLocaleString()} characters` +
+    (month.unpriced > 0 ? ` (${month.unpriced.toLocaleString()} unpriced)` : "") +
+    (budget.level !== "ok" ? ` · over the ${budget.level} budget` : "");
+}
+
+/**
+ * Closes the usage view, returning to the active result or the empty state
+ */
+function closeUsage() {
+  if (activeRequestId) {
+    loadHistoryEntry(activeRequestId);
+  } else {
+    resetToInitialState();
+    updateFormValidation();
+  }
+}
+
+// ============================================================================
+// SCRIPT MARKUP
+// ============================================================================
+
+/**
+ * Whether text uses script markup
+ * Plain text (including text with unrelated brackets) keeps the normal flow.
+ *
+ * @param {string} text - Text as typed
+ * @returns {boolean}
+ */
+function hasMarkup(text) {
+  return /\[\s*(pause|\/?voice)\b/i.test(text);
+}
+
+/**
+ * Parses script markup into a segment plan
+ *
+ * Supported directives:
+ * - [pause 800ms] / [pause 1.5s] - silence, up to MAX_PAUSE_MS
+ * - [voice aura-2-draco-en] ... [/voice] - speak the enclosed text with another model
+ * - A blank line between paragraphs - a PARAGRAPH_PAUSE_MS pause
+ *
+ * @param {string} text - Text as typed
+ * @param {string} defaultModel - Model for text outside [voice] blocks
+ * @returns {{segments: Array<Object>, errors: Array<{start: number, end: number, message: string}>}}
+ *          Segments are { type: "speech", text, model } or { type: "pause", ms, source }
+ */
+function parseMarkup(text, defaultModel) {
+  const segments = [];
+  const errors = [];
+  let voice = null;
+  let cursor = 0;
+
+  const addText = (content) => {
+    content.split(/\n[ \t]*\n/).forEach((paragraph, index) => {
+      if (index > 0) {
+        segments.push({ type: "pause", ms: PARAGRAPH_PAUSE_MS, source: "paragraph" });
+      }
+      const trimmed = paragraph.replace(/\s+/g, " ").trim();
+      if (trimmed) {
+        segments.push({ type: "speech", text: trimmed, model: voice ? voice.model : defaultModel });
+      }
+    });
+  };
+
+  const tagPattern = /\[([^[\]\n]*)\]/g;
+  let match;
+  while ((match = tagPattern.exec(text)) !== null) {
+    addText(text.slice(cursor, match.index));
+    cursor = match.index + match[0].length;
+
+    const range = { start: match.index, end: cursor };
+    const directive = match[1].trim();
+    const pause = directive.match(/^pause\s+(\d+(?:\.\d+)?)\s*(ms|s)$/i);
+    const voiceOpen = directive.match(/^voice\s+([a-z0-9][a-z0-9-]*)$/i);
+
+    if (pause) {
+      const ms = Math.round(parseFloat(pause[1]) * (pause[2].toLowerCase() === "s" ? 1000 : 1));
+      if (ms > MAX_PAUSE_MS) {
+        errors.push({ ...range, message: `Pauses can be at most ${MAX_PAUSE_MS / 1000} s` });
+      } else if (ms > 0) {
+        segments.push({ type: "pause", ms, source: "directive" });
+      }
+    } else if (voiceOpen) {
+      if (voice) {
+        errors.push({ ...range, message: `[voice] blocks can't be nested; close [voice ${voice.model}] first` });
+      } else {
+        voice = { model: voiceOpen[1].toLowerCase(), ...range };
+      }
+    } else if (/^\/voice$/i.test(directive)) {
+      if (!voice) {
+        errors.push({ ...range, message: "[/voice] without a matching [voice ...]" });
+      }
+      voice = null;
+    } else if (/^pause\b/i.test(directive)) {
+      errors.push({ ...range, message: "Write pauses as [pause 800ms] or [pause 1.5s]" });
+    } else if (/^voice\b/i.test(directive)) {
+      errors.push({ ...range, message: "Name a model, e.g. [voice aura-2-draco-en]" });
+    } else {
+      errors.push({ ...range, message: `Unknown directive [${directive}]` });
+    }
+  }
+  addText(text.slice(cursor));
+
+  if (voice) {
+    errors.push({ start: voice.start, end: voice.end, message: `[voice ${voice.model}] is never closed with [/voice]` });
+  }
+  if (errors.length === 0 && !segments.some((segment) => segment.type === "speech")) {
+    errors.push({ start: 0, end: text.length, message: "The script has no text to speak" });
+  }
+
+  // Leading and trailing pauses from blank lines carry no meaning
+  while (segments.length > 0 && segments[0].source === "paragraph") segments.shift();
+  while (segments.length > 0 && segments[segments.length - 1].source === "paragraph") segments.pop();
+
+  return { segments, errors };
+}
+
+/**
+ * Line number (1-based) of a position in text, for error messages
+ *
+ * @param {string} text - The text
+ * @param {number} index - Character position
+ * @returns {number}
+ */
+function getLineNumber(text, index) {
+  return text.slice(0, index).split("\n").length;
+}
+
+/**
+ * Highlights markup in the editor backdrop and lists any syntax errors
+ * under the textarea. Clicking an error selects it in the textarea.
+ */
+function updateMarkupEditor() {
+  if (!textInput || !markupBackdrop) return;
+
+  const text = textInput.value;
+  const active = hasMarkup(text);
+  const { errors } = active ? parseMarkup(text, "") : { errors: [] };
+
+  // Mirror the text with directives and errors wrapped in marks
+  let html = "";
+  let cursor = 0;
+  const marks = [];
+  if (active) {
+    const tagPattern = /\[[^[\]\n]*\]/g;
+    let match;
+    while ((match = tagPattern.exec(text)) !== null) {
+      const end = match.index + match[0].length;
+      const isError = errors.some((error) => error.start === match.index && error.end === end);
+      marks.push({ start: match.index, end, className: isError ? "markup-mark--error" : "markup-mark" });
+    }
+  }
+  marks.forEach((mark) => {
+    html += escapeHtml(text.slice(cursor, mark.start));
+    html += `<mark class="${mark.className}">${escapeHtml(text.slice(mark.start, mark.end))}</mark>`;
+    cursor = mark.end;
+  });
+  // A trailing newline needs content after it to keep the heights in step
+  markupBackdrop.innerHTML = html + escapeHtml(text.slice(cursor)) + "\n";
+  markupBackdrop.scrollTop = textInput.scrollTop;
+
+  if (markupErrors) {
+    markupErrors.innerHTML = errors
+      .map(
+        (error, index) => `
+          <li>
+            <button type="button" class="markup-errors__item" data-markup-error="${index}">
+              Line ${getLineNumber(text, error.start)}: ${escapeHtml(error.message)}
+            </button>
+          </li>
+        `
+      )
+      .join("");
+    markupErrors.style.display = errors.length > 0 ? "block" : "none";
+    markupErrors.onclick = (e) => {
+      const item = e.target.closest("[data-markup-error]");
+      if (!item) return;
+      const error = errors[Number(item.dataset.markupError)];
+      textInput.focus();
+      textInput.setSelectionRange(error.start, error.end);
+    };
+  }
+
+  if (markupPreviewBtn) {
+    markupPreviewBtn.style.display = active ? "inline-flex" : "none";
+  }
+}
+
+/**
+ * Shows the segment plan for the current script in the main area
+ */
+function displayMarkupPlan() {
+  const text = textInput ? textInput.value : "";
+  const defaultModel = modelSelect && modelSelect.value ? modelSelect.value : "aura-2-thalia-en";
+  const { segments, errors } = parseMarkup(text, defaultModel);
+
+  const speech = segments.filter((segment) => segment.type === "speech");
+  const pauseMs = segments.reduce((sum, segment) => sum + (segment.type === "pause" ? segment.ms : 0), 0);
+  const models = [...new Set(speech.map((segment) => segment.model))];
+
+  const rows = segments
+    .map((segment, index) => {
+      const isPause = segment.type === "pause";
+      const content = isPause
+        ? `${segment.ms} ms of silence${segment.source === "paragraph" ? " (paragraph break)" : ""}`
+        : applyLexicon(segment.text).text;
+      return `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${isPause ? '<i class="fa-solid fa-pause"></i> Pause' : '<i class="fa-solid fa-comment"></i> Speech'}</td>
+          <td class="batch-table__mono">${isPause ? "—" : escapeHtml(segment.model)}</td>
+          <td class="batch-table__text" title="${escapeHtml(content)}">${escapeHtml(content)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const summary =
+    errors.length > 0
+      ? `${errors.length} markup error${errors.length === 1 ? "" : "s"} to fix before generating`
+      : `${speech.length} speech segment${speech.length === 1 ? "" : "s"} · ` +
+        `${formatDuration(pauseMs / 1000)} of pauses · ${models.map(escapeHtml).join(", ")}`;
+
+  activeRequestId = null;
+  mainContent.innerHTML = `
+    <div class="batch-view">
+      <h2 class="dg-section-heading">Script Plan</h2>
+      <div class="batch-toolbar">
+        <div class="batch-summary">${summary}</div>
+      </div>
+      <div class="batch-table-wrapper">
+        <table class="batch-table">
+          <thead>
+            <tr><th>#</th><th>Type</th><th>Voice</th><th>Content</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+  renderHistory();
+}
+
+/**
+ * Turns a markup plan into chunk job entries: speech segments are split
+ * like any other text (with the lexicon applied), pauses become silent chunks
+ *
+ * @param {Array<Object>} segments - From parseMarkup()
+ * @returns {{chunks: Array<Object>, lexicon: Array<Object>}} Chunks and the rules that fired
+ */
+function planMarkupChunks(segments) {
+  const fired = new Map();
+  const chunks = segments.flatMap((segment) => {
+    if (segment.type === "pause") {
+      return [{ text: `[pause ${segment.ms}ms]`, pauseMs: segment.ms }];
+    }
+    const { text, applied } = applyLexicon(segment.text);
+    applied.forEach((rule) => {
+      const key = `${rule.term}\u0000${rule.replacement}`;
+      const total = fired.get(key);
+      fired.set(key, total ? { ...total, count: total.count + rule.count } : rule);
+    });
+    return splitTextIntoChunks(text, MAX_CHUNK_CHARACTERS).map((chunkText) => ({
+      text: chunkText,
+      model: segment.model,
+    }));
+  });
+
+  return { chunks, lexicon: [...fired.values()] };
+}
+
+/**
+ * Summarizes a segment plan for history and the metadata panel
+ *
+ * @param {Array<Object>} segments - From parseMarkup()
+ * @returns {{speechSegments: number, pauses: number, pauseMs: number, models: Array<string>}}
+ */
+function describeMarkupPlan(segments) {
+  const pauses = segments.filter((segment) => segment.type === "pause");
+  const speech = segments.filter((segment) => segment.type === "speech");
+  return {
+    speechSegments: speech.length,
+    pauses: pauses.length,
+    pauseMs: pauses.reduce((sum, segment) => sum + segment.ms, 0),
+    models: [...new Set(speech.map((segment) => segment.model))],
+  };
+}
+
+// ============================================================================
+// OFFLINE SUPPORT
+// ============================================================================
+
+/**
+ * Registers the service worker that keeps the app shell available offline
+ * Only production builds include a usable sw.js (see vite.config.js).
+ */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !import.meta.env.PROD) return;
+
+  navigator.serviceWorker.register("./sw.js").catch((error) => {
+    console.warn("Service worker registration failed:", error);
+  });
+}
+
+/**
+ * Queues a generation made while offline, to run once the connection returns
+ *
+ * @param {Object} request - { text, model, output, models } where `models`
+ *   lists the voices of a comparison, or is null
+ */
+async function queueGeneration(request) {
+  try {
+    await historyStore.putQueueItem({
+      id: `queued_${Date.now()}`,
+      timestamp: new Date().toISOString(),
+      ...request,
+      status: "queued",
+      error: null,
+    });
+    showNotice("You're offline. The generation is queued and will run when the connection returns.");
+    renderHistory();
+  } catch (error) {
+    console.error("Error queueing generation:", error);
+    showError("You're offline and the generation couldn't be queued.");
+  }
+}
+
+/**
+ * Whether the generation queue is being worked through
+ */
+let generationQueueRunning = false;
+
+/**
+ * Runs queued generations one at a time, saving each result to history
+ * Items that fail stay in the queue for a retry; if the connection drops
+ * again, the remaining items wait for the next "online" event.
+ */
+async function processGenerationQueue() {
+  if (generationQueueRunning || !navigator.onLine) return;
+  generationQueueRunning = true;
+
+  try {
+    for (const item of await historyStore.getQueue()) {
+      // "working" here was left behind by a page that closed mid-generation
+      if (item.status === "failed") continue;
+      if (!navigator.onLine) break;
+
+      await historyStore.putQueueItem({ ...item, status: "working", error: null });
+      renderHistory();
+
+      try {
+        await runQueuedGeneration(item);
+        await historyStore.deleteQueueItem(item.id);
+      } catch (error) {
+        console.error("Queued generation failed:", error);
+        const offline = !navigator.onLine;
+        await historyStore.putQueueItem({ ...item, status: offline ? "queued" : "failed", error: offline ? null : error.message });
+      }
+      renderHistory();
+    }
+  } finally {
+    generationQueueRunning = false;
+  }
+}
+
+/**
+ * Generates a queued request in the background, the same way
+ * handleGenerate() would, and saves it to history
  *
- * CUSTOMIZATION TIPS:
- * - Modify API_ENDPOINT constant to change backend URL
- * - Add additional form parameters before making request
- * - Customize error handling logic
- * - Add progress tracking
+ * @param {Object} item - Queue item (see queueGeneration)
+ * @returns {Promise<Object|null>} The saved history entry
  */
-async function handleGenerate() {
-  const text = textInput ? textInput.value.trim() : "";
+async function runQueuedGeneration(item) {
+  const markup = hasMarkup(item.text) ? parseMarkup(item.text, item.model) : null;
+  if (markup && markup.errors.length > 0) {
+    throw new Error(markup.errors[0].message);
+  }
+  // Items queued before handleGenerate() checked this
+  if (markup && item.models && item.models.length > 1) {
+    throw new Error("Script markup picks voices itself, so it can't be used in comparison mode");
+  }
 
-  // Check if text was provided
-  if (!text) {
-    showError("Please enter some text to convert to speech");
-    return;
+  const budget = checkBudget(getBillableRequests(item.text));
+  if (budget.level === "hard") {
+    throw new Error(budget.message);
   }
 
-  const model = modelSelect ? modelSelect.value : "aura-2-thalia-en";
+  const { text: spokenText, applied } = applyLexicon(item.text);
 
-  // Disable form elements and show working status
-  disableFormElements();
-  showWorking();
+  if (item.models && item.models.length > 1) {
+    const results = [];
+    for (const model of item.models) {
+      const startedAt = performance.now();
+      const { blob, metadata } = await ttsClient.synthesize(spokenText, { model, output: item.output, startedAt });
+      const latency = Math.round(performance.now() - startedAt);
+      results.push({ model, blob, latency, duration: metadata.duration ?? null, size: blob.size, metadata });
+    }
+    return historyStore.saveComparison(results, item.text, item.output, applied);
+  }
 
-  try {
-    // Build URL with model as query parameter (contract-compliant)
-    const url = new URL(API_ENDPOINT, window.location.origin);
-    if (model) {
-      url.searchParams.set("model", model);
-    }
-
-    // Make authenticated API request with JSON body
-    const response = await authenticatedFetch(url.toString(), {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        text,
-      }),
-    });
+  const plan = markup ? planMarkupChunks(markup.segments) : { chunks: null, lexicon: applied };
+  const { blob, chunkTimings, metadata } = await ttsClient.synthesize(spokenText, {
+    model: item.model,
+    output: item.output,
+    chunks: plan.chunks,
+  });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `Request failed with status ${response.status}`);
-    }
+  return historyStore.save(blob, item.text, item.model, {
+    output: item.output,
+    lexicon: plan.lexicon,
+    markup: markup ? describeMarkupPlan(markup.segments) : null,
+    chunkTimings,
+    metadata,
+    queuedAt: item.timestamp,
+  });
+}
+
+/**
+ * Builds the sidebar list of queued generations
+ *
+ * @param {Array<Object>} queue - From historyStore.getQueue()
+ * @returns {HTMLElement}
+ */
+function renderQueueList(queue) {
+  const list = document.createElement("div");
+  list.className = "history-list history-queue";
+
+  const statusLabels = {
+    queued: navigator.onLine ? "Queued" : "Waiting for connection",
+    working: "Generating...",
+    failed: "Failed",
+  };
 
-    // Get binary audio data as blob
-    const audioBlob = await response.blob();
+  list.innerHTML = queue
+    .map((item) => {
+      const textPreview = item.text.length > 50 ? item.text.substring(0, 50) + "..." : item.text;
+      const voices = item.models && item.models.length > 1 ? `Comparison · ${item.models.length} voices` : item.model;
+      const retry =
+        item.status === "failed"
+          ? `<button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-queue-action="retry" data-queue-id="${escapeHtml(item.id)}">Retry</button>`
+          : "";
+      const remove =
+        item.status !== "working"
+          ? `<button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-queue-action="remove" data-queue-id="${escapeHtml(item.id)}">Remove</button>`
+          : "";
 
-    // Create blob URL for the audio
-    const audioUrl = URL.createObjectURL(audioBlob);
+      return `
+        <div class="history-item history-item--queued">
+          <div class="history-item__header">
+            <div class="history-item__id">${escapeHtml(statusLabels[item.status] || item.status)}</div>
+            <i class="fa-solid ${item.status === "working" ? "fa-spinner fa-spin" : "fa-cloud-arrow-up"} history-queue__icon"></i>
+          </div>
+          <div class="history-item__model">${escapeHtml(voices || "")}</div>
+          <div class="history-queue__text">${escapeHtml(textPreview)}</div>
+          ${item.error ? `<div class="history-queue__error">${escapeHtml(item.error)}</div>` : ""}
+          <div class="history-queue__actions">${retry}${remove}</div>
+        </div>
+      `;
+    })
+    .join("");
 
-    // Save to history and get the entry (pass blob, not URL)
-    const historyEntry = await saveToHistory(audioBlob, text, model);
+  list.addEventListener("click", async (e) => {
+    const button = e.target.closest("[data-queue-action]");
+    if (!button) return;
+    const item = queue.find((queued) => queued.id === button.dataset.queueId);
+    if (!item) return;
 
-    // Set the active request ID and display
-    if (historyEntry) {
-      activeRequestId = historyEntry.id;
-      enableFormElements();
-      displayAudio(audioUrl, text);
-      displayMetadata({ audioUrl }, text);
-      hideStatus();
-      renderHistory(); // Re-render to highlight the active item
+    if (button.dataset.queueAction === "remove") {
+      await historyStore.deleteQueueItem(item.id);
+      renderHistory();
     } else {
-      // Fallback: display directly if save failed
-      enableFormElements();
-      displayAudio(audioUrl, text);
-      displayMetadata({ audioUrl }, text);
-      hideStatus();
+      await historyStore.putQueueItem({ ...item, status: "queued", error: null });
+      renderHistory();
+      processGenerationQueue();
     }
-  } catch (error) {
-    console.error("Text-to-speech error:", error);
-    // Re-enable form elements on error
-    enableFormElements();
-    showError(error.message);
-  }
+  });
+
+  return list;
 }
 
 // ============================================================================
@@ -634,13 +7425,39 @@ async function handleGenerate() {
 /**
  * Shows "processing" status indicator
  * Displays spinner and hides metadata
+ *
+ * @param {string} [message] - Status text to show next to the spinner
  */
-function showWorking() {
+function showWorking(message = "Generating audio...") {
+  // Offer a way out while a generation can still be cancelled
+  const cancelBtn =
+    generationController && !generationController.signal.aborted
+      ? `<button type="button" class="dg-btn dg-btn--ghost dg-btn--sm status-cancel" data-cancel-generation>Cancel</button>`
+      : "";
+
   statusContainer.style.display = "block";
   statusMessage.className = "dg-status dg-status--with-icon dg-status--primary";
   statusMessage.innerHTML =
-    '<i class="fa-solid fa-spinner fa-spin dg-status__icon"></i> Generating audio...';
+    `<i class="fa-solid fa-spinner fa-spin dg-status__icon"></i> ${message} ${cancelBtn}`;
+  metadataContainer.style.display = "none";
+  if (chunkProgress) {
+    chunkProgress.style.display = "none";
+  }
+}
+
+/**
+ * Shows an informational status message
+ *
+ * @param {string} message - The message to display
+ */
+function showNotice(message) {
+  statusContainer.style.display = "block";
+  statusMessage.className = "dg-status dg-status--with-icon dg-status--info";
+  statusMessage.innerHTML = `<i class="fa-solid fa-circle-info dg-status__icon"></i> ${message}`;
   metadataContainer.style.display = "none";
+  if (chunkProgress) {
+    chunkProgress.style.display = "none";
+  }
 }
 
 /**
@@ -654,6 +7471,61 @@ function showError(message) {
   statusMessage.className = "dg-status dg-status--with-icon dg-status--error";
   statusMessage.innerHTML = `<i class="fa-solid fa-circle-exclamation dg-status__icon"></i> ${message}`;
   metadataContainer.style.display = "none";
+  if (chunkProgress) {
+    chunkProgress.style.display = "none";
+  }
+}
+
+/**
+ * Shows per-chunk progress for a multi-chunk generation
+ * While chunks are running, the status shows a spinner and a count;
+ * once failed chunks remain, each gets its own retry button.
+ * Single-chunk jobs use the plain working/error status instead.
+ *
+ * @param {Object} job - The chunk job (see chunkJob)
+ */
+function renderChunkProgress(job) {
+  if (!chunkProgress || job.chunks.length < 2) return;
+
+  const running = job.chunks.some((chunk) => chunk.status === "pending" || chunk.status === "working");
+  const doneCount = job.chunks.filter((chunk) => chunk.status === "done").length;
+  const failedCount = job.chunks.filter((chunk) => chunk.status === "failed").length;
+
+  if (running) {
+    showWorking(`Generating audio... ${doneCount} of ${job.chunks.length} chunks complete`);
+  }
+
+  const icons = {
+    pending: "fa-regular fa-circle",
+    working: "fa-solid fa-spinner fa-spin",
+    done: "fa-solid fa-circle-check dg-text-primary",
+    failed: "fa-solid fa-circle-exclamation chunk-item__icon--failed",
+  };
+
+  const items = job.chunks
+    .map((chunk, index) => {
+      const preview = chunk.text.length > 40 ? chunk.text.substring(0, 40) + "..." : chunk.text;
+      const retryBtn =
+        chunk.status === "failed" && !running
+          ? `<button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-retry-chunk="${index}">Retry</button>`
+          : "";
+      return `
+        <li class="chunk-item chunk-item--${chunk.status}" title="${escapeHtml(chunk.error || "")}">
+          <i class="${icons[chunk.status]} chunk-item__icon"></i>
+          <span class="chunk-item__text">${index + 1}. ${escapeHtml(preview)}</span>
+          ${retryBtn}
+        </li>
+      `;
+    })
+    .join("");
+
+  const retryAll =
+    failedCount > 1 && !running
+      ? `<button type="button" class="dg-btn dg-btn--secondary dg-btn--sm" data-retry-chunk="all">Retry ${failedCount} failed chunks</button>`
+      : "";
+
+  chunkProgress.innerHTML = `<ol class="chunk-list">${items}</ol>${retryAll}`;
+  chunkProgress.style.display = "block";
 }
 
 /**
@@ -669,29 +7541,119 @@ function hideStatus() {
 
 /**
  * Displays the audio player in the main content area
+ * When the audio Blob is passed, a waveform with click-to-seek and
+ * region export is drawn above the player, the text is highlighted as it
+ * is spoken, and sentence captions are offered (see mountMainWaveform).
  *
  * @param {string} audioUrl - The URL to the generated audio file
  * @param {string} text - The input text that was converted to speech
+ * @param {Blob} [audioBlob] - The audio itself, for the waveform
+ * @param {Array<Object>|null} [chunkTimings] - Chunk positions for caption timing (see measureChunkTimings)
  *
  * CUSTOMIZATION TIP:
  * - Modify this function to add additional audio controls
  * - Add download button
- * - Add waveform visualization
  */
-function displayAudio(audioUrl, text) {
+function displayAudio(audioUrl, text, audioBlob = null, chunkTimings = null) {
+  const waveform = audioBlob
+    ? `
+        <div class="waveform">
+          <canvas id="waveformCanvas" class="waveform__canvas"></canvas>
+        </div>
+        <div class="waveform-toolbar">
+          <span id="waveformSelection" class="waveform-toolbar__label"></span>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-waveform-action="play" disabled>
+            <i class="fa-solid fa-play"></i> Play selection
+          </button>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-waveform-action="export" disabled>
+            <i class="fa-solid fa-download"></i> Export WAV
+          </button>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-waveform-action="clear" disabled>
+            Clear
+          </button>
+        </div>
+      `
+    : "";
+
+  const captionDownloads = audioBlob
+    ? `
+        <div class="caption-downloads">
+          <span class="caption-downloads__label">Captions</span>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-caption-download="vtt" disabled>
+            <i class="fa-solid fa-closed-captioning"></i> WebVTT
+          </button>
+          <button type="button" class="dg-btn dg-btn--ghost dg-btn--sm" data-caption-download="srt" disabled>
+            <i class="fa-solid fa-closed-captioning"></i> SRT
+          </button>
+        </div>
+      `
+    : "";
+
+  const karaokeToolbar = audioBlob
+    ? `
+        <div class="karaoke-toolbar">
+          <label for="karaokeMode" class="karaoke-toolbar__label">Highlight</label>
+          <select id="karaokeMode" class="dg-select dg-select--sm">
+            ${KARAOKE_MODES.map(
+              (mode) =>
+                `<option value="${mode.value}"${mode.value === karaokeMode ? " selected" : ""}>${mode.label}</option>`
+            ).join("")}
+          </select>
+        </div>
+      `
+    : "";
+
   mainContent.innerHTML = `
     <div style="max-width: 800px;">
       <h2 class="dg-section-heading">Generated Audio</h2>
+      ${karaokeToolbar}
       <div class="generated-text">
         ${escapeHtml(text)}
       </div>
       <div class="audio-player-container">
+        ${waveform}
         <audio controls class="audio-player" src="${escapeHtml(audioUrl)}">
           Your browser does not support the audio element.
         </audio>
+        ${captionDownloads}
+      </div>
+    </div>
+  `;
+
+  if (audioBlob) {
+    document.getElementById("karaokeMode").addEventListener("change", (e) => {
+      setKaraokeMode(e.target.value);
+    });
+    mountMainWaveform(audioBlob, text, chunkTimings);
+  }
+}
+
+/**
+ * Displays the in-progress view while audio streams in
+ *
+ * @param {string} text - The input text being converted to speech
+ * @param {HTMLAudioElement|null} audioElement - Player for MediaSource
+ *   streams, or null when audio is played through Web Audio
+ */
+function displayStreamingAudio(text, audioElement) {
+  mainContent.innerHTML = `
+    <div class="streaming-audio" style="max-width: 800px;">
+      <h2 class="dg-section-heading">Generating Audio</h2>
+      <div class="generated-text">
+        ${escapeHtml(text)}
+      </div>
+      <div class="audio-player-container" id="streamingPlayer">
+        <div class="streaming-indicator">
+          <i class="fa-solid fa-wave-square dg-text-primary"></i>
+          Playing while the rest of the audio generates...
+        </div>
       </div>
     </div>
   `;
+
+  if (audioElement) {
+    document.getElementById("streamingPlayer").appendChild(audioElement);
+  }
 }
 
 /**
@@ -721,6 +7683,22 @@ function resetToInitialState() {
   hideStatus();
 
   // Reset main content to empty state
+  renderEmptyState();
+
+  // Enable form elements
+  enableFormElements();
+
+  // Update form validation
+  updateFormValidation();
+
+  // Re-render history to clear highlighting
+  renderHistory();
+}
+
+/**
+ * Renders the empty state (with the generate button) in the main content area
+ */
+function renderEmptyState() {
   if (mainContent) {
     mainContent.innerHTML = `
       <div class="empty-state">
@@ -741,20 +7719,12 @@ function resetToInitialState() {
       generateBtn.addEventListener("click", handleGenerate);
     }
   }
-
-  // Enable form elements
-  enableFormElements();
-
-  // Update form validation
-  updateFormValidation();
-
-  // Re-render history to clear highlighting
-  renderHistory();
 }
 
 /**
  * Displays generation metadata in the sidebar
- * Shows model, audio URL, and any metadata from the response
+ * Shows output options, script and lexicon details, and the metadata
+ * captured from the response (request id, model, timings, audio format)
  *
  * @param {Object} data - The API response data
  * @param {string} text - The input text
@@ -775,10 +7745,62 @@ function displayMetadata(data, text) {
 
   const metadata = [];
 
-  if (data.audioUrl) {
+  // Add the response headers and measurements (see collectGenerationMetadata)
+  if (data.metadata) {
+    metadata.push(...describeGenerationMetadata(data.metadata));
+  }
+
+  if (data.comparison) {
+    metadata.push({
+      label: "Voices Compared",
+      value: data.comparison.map((result) => result.model).join(", "),
+    });
+  }
+
+  if (data.output) {
+    metadata.push(...describeOutputOptions(data.output));
+  }
+
+  if (data.timeToFirstAudio != null) {
+    metadata.push({
+      label: "Time to First Audio",
+      value: `${data.timeToFirstAudio} ms`,
+    });
+  }
+
+  if (data.dialogue) {
+    metadata.push({
+      label: "Speakers",
+      value: data.dialogue.speakers.map((speaker) => `${speaker.name} (${speaker.model})`).join(", "),
+    });
+    metadata.push({
+      label: "Dialogue Lines",
+      value: `${data.dialogue.lines.length} lines, ${data.dialogue.gapMs} ms apart`,
+    });
+  }
+
+  if (data.postProcessing) {
+    metadata.push({
+      label: "Post-Processing",
+      value: describePostProcessing(data.postProcessing),
+    });
+  }
+
+  if (data.markup) {
+    metadata.push({
+      label: "Script Segments",
+      value: `${data.markup.speechSegments} speech, ${data.markup.pauses} pauses (${formatDuration(data.markup.pauseMs / 1000)})`,
+    });
+    metadata.push({
+      label: "Script Voices",
+      value: data.markup.models.join(", "),
+    });
+  }
+
+  if (data.lexicon && data.lexicon.length > 0) {
     metadata.push({
-      label: "Audio URL",
-      value: data.audioUrl,
+      label: "Pronunciation Rules",
+      value: describeLexiconRules(data.lexicon),
     });
   }
 
@@ -790,16 +7812,6 @@ function displayMetadata(data, text) {
     });
   }
 
-  // Add any additional metadata from the response
-  if (data.metadata) {
-    Object.entries(data.metadata).forEach(([key, value]) => {
-      metadata.push({
-        label: key,
-        value: typeof value === "object" ? JSON.stringify(value) : String(value),
-      });
-    });
-  }
-
   const metadataHTML = metadata
     .map(
       (item) => `
@@ -814,13 +7826,247 @@ function displayMetadata(data, text) {
   // Get base path without query parameters
   const basePath = window.location.pathname;
 
+  const shareButton = data.share
+    ? `<button type="button" id="shareLinkBtn" class="dg-btn dg-btn--secondary" style="margin-top: 1rem; display: inline-flex; align-items: center;">
+        <i class="fa-solid fa-link" style="margin-right: 0.5rem;"></i>
+        Copy Share Link
+      </button>`
+    : "";
+
   metadataGrid.innerHTML = `
     ${metadataHTML}
+    ${shareButton}
     <a href="${basePath}" class="dg-btn dg-btn--ghost" style="margin-top: 1rem; display: inline-flex; align-items: center;">
       <i class="fa-solid fa-arrow-left" style="margin-right: 0.5rem;"></i>
       Generate Another
     </a>
   `;
+
+  const shareLinkBtn = document.getElementById("shareLinkBtn");
+  if (shareLinkBtn) {
+    shareLinkBtn.addEventListener("click", () => copyShareLink(shareLinkBtn, data.share));
+  }
+}
+
+// ============================================================================
+// RESPONSE METADATA
+// ============================================================================
+
+/**
+ * Turns generation metadata into labelled rows for the metadata grid
+ * Keys this starter doesn't know about are shown as-is.
+ *
+ * @param {Object} metadata - From collectGenerationMetadata()
+ * @returns {Array<{label: string, value: string}>}
+ */
+function describeGenerationMetadata(metadata) {
+  const rows = [];
+  const formats = {
+    requestIds: (ids) => ({ label: ids.length > 1 ? "Request IDs" : "Request ID", value: ids.join(", ") }),
+    modelNames: (names) => ({ label: "Model", value: names.join(", ") }),
+    modelUuids: (uuids) => ({ label: "Model UUID", value: uuids.join(", ") }),
+    characters: (count) => ({ label: "Characters Billed", value: count.toLocaleString() }),
+    contentType: (type) => ({ label: "Content Type", value: type }),
+    timeToFirstByte: (ms) => ({ label: "Time to First Byte", value: `${ms} ms` }),
+    latency: (ms) => ({ label: "Total Latency", value: `${ms} ms` }),
+    bytes: (bytes) => ({ label: "Size", value: formatBytes(bytes) }),
+    duration: (seconds) => ({ label: "Duration", value: formatDuration(seconds) }),
+    sampleRate: (rate) => ({ label: "Sample Rate", value: `${rate.toLocaleString()} Hz` }),
+    channels: (count) => ({
+      label: "Channels",
+      value: count === 1 ? "1 (mono)" : count === 2 ? "2 (stereo)" : String(count),
+    }),
+  };
+
+  Object.entries(metadata).forEach(([key, value]) => {
+    if (value == null) return;
+    rows.push(
+      formats[key]
+        ? formats[key](value)
+        : { label: key, value: typeof value === "object" ? JSON.stringify(value) : String(value) }
+    );
+  });
+  return rows;
+}
+
+// ============================================================================
+// ZIP ARCHIVES
+// ============================================================================
+
+/**
+ * CRC-32 lookup table, built on first use
+ */
+let crc32Table = null;
+
+/**
+ * Computes the CRC-32 checksum used by ZIP
+ *
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned 32-bit CRC
+ */
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds an uncompressed (stored) ZIP archive
+ * Audio is already compressed or compresses poorly, so files are stored
+ * as-is, which keeps this small and fast.
+ *
+ * @param {Array<{name: string, data: Blob|Uint8Array|string}>} files - Files to add
+ * @returns {Promise<Blob>} application/zip Blob
+ */
+async function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    let data = file.data;
+    if (typeof data === "string") {
+      data = encoder.encode(data);
+    } else if (data instanceof Blob) {
+      data = new Uint8Array(await data.arrayBuffer());
+    }
+    const checksum = crc32(data);
+
+    // Local file header
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local.buffer, name, data);
+
+    // Central directory entry
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralDirectory.push(central.buffer, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end.buffer], { type: "application/zip" });
+}
+
+/**
+ * Reads a ZIP archive into its files
+ * Supports stored entries and, where the browser has DecompressionStream,
+ * deflated ones (so bundles re-zipped by other tools still open).
+ *
+ * @param {Blob} blob - The archive
+ * @returns {Promise<Map<string, Blob>>} File name to contents
+ * @throws {Error} If the archive is malformed or a checksum doesn't match
+ */
+async function readZip(blob) {
+  const buffer = await blob.arrayBuffer();
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record sits within the last 64 KB + 22 bytes
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error("Not a ZIP archive");
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const files = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.byteLength || view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+    const method = view.getUint16(offset + 10, true);
+    const checksum = view.getUint32(offset + 16, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    // Directories carry no data
+    if (name.endsWith("/")) continue;
+
+    const dataStart =
+      localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    if (dataStart + compressedSize > buffer.byteLength) {
+      throw new Error(`Truncated ZIP entry: ${name}`);
+    }
+    const raw = new Uint8Array(buffer, dataStart, compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = raw;
+    } else if (method === 8 && typeof DecompressionStream !== "undefined") {
+      const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+      data = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else {
+      throw new Error(`Unsupported compression in ZIP entry: ${name}`);
+    }
+
+    if (crc32(data) !== checksum) {
+      throw new Error(`Checksum mismatch in ZIP entry: ${name}`);
+    }
+    files.set(name, new Blob([data]));
+  }
+
+  return files;
 }
 
 // ============================================================================
@@ -840,6 +8086,74 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Downloads a Blob as a file through a temporary link
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Returns the usual file extension for an audio MIME type
+ *
+ * @param {string} mimeType - e.g. "audio/mpeg"
+ * @returns {string} e.g. "mp3"
+ */
+function getAudioExtension(mimeType) {
+  const extensions = {
+    "audio/wav": "wav",
+    "audio/wave": "wav",
+    "audio/x-wav": "wav",
+    "audio/mpeg": "mp3",
+    "audio/mp3": "mp3",
+    "audio/ogg": "ogg",
+    "audio/opus": "opus",
+    "audio/flac": "flac",
+    "audio/x-flac": "flac",
+    "audio/webm": "webm",
+    "audio/aac": "aac",
+  };
+  const type = (mimeType || "").split(";")[0].trim().toLowerCase();
+  return extensions[type] || "bin";
+}
+
+/**
+ * Formats a byte count for display, e.g. 48213 -> "47.1 KB"
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes == null) return "—";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Formats a duration for display, e.g. 83.4 -> "1:23.4"
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  if (seconds == null) return "—";
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds % 60).toFixed(1);
+  return minutes > 0 ? `${minutes}:${rest.padStart(4, "0")}` : `${rest} s`;
+}
+
 /**
  * Disables all form elements during audio generation
  * Prevents user from making changes while request is in flight
@@ -860,6 +8174,39 @@ function disableFormElements() {
     select.disabled = true;
   }
 
+  // Disable batch file input
+  if (batchFileInput) {
+    batchFileInput.disabled = true;
+  }
+
+  // Disable lexicon editor, dialogue and usage buttons
+  if (lexiconEditBtn) {
+    lexiconEditBtn.disabled = true;
+  }
+  if (dialogueEditBtn) {
+    dialogueEditBtn.disabled = true;
+  }
+  if (usageViewBtn) {
+    usageViewBtn.disabled = true;
+  }
+
+  // Disable comparison controls
+  document.querySelectorAll("#compareMode, #compareVoiceList input").forEach((input) => {
+    input.disabled = true;
+  });
+
+  // Disable output format selects
+  [encodingSelect, containerSelect, sampleRateSelect, bitRateSelect].forEach((outputSelect) => {
+    if (outputSelect) {
+      outputSelect.disabled = true;
+    }
+  });
+
+  // Disable post-processing settings
+  document.querySelectorAll("#postProcessEnabled, #postProcessOptions input, #postProcessOptions select").forEach((input) => {
+    input.disabled = true;
+  });
+
   // Disable generate button
   if (btn) {
     btn.disabled = true;
@@ -884,6 +8231,40 @@ function enableFormElements() {
     select.disabled = false;
   }
 
+  // Enable batch file input (not while a batch is running)
+  if (batchFileInput) {
+    batchFileInput.disabled = Boolean(batchJob && (batchJob.state === "running" || batchJob.state === "paused"));
+  }
+
+  // Enable lexicon editor, dialogue and usage buttons
+  if (lexiconEditBtn) {
+    lexiconEditBtn.disabled = false;
+  }
+  if (dialogueEditBtn) {
+    dialogueEditBtn.disabled = false;
+  }
+  if (usageViewBtn) {
+    usageViewBtn.disabled = false;
+  }
+
+  // Enable comparison controls (respecting the voice limit)
+  if (compareModeToggle) {
+    compareModeToggle.disabled = false;
+    renderCompareVoiceList();
+  }
+
+  // Enable output format selects (only the options valid for the encoding)
+  if (encodingSelect) {
+    encodingSelect.disabled = false;
+    updateOutputOptions();
+  }
+
+  // Enable post-processing settings (the target only when normalizing)
+  document.querySelectorAll("#postProcessEnabled, #postProcessOptions input, #postProcessOptions select").forEach((input) => {
+    input.disabled = false;
+  });
+  updatePostProcessingControls();
+
   // Re-enable generate button (but respect form validation)
   updateFormValidation();
 }
@@ -967,7 +8348,15 @@ function setResultsState() {
   const mockData = {
     audioUrl: "/audio/audio.wav",
     metadata: {
-      model: "aura-2-thalia-en",
+      requestIds: ["00000000-0000-0000-0000-000000000000"],
+      modelNames: ["aura-2-thalia-en"],
+      characters: mockText.length,
+      contentType: "audio/wav",
+      timeToFirstByte: 180,
+      latency: 420,
+      duration: 5.2,
+      sampleRate: 24000,
+      channels: 1,
     },
   };
 
@@ -0,0 +1,643 @@
+/**
+ * Mock backend for local development
+ *
+ * Serves the endpoints the frontend calls so it can run without a starter
+ * backend:
+ * - GET  /api/session         Fake JWT with an `exp` claim
+ * - GET  /api/metadata        App metadata
+ * - GET  /api/models          A small voice catalog
+ * - POST /api/text-to-speech  Deterministic tones, one per word, as WAV or raw PCM
+ *
+ * Failures are injected on demand through /api/mock:
+ * - GET    /api/mock  Current settings
+ * - POST   /api/mock  Merge JSON settings, e.g. {"latencyMs": 800, "next": ["429", "500"]}
+ * - DELETE /api/mock  Restore the defaults
+ *
+ * `next` is a queue of one-shot faults, each used by the next matching
+ * request: "401", "429", "500", "502", "503", "504", "truncate" or "hang".
+ * Faults apply to text-to-speech unless prefixed with another endpoint,
+ * e.g. "session:500" or "models:401".
+ */
+
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
+
+/** Longest text the mock accepts in one request, matching Deepgram's limit */
+const MAX_CHARACTERS = 2000;
+
+/** Model used when the request has no `model` parameter */
+const DEFAULT_MODEL = 'aura-2-thalia-en';
+
+/** Size of each piece of a streamed response */
+const STREAM_CHUNK_BYTES = 16384;
+
+/** Faults that can be queued in `next`, and the endpoints they can target */
+const FAULTS = ['401', '429', '500', '502', '503', '504', 'truncate', 'hang'];
+const FAULT_TARGETS = ['text-to-speech', 'session', 'metadata', 'models'];
+
+/** Output formats the mock synthesizes; anything else is answered with WAV */
+const MOCK_ENCODINGS = {
+  linear16: { audioFormat: 1, bitsPerSample: 16, sampleRate: 24000 },
+  alaw: { audioFormat: 6, bitsPerSample: 8, sampleRate: 8000 },
+  mulaw: { audioFormat: 7, bitsPerSample: 8, sampleRate: 8000 }
+};
+
+/** Voices returned by /api/models, in Deepgram's /v1/models shape */
+const MOCK_VOICES = [
+  { name: 'thalia', architecture: 'aura-2', languages: ['en', 'en-US'], accent: 'American', tags: ['feminine'] },
+  { name: 'draco', architecture: 'aura-2', languages: ['en', 'en-GB'], accent: 'British', tags: ['masculine'] },
+  { name: 'hyperion', architecture: 'aura-2', languages: ['en', 'en-AU'], accent: 'Australian', tags: ['masculine'] },
+  { name: 'celeste', architecture: 'aura-2', languages: ['es', 'es-CO'], accent: 'Colombian', tags: ['feminine'] },
+  { name: 'asteria', architecture: 'aura', languages: ['en', 'en-US'], accent: 'American', tags: ['feminine'] }
+];
+
+/**
+ * Reads the mock's default settings from the environment
+ *
+ * @param {Object} env - Environment variables, as returned by Vite's loadEnv()
+ * @returns {Object} Settings for createMockState()
+ * @throws {Error} If MOCK_FAULTS names an unknown fault
+ */
+function readDefaults(env) {
+  const number = (value, fallback) => (value !== undefined && value !== '' && !isNaN(value) ? Number(value) : fallback);
+
+  const next = (env.MOCK_FAULTS || '').split(',').map((fault) => fault.trim()).filter(Boolean);
+  next.forEach((fault) => {
+    if (!parseFault(fault)) throw new Error(`MOCK_FAULTS: unknown fault "${fault}"`);
+  });
+
+  return {
+    latencyMs: number(env.MOCK_LATENCY_MS, 0),
+    chunkIntervalMs: number(env.MOCK_CHUNK_INTERVAL_MS, 30),
+    tokenTtlSeconds: number(env.MOCK_TOKEN_TTL_SECONDS, 300),
+    retryAfterSeconds: number(env.MOCK_RETRY_AFTER_SECONDS, 2),
+    next
+  };
+}
+
+/**
+ * Checks and normalizes settings posted to /api/mock
+ *
+ * @param {Object} input - Parsed JSON body
+ * @returns {Object} The recognized settings
+ * @throws {Error} If a setting has the wrong type or a fault is unknown
+ */
+function parseSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Settings must be a JSON object');
+  }
+
+  const settings = {};
+  ['latencyMs', 'chunkIntervalMs', 'tokenTtlSeconds', 'retryAfterSeconds'].forEach((key) => {
+    if (input[key] === undefined) return;
+    if (typeof input[key] !== 'number' || input[key] < 0) {
+      throw new Error(`${key} must be a non-negative number`);
+    }
+    settings[key] = input[key];
+  });
+
+  if (input.next !== undefined) {
+    if (!Array.isArray(input.next)) throw new Error('next must be an array of faults');
+    input.next.forEach((fault) => {
+      if (!parseFault(fault)) throw new Error(`Unknown fault: ${fault}`);
+    });
+    settings.next = input.next.map(String);
+  }
+
+  return settings;
+}
+
+/**
+ * Splits a queued fault into its endpoint and kind
+ *
+ * @param {string} fault - e.g. "429" or "session:500"
+ * @returns {Object|null} { target, kind }, or null if the fault is unknown
+ */
+function parseFault(fault) {
+  const [first, second] = String(fault).split(':');
+  const target = second === undefined ? 'text-to-speech' : first;
+  const kind = second === undefined ? first : second;
+  return FAULT_TARGETS.includes(target) && FAULTS.includes(kind) ? { target, kind } : null;
+}
+
+/**
+ * Removes and returns the first queued fault for an endpoint
+ *
+ * @param {Object} state - Mock state
+ * @param {string} target - Endpoint name, e.g. "text-to-speech"
+ * @returns {string|null} The fault kind, or null if none is queued
+ */
+function takeFault(state, target) {
+  const index = state.settings.next.findIndex((fault) => parseFault(fault)?.target === target);
+  if (index === -1) return null;
+  const [fault] = state.settings.next.splice(index, 1);
+  return parseFault(fault).kind;
+}
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+/**
+ * Encodes a value as unpadded base64url
+ *
+ * @param {Buffer|string} value
+ * @returns {string}
+ */
+function base64Url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Issues a JWT-shaped token that expires after the configured TTL
+ * The signature is random; the mock only checks that it issued the token.
+ *
+ * @param {Object} state - Mock state
+ * @returns {string} The token
+ */
+function issueToken(state) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64Url(JSON.stringify({ sub: 'mock-user', iat: now, exp: now + state.settings.tokenTtlSeconds }));
+  const token = `${header}.${payload}.${base64Url(randomBytes(32))}`;
+
+  // Forget expired tokens so a long-running dev server doesn't keep them all
+  pruneTokens(state);
+  state.tokens.set(token, (now + state.settings.tokenTtlSeconds) * 1000);
+  return token;
+}
+
+/**
+ * Removes expired tokens from the mock state
+ *
+ * @param {Object} state - Mock state
+ */
+function pruneTokens(state) {
+  const now = Date.now();
+  state.tokens.forEach((expiresAt, token) => {
+    if (expiresAt <= now) state.tokens.delete(token);
+  });
+}
+
+/**
+ * Checks a request's bearer token
+ *
+ * @param {Object} state - Mock state
+ * @param {http.IncomingMessage} req
+ * @returns {boolean} True if the token was issued by the mock and hasn't expired
+ */
+function isAuthorized(state, req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  const expiresAt = match ? state.tokens.get(match[1]) : undefined;
+  return expiresAt !== undefined && expiresAt > Date.now();
+}
+
+// ============================================================================
+// AUDIO SYNTHESIS
+// ============================================================================
+
+/**
+ * Returns a stable number for a string
+ *
+ * @param {string} value
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(value) {
+  return createHash('sha1').update(value).digest().readUInt32BE(0);
+}
+
+/**
+ * Synthesizes one tone per word, with pauses after punctuation
+ * The same text and model always produce the same samples, and sentence
+ * ends get long enough pauses for silence detection to find them.
+ *
+ * @param {string} text - Text to "speak"
+ * @param {string} model - Model name, which shifts the pitch of every word
+ * @param {number} sampleRate - Output sample rate
+ * @returns {Int16Array} Mono 16-bit samples
+ */
+function synthesizeTones(text, model, sampleRate) {
+  const words = text.match(/\S+/g) || [];
+  const segments = words.map((word) => {
+    const letters = word.replace(/[^\p{L}\p{N}]/gu, '').length;
+    let pause = 0.05;
+    if (/[.!?]["')\]]*$/.test(word)) pause = 0.4;
+    else if (/[,;:]["')\]]*$/.test(word)) pause = 0.2;
+
+    return {
+      frequency: 160 + (hashString(`${model}:${word.toLowerCase()}`) % 240),
+      duration: Math.max(0.12, letters * 0.06),
+      pause
+    };
+  });
+
+  const lead = Math.round(0.1 * sampleRate);
+  const total = segments.reduce((sum, segment) => sum + Math.round((segment.duration + segment.pause) * sampleRate), lead);
+  const samples = new Int16Array(total);
+  const fade = Math.round(0.01 * sampleRate);
+
+  let offset = lead;
+  segments.forEach((segment) => {
+    const length = Math.round(segment.duration * sampleRate);
+    for (let i = 0; i < length; i++) {
+      const envelope = Math.min(1, i / fade, (length - i) / fade);
+      const phase = (2 * Math.PI * segment.frequency * i) / sampleRate;
+      samples[offset + i] = Math.round(9000 * envelope * (Math.sin(phase) + 0.3 * Math.sin(2 * phase)));
+    }
+    offset += length + Math.round(segment.pause * sampleRate);
+  });
+
+  return samples;
+}
+
+/**
+ * Encodes a 16-bit sample as G.711 mu-law
+ *
+ * @param {number} sample
+ * @returns {number} One byte
+ */
+function encodeMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), 32635) + 0x84;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Encodes a 16-bit sample as G.711 A-law
+ *
+ * @param {number} sample
+ * @returns {number} One byte
+ */
+function encodeAlaw(sample) {
+  const sign = sample >= 0 ? 0x80 : 0;
+  const magnitude = Math.min(Math.abs(sample), 32767);
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = exponent === 0 ? (magnitude >> 4) & 0x0f : (magnitude >> (exponent + 3)) & 0x0f;
+  return (sign | (exponent << 4) | mantissa) ^ 0x55;
+}
+
+/**
+ * Encodes samples in the requested format
+ *
+ * @param {Int16Array} samples - Mono 16-bit samples
+ * @param {Object} format - { audioFormat, bitsPerSample, sampleRate, container }
+ * @returns {Buffer} WAV file, or headerless PCM when the container is "none"
+ */
+function encodeAudio(samples, format) {
+  let data;
+  if (format.audioFormat === 1) {
+    data = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+  } else {
+    const encode = format.audioFormat === 7 ? encodeMulaw : encodeAlaw;
+    data = Buffer.from(Array.from(samples, encode));
+  }
+  if (format.container === 'none') return data;
+
+  const bytesPerSample = format.bitsPerSample / 8;
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(format.audioFormat, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(format.sampleRate, 24);
+  header.writeUInt32LE(format.sampleRate * bytesPerSample, 28);
+  header.writeUInt16LE(bytesPerSample, 32);
+  header.writeUInt16LE(format.bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Works out the output format from the request's query parameters
+ * Encodings the mock can't produce (mp3, opus, flac) fall back to a WAV
+ * file, which the frontend plays like any other response.
+ *
+ * @param {URLSearchParams} params
+ * @returns {Object} { audioFormat, bitsPerSample, sampleRate, container, contentType }
+ */
+function getOutputFormat(params) {
+  const encoding = MOCK_ENCODINGS[params.get('encoding')] ? params.get('encoding') : 'linear16';
+  const supported = encoding === params.get('encoding');
+  const base = MOCK_ENCODINGS[encoding];
+  const container = supported && params.get('container') === 'none' ? 'none' : 'wav';
+  const sampleRate = supported && Number(params.get('sample_rate')) > 0 ? Number(params.get('sample_rate')) : base.sampleRate;
+
+  const contentTypes = { linear16: 'audio/l16', alaw: 'audio/pcma', mulaw: 'audio/pcmu' };
+  return {
+    ...base,
+    sampleRate,
+    container,
+    contentType: container === 'wav' ? 'audio/wav' : contentTypes[encoding]
+  };
+}
+
+// ============================================================================
+// REQUEST HANDLING
+// ============================================================================
+
+/**
+ * Waits for a number of milliseconds
+ *
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Reads and parses a JSON request body
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>} The parsed body, or {} if it is empty
+ * @throws {SyntaxError} If the body isn't valid JSON
+ */
+async function readJson(req) {
+  const parts = [];
+  for await (const part of req) parts.push(part);
+  const body = Buffer.concat(parts).toString('utf8');
+  return body ? JSON.parse(body) : {};
+}
+
+/**
+ * Sends a JSON response
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ * @param {Object} [headers] - Extra response headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends an error in the shape the frontend reads (`error.message`)
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} code - Short machine-readable code
+ * @param {string} message - Human-readable message
+ * @param {Object} [headers] - Extra response headers
+ */
+function sendError(res, status, code, message, headers = {}) {
+  sendJson(res, status, { error: { type: 'MockError', code, message } }, headers);
+}
+
+/**
+ * Answers a request with an injected fault
+ *
+ * @param {Object} state - Mock state
+ * @param {string} kind - Fault kind, from FAULTS
+ * @param {http.ServerResponse} res
+ * @returns {boolean} True if the fault produced a response; false for
+ *   "truncate", which the caller applies to its own body
+ */
+function sendFault(state, kind, res) {
+  if (kind === 'hang') {
+    // Leave the request open until the client gives up
+    return true;
+  }
+  if (kind === '401') {
+    state.tokens.clear();
+    sendError(res, 401, 'INVALID_AUTH', 'Mock: session token rejected');
+    return true;
+  }
+  if (kind === '429') {
+    sendError(res, 429, 'TOO_MANY_REQUESTS', 'Mock: rate limit exceeded', {
+      'Retry-After': String(state.settings.retryAfterSeconds)
+    });
+    return true;
+  }
+  if (kind !== 'truncate') {
+    sendError(res, Number(kind), 'MOCK_FAULT', `Mock: injected ${kind} error`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Writes audio in pieces, as a streaming backend would
+ * A truncated response announces the full length, sends half, then drops
+ * the connection.
+ *
+ * @param {Object} state - Mock state
+ * @param {http.ServerResponse} res
+ * @param {Buffer} audio - Complete response body
+ * @param {boolean} truncate - Whether to cut the body short
+ */
+async function streamAudio(state, res, audio, truncate) {
+  const end = truncate ? Math.floor(audio.length / 2) : audio.length;
+
+  for (let offset = 0; offset < end; offset += STREAM_CHUNK_BYTES) {
+    if (res.destroyed) return;
+    res.write(audio.subarray(offset, Math.min(end, offset + STREAM_CHUNK_BYTES)));
+    if (state.settings.chunkIntervalMs > 0) await delay(state.settings.chunkIntervalMs);
+  }
+
+  if (truncate) {
+    res.destroy();
+  } else {
+    res.end();
+  }
+}
+
+/**
+ * Handles POST /api/text-to-speech
+ *
+ * @param {Object} state - Mock state
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url - Parsed request URL
+ */
+async function handleSpeech(state, req, res, url) {
+  if (req.method !== 'POST') {
+    sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Use POST');
+    return;
+  }
+
+  if (state.settings.latencyMs > 0) await delay(state.settings.latencyMs);
+
+  // Check the token first so a queued fault isn't spent on a request that
+  // fails anyway; the client would replay it and never see the fault
+  if (!isAuthorized(state, req)) {
+    sendError(res, 401, 'INVALID_AUTH', 'Mock: missing or expired session token');
+    return;
+  }
+
+  const fault = takeFault(state, 'text-to-speech');
+  if (fault && sendFault(state, fault, res)) return;
+
+  let body;
+  try {
+    body = await readJson(req);
+  } catch (error) {
+    sendError(res, 400, 'INVALID_JSON', 'Request body must be JSON');
+    return;
+  }
+
+  const text = typeof body.text === 'string' ? body.text : '';
+  if (!text.trim()) {
+    sendError(res, 400, 'EMPTY_TEXT', 'Text is required');
+    return;
+  }
+  if (text.length > MAX_CHARACTERS) {
+    sendError(res, 400, 'TEXT_TOO_LONG', `Text must be at most ${MAX_CHARACTERS} characters`);
+    return;
+  }
+
+  const model = url.searchParams.get('model') || DEFAULT_MODEL;
+  const format = getOutputFormat(url.searchParams);
+  const audio = encodeAudio(synthesizeTones(text, model, format.sampleRate), format);
+  const modelHash = createHash('sha1').update(model).digest('hex');
+
+  res.writeHead(200, {
+    'Content-Type': format.contentType,
+    'Content-Length': String(audio.length),
+    'dg-request-id': randomUUID(),
+    'dg-model-name': model,
+    'dg-model-uuid': [0, 8, 12, 16, 20].map((start, i, all) => modelHash.slice(start, all[i + 1] || 32)).join('-'),
+    'dg-char-count': String(text.length)
+  });
+  await streamAudio(state, res, audio, fault === 'truncate');
+}
+
+/**
+ * Handles GET /api/models
+ *
+ * @param {Object} state - Mock state
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function handleModels(state, req, res) {
+  if (!isAuthorized(state, req)) {
+    sendError(res, 401, 'INVALID_AUTH', 'Mock: missing or expired session token');
+    return;
+  }
+
+  const fault = takeFault(state, 'models');
+  if (fault && sendFault(state, fault, res)) return;
+
+  sendJson(res, 200, {
+    tts: MOCK_VOICES.map((voice) => {
+      const language = voice.languages[0];
+      return {
+        name: voice.name,
+        canonical_name: `${voice.architecture}-${voice.name}-${language}`,
+        architecture: voice.architecture,
+        languages: voice.languages,
+        version: '2025-04-07.0',
+        uuid: randomUUID(),
+        metadata: { accent: voice.accent, tags: voice.tags }
+      };
+    })
+  });
+}
+
+/**
+ * Handles /api/mock, which reads and changes the mock's settings
+ *
+ * @param {Object} state - Mock state
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleSettings(state, req, res) {
+  if (req.method === 'DELETE') {
+    state.settings = { ...state.defaults, next: [...state.defaults.next] };
+  } else if (req.method === 'POST') {
+    try {
+      Object.assign(state.settings, parseSettings(await readJson(req)));
+    } catch (error) {
+      sendError(res, 400, 'INVALID_SETTINGS', error.message);
+      return;
+    }
+  }
+  sendJson(res, 200, state.settings);
+}
+
+/**
+ * Creates the connect middleware that serves the mock endpoints
+ *
+ * @param {Object} env - Environment variables, as returned by Vite's loadEnv()
+ * @returns {Function} (req, res, next) middleware
+ */
+function createMockMiddleware(env) {
+  const defaults = readDefaults(env);
+  const state = {
+    defaults,
+    settings: { ...defaults, next: [...defaults.next] },
+    tokens: new Map()
+  };
+
+  return async (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = url.pathname.replace(/^\/api\//, '');
+    if (endpoint === url.pathname) {
+      next();
+      return;
+    }
+
+    try {
+      if (endpoint === 'mock') {
+        await handleSettings(state, req, res);
+        return;
+      }
+      if (endpoint === 'text-to-speech') {
+        await handleSpeech(state, req, res, url);
+        return;
+      }
+      if (endpoint === 'models') {
+        handleModels(state, req, res);
+        return;
+      }
+      if (!['session', 'metadata'].includes(endpoint)) {
+        sendError(res, 404, 'NOT_FOUND', `Mock: no endpoint at ${url.pathname}`);
+        return;
+      }
+
+      const fault = takeFault(state, endpoint);
+      if (fault && sendFault(state, fault, res)) return;
+
+      if (endpoint === 'session') {
+        sendJson(res, 200, { token: issueToken(state) });
+      } else {
+        sendJson(res, 200, {
+          title: 'Text-to-Speech (mock backend)',
+          description: 'Deepgram Text-to-Speech starter running against the built-in mock backend',
+          repository: 'https://github.com/deepgram-starters/text-to-speech-html'
+        });
+      }
+    } catch (error) {
+      console.error('Mock backend error:', error);
+      if (!res.headersSent) sendError(res, 500, 'MOCK_ERROR', error.message);
+      else res.destroy();
+    }
+  };
+}
+
+/**
+ * Vite plugin that serves the mock backend from the dev and preview servers
+ *
+ * @param {Object} env - Environment variables, as returned by Vite's loadEnv()
+ * @returns {import('vite').Plugin}
+ */
+export function mockBackend(env = {}) {
+  return {
+    name: 'mock-backend',
+    configureServer(server) {
+      server.middlewares.use(createMockMiddleware(env));
+      server.config.logger.info('  Mock backend enabled: /api is served locally');
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(createMockMiddleware(env));
+    }
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * Text-to-Speech HTML Starter - Service Worker
+ *
+ * Keeps the app shell available offline so past generations (stored in
+ * IndexedDB by main.js) can still be played back without a connection.
+ *
+ * Caching:
+ * - The Vite build output (HTML, JS, and CSS including the bundled
+ *   @deepgram/styles design system) is precached on install. The file
+ *   list and cache version are injected by the service worker plugin in
+ *   vite.config.js, so this file only does anything in a production build.
+ * - Pages are fetched network-first, falling back to the cached shell
+ * - Other same-origin files are served cache-first
+ * - Cross-origin files (Font Awesome from the CDN) are cached as they are
+ *   used and refreshed in the background
+ * - API requests are never cached; generations made offline are queued
+ *   by main.js instead
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Files to precache and the cache version, replaced at build time
+ */
+const PRECACHE = self.__PRECACHE_MANIFEST || { version: "dev", urls: [] };
+
+/**
+ * Cache names; old versions are deleted when a new worker activates
+ */
+const CACHE_PREFIX = "deepgram-tts-";
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${PRECACHE.version}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`;
+
+/**
+ * Path prefix of backend requests, which always go to the network
+ */
+const API_PATH = "/api/";
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE.urls))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// ============================================================================
+// FETCH STRATEGIES
+// ============================================================================
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin && url.pathname.includes(API_PATH)) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+/**
+ * Fetches a page, falling back to the cached app shell when offline
+ * The query string (e.g. ?request_id=) is ignored when matching the cache.
+ *
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(new URL(request.url).pathname, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached =
+      (await caches.match(request, { ignoreSearch: true })) ||
+      (await caches.match(new URL("./index.html", self.registration.scope).href));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Serves a same-origin file from the cache, fetching and caching it on a miss
+ *
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Serves a cross-origin file from the cache right away while refreshing it
+ *
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => {
+      // Opaque (no-cors) responses report status 0 but are still usable
+      if (response.ok || response.type === "opaque") {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch((error) => {
+      if (cached) return cached;
+      throw error;
+    });
+  return cached || refresh;
+}
@@ -0,0 +1,1998 @@
+/**
+ * Text-to-Speech Client
+ *
+ * The parts of the starter that don't touch the page: session tokens,
+ * building and retrying text-to-speech requests, splitting long text into
+ * chunks and joining the audio, and the IndexedDB history. main.js is the
+ * UI on top of it; other pages can import it and generate speech without
+ * the form.
+ *
+ * Usage:
+ *
+ *   import { TextToSpeechClient } from "./tts-client.js";
+ *
+ *   const client = new TextToSpeechClient();
+ *   client.addEventListener("progress", (event) => console.log(event.detail.completed));
+ *
+ *   const { blob, metadata } = await client.synthesize("Hello there.", { model: "aura-2-thalia-en" });
+ *   await client.history.save(blob, "Hello there.", "aura-2-thalia-en", { metadata });
+ *
+ * Events (CustomEvent, payload in `detail`):
+ * - start     { request }                                   synthesize() began
+ * - progress  { request, index, chunk, completed, total }   a chunk started, finished or failed
+ * - retry     { model, attempt, maxAttempts, secondsLeft, error }
+ * - response  { model, characters, metadata }                one request succeeded
+ * - success   { request, result }                           synthesize() resolved
+ * - error     { request, error }                            synthesize() rejected
+ * - sessionexpired { error }                                 the session token couldn't be renewed
+ *
+ * The history store (client.history) fires "change" after entries are
+ * saved, imported, deleted or cleared.
+ *
+ * Architecture:
+ * - No DOM access; needs fetch, Blob, IndexedDB and (for non-WAV audio) Web Audio
+ * - Events are dispatched with the standard EventTarget API
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Backend endpoints, resolved against `baseUrl`
+ */
+const DEFAULT_ENDPOINTS = {
+  speech: "api/text-to-speech",
+  session: "api/session",
+  models: "api/models",
+  metadata: "api/metadata",
+};
+
+/**
+ * Client defaults; every value can be overridden in the constructor
+ * - requestTimeoutMs: time allowed for one request, including reading the audio
+ * - maxRetries, retryBaseDelayMs, retryMaxDelayMs: automatic retries for
+ *   network errors, timeouts, 5xx and 429, with exponential backoff
+ * - sessionRenewalMarginMs: how long before expiry the session token is renewed,
+ *   at most half its lifetime and never sooner than sessionMinRenewalDelayMs after issue
+ * - maxChunkCharacters, chunkConcurrency: how long text is split and requested
+ */
+const DEFAULT_CLIENT_OPTIONS = {
+  requestTimeoutMs: 60000,
+  maxRetries: 3,
+  retryBaseDelayMs: 1000,
+  retryMaxDelayMs: 20000,
+  sessionRenewalMarginMs: 60 * 1000,
+  sessionMinRenewalDelayMs: 5000,
+  maxChunkCharacters: 2000,
+  chunkConcurrency: 2,
+};
+
+/**
+ * Model used when synthesize() or requestSpeech() is called without one
+ */
+const DEFAULT_MODEL = "aura-2-thalia-en";
+
+/**
+ * Output formats supported by Deepgram Text-to-Speech
+ *
+ * For each encoding, the containers, sample rates and bit rates it accepts.
+ * The first value of each list is the default. Options with a single value
+ * are fixed by the encoding and are not sent with the request.
+ * Add or adjust values here; the form in main.js greys out anything not listed.
+ */
+export const OUTPUT_FORMATS = {
+  linear16: {
+    containers: ["wav", "none"],
+    sampleRates: [24000, 8000, 16000, 32000, 48000],
+    bitRates: [],
+  },
+  mp3: {
+    containers: ["none"],
+    sampleRates: [22050],
+    bitRates: [48000, 32000],
+  },
+  opus: {
+    containers: ["ogg"],
+    sampleRates: [48000],
+    bitRates: [12000, 6000, 24000, 32000, 64000, 128000],
+  },
+  flac: {
+    containers: ["none"],
+    sampleRates: [48000, 8000, 16000, 22050, 32000],
+    bitRates: [],
+  },
+  mulaw: {
+    containers: ["wav", "none"],
+    sampleRates: [8000, 16000],
+    bitRates: [],
+  },
+  alaw: {
+    containers: ["wav", "none"],
+    sampleRates: [8000, 16000],
+    bitRates: [],
+  },
+};
+
+/**
+ * Response headers captured as generation metadata (see readResponseMetadata)
+ * These are the headers Deepgram sends; the backend forwards them as-is
+ */
+const RESPONSE_METADATA_HEADERS = {
+  requestId: "dg-request-id",
+  modelName: "dg-model-name",
+  modelUuid: "dg-model-uuid",
+  characters: "dg-char-count",
+  contentType: "content-type",
+};
+
+/**
+ * Legacy LocalStorage key for history persistence
+ * Entries found under this key are migrated into IndexedDB on first load
+ */
+const HISTORY_KEY = "deepgram_text_to_speech_history";
+
+/**
+ * IndexedDB database that holds history metadata and audio blobs
+ */
+const HISTORY_DB_NAME = "deepgram_text_to_speech";
+
+/**
+ * IndexedDB schema version - bump when adding stores or indexes
+ */
+const HISTORY_DB_VERSION = 2;
+
+/**
+ * History retention defaults (see HistoryStore)
+ * - maxEntries, maxBytes: oldest entries are evicted first once exceeded
+ * - storageReserveBytes: free space to leave in the browser's storage quota
+ */
+const DEFAULT_HISTORY_OPTIONS = {
+  maxEntries: 50,
+  maxBytes: 250 * 1024 * 1024,
+  storageReserveBytes: 20 * 1024 * 1024,
+};
+
+/**
+ * Object store holding history entry metadata (no audio), keyed by id
+ */
+const ENTRIES_STORE = "entries";
+
+/**
+ * Object store holding raw audio Blobs, keyed by the same id as the entry
+ */
+const AUDIO_STORE = "audio";
+
+/**
+ * Object store holding generations requested while offline
+ */
+const QUEUE_STORE = "queue";
+
+/**
+ * Numbers the synthesize() calls of every client, for request ids
+ */
+let synthesisCount = 0;
+
+// ============================================================================
+// TEXT-TO-SPEECH CLIENT
+// ============================================================================
+
+/**
+ * Client for the starter's backend
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - URL the endpoints are resolved against;
+ *   defaults to the current page
+ * @param {Object} [options.endpoints] - Overrides for DEFAULT_ENDPOINTS
+ * @param {Object} [options.history] - HistoryStore options, or false for no history
+ *   Any other key overrides DEFAULT_CLIENT_OPTIONS.
+ */
+export class TextToSpeechClient extends EventTarget {
+  constructor({ baseUrl, endpoints = {}, history = {}, ...options } = {}) {
+    super();
+    this.baseUrl = baseUrl || (globalThis.location ? globalThis.location.href : undefined);
+    this.endpoints = { ...DEFAULT_ENDPOINTS, ...endpoints };
+    this.options = { ...DEFAULT_CLIENT_OPTIONS, ...options };
+    this.history = history === false ? null : new HistoryStore(history);
+
+    // Cached session token (JWT), when to renew it (ms since epoch, null if
+    // it doesn't expire) and the request in flight
+    this.sessionToken = null;
+    this.sessionTokenRenewAt = null;
+    this.sessionTokenRefresh = null;
+
+    // Aborted by cancel()
+    this.controllers = new Set();
+  }
+
+  /**
+   * Resolves an endpoint against baseUrl
+   * @param {string} name - Key of DEFAULT_ENDPOINTS
+   * @returns {URL}
+   */
+  getEndpointUrl(name) {
+    return new URL(this.endpoints[name], this.baseUrl);
+  }
+
+  /**
+   * Dispatches a CustomEvent with the given detail
+   * @param {string} type - Event name
+   * @param {Object} detail - Event payload
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  // --------------------------------------------------------------------------
+  // Session
+  // --------------------------------------------------------------------------
+
+  /**
+   * Fetches a session token from the backend.
+   * Caches the token for subsequent requests and renews it shortly before
+   * it expires. Renewal only happens when a request needs a token, so an
+   * idle client makes no requests. Concurrent callers share a single request.
+   * @returns {Promise<string>} JWT token
+   */
+  async getSessionToken() {
+    const expiringSoon = this.sessionTokenRenewAt !== null && Date.now() >= this.sessionTokenRenewAt;
+    if (this.sessionToken && !expiringSoon) return this.sessionToken;
+
+    if (!this.sessionTokenRefresh) {
+      this.sessionTokenRefresh = this.requestSessionToken().finally(() => {
+        this.sessionTokenRefresh = null;
+      });
+    }
+    return this.sessionTokenRefresh;
+  }
+
+  /**
+   * Requests a new session token and works out when to renew it
+   * @returns {Promise<string>} JWT token
+   */
+  async requestSessionToken() {
+    const response = await fetch(this.getEndpointUrl("session").href);
+    if (!response.ok) throw new Error(`Session failed: ${response.status}`);
+    const data = await response.json();
+    this.sessionToken = data.token;
+    this.sessionTokenRenewAt = getRenewalTime(getTokenExpiry(this.sessionToken), this.options);
+    return this.sessionToken;
+  }
+
+  /**
+   * Wraps fetch with Authorization header.
+   * On a 401 the session token is renewed once and the request replayed;
+   * "sessionexpired" is only emitted if that fails too.
+   * @param {string|URL} url - The URL to fetch
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, options = {}) {
+    const send = (token) =>
+      fetch(url, { ...options, headers: { ...options.headers, Authorization: `Bearer ${token}` } });
+
+    const token = await this.getSessionToken();
+    let response = await send(token);
+    if (response.status !== 401) return response;
+
+    // Another caller may already have renewed the token we were rejected with
+    if (this.sessionToken === token) {
+      this.sessionToken = null;
+    }
+
+    let renewedToken = null;
+    try {
+      renewedToken = await this.getSessionToken();
+    } catch (error) {
+      console.error("Session renewal failed:", error);
+    }
+
+    if (renewedToken) {
+      response = await send(renewedToken);
+    }
+    if (!renewedToken || response.status === 401) {
+      this.sessionToken = null;
+      const error = new Error("Session expired");
+      this.emit("sessionexpired", { error });
+      throw error;
+    }
+    return response;
+  }
+
+  // --------------------------------------------------------------------------
+  // Requests
+  // --------------------------------------------------------------------------
+
+  /**
+   * Fetches app metadata (title, description, repository...)
+   * @returns {Promise<Object>}
+   */
+  async getMetadata() {
+    const response = await fetch(this.getEndpointUrl("metadata").href);
+    if (!response.ok) throw new Error(`Metadata request failed: ${response.status}`);
+    return response.json();
+  }
+
+  /**
+   * Fetches the voice catalog (Deepgram /v1/models format)
+   * @returns {Promise<Object|Array>} The response body
+   */
+  async getModels() {
+    const response = await this.fetch(this.getEndpointUrl("models").href);
+    if (!response.ok) throw new Error(`Models request failed: ${response.status}`);
+    return response.json();
+  }
+
+  /**
+   * Makes a single text-to-speech API request
+   *
+   * When `stream` is given and the runtime exposes the response body as a
+   * stream, bytes are handed to `stream.onData` as they arrive; the complete
+   * Blob is still returned at the end.
+   *
+   * Transient failures are retried (see requestWithRetry) until audio has
+   * started streaming; after that a failure is final, since the consumer has
+   * already been fed part of the response. Successful requests emit "response".
+   *
+   * @param {string} text - Text to synthesize (at most maxChunkCharacters)
+   * @param {Object} [options]
+   * @param {string} [options.model] - Model name to use
+   * @param {Object|null} [options.output] - { encoding, container, sampleRate, bitRate }
+   * @param {Object|null} [options.stream] - { onStart(contentType), onData(Uint8Array) }
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Function} [options.onRetry] - Called with each pending retry (see requestWithRetry)
+   * @param {Function} [options.onResponse] - Called on success with the response headers
+   *   (see readResponseMetadata) plus `firstByteAt` and `completedAt` from performance.now()
+   * @returns {Promise<Blob>} The binary audio returned by the backend
+   */
+  async requestSpeech(
+    text,
+    { model = DEFAULT_MODEL, output = null, stream = null, signal = null, onRetry = null, onResponse = null } = {}
+  ) {
+    // Build URL with model as query parameter (contract-compliant)
+    const url = this.getEndpointUrl("speech");
+    if (model) {
+      url.searchParams.set("model", model);
+    }
+    setOutputParams(url, output);
+
+    const controller = this.track(signal);
+    let responseMetadata = null;
+    try {
+      const blob = await requestWithRetry(
+        async (attemptSignal) => {
+          // Make authenticated API request with JSON body
+          const response = await this.fetch(url.toString(), {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({
+              text,
+            }),
+            signal: attemptSignal,
+          });
+          responseMetadata = { ...readResponseMetadata(response.headers), firstByteAt: performance.now() };
+
+          if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const error = new Error(errorData.error?.message || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            error.retryAfterMs = parseRetryAfter(response.headers.get("Retry-After"));
+            throw error;
+          }
+
+          // Get binary audio data as blob
+          if (!stream || !response.body || !response.body.getReader) {
+            return response.blob();
+          }
+
+          // Read the body progressively, keeping every piece for the final Blob
+          const contentType = response.headers.get("Content-Type") || "audio/wav";
+          stream.onStart(contentType);
+
+          try {
+            const reader = response.body.getReader();
+            const parts = [];
+            for (;;) {
+              const { done, value } = await reader.read();
+              if (done) break;
+              parts.push(value);
+              stream.onData(value);
+            }
+
+            return new Blob(parts, { type: contentType });
+          } catch (error) {
+            error.retryable = false;
+            throw error;
+          }
+        },
+        {
+          signal: controller.signal,
+          timeoutMs: this.options.requestTimeoutMs,
+          maxRetries: this.options.maxRetries,
+          baseDelayMs: this.options.retryBaseDelayMs,
+          maxDelayMs: this.options.retryMaxDelayMs,
+          onRetry: (retry) => {
+            if (onRetry) onRetry(retry);
+            this.emit("retry", { model, ...retry });
+          },
+        }
+      );
+
+      const metadata = { ...responseMetadata, completedAt: performance.now() };
+      this.emit("response", { model, characters: text.length, metadata });
+      if (onResponse) {
+        onResponse(metadata);
+      }
+      return blob;
+    } finally {
+      this.controllers.delete(controller);
+    }
+  }
+
+  /**
+   * Synthesizes text of any length into one audio Blob
+   *
+   * The text is split into chunks (see splitTextIntoChunks) that are
+   * requested with bounded concurrency and joined. Pass `chunks` to use a
+   * plan of your own instead: each chunk is { text, model? } or a silent
+   * { pauseMs }. The chunk objects are updated as they run, with `status`
+   * ("pending", "working", "done" or "failed"), `blob`, `error` and
+   * `response`. Every chunk is attempted; if any fail, the returned promise
+   * rejects with an error whose `chunks` property holds the plan, and
+   * passing that plan again only requests the chunks that aren't done
+   * (or just the ones listed in `only`).
+   *
+   * @param {string} text - Text to synthesize (ignored when `chunks` is given)
+   * @param {Object} [options]
+   * @param {string} [options.model] - Model for chunks that don't set their own
+   * @param {Object|null} [options.output] - Output format (see requestSpeech)
+   * @param {Array<Object>} [options.chunks] - Chunk plan to run instead of splitting `text`
+   * @param {Array<number>} [options.only] - Indexes of the chunks to request this time
+   * @param {Object} [options.stream] - { onStart(index, contentType), onData(index, bytes),
+   *   onEnd(index), onError(index, error) } to play chunks while they download
+   * @param {AbortSignal} [options.signal] - Cancels the outstanding requests
+   * @param {Function} [options.onRetry] - Called with each pending retry
+   * @param {number} [options.startedAt] - performance.now() the generation started,
+   *   when resuming a plan; timings in the metadata are measured from it
+   * @returns {Promise<Object>} { blob, metadata, chunkTimings, chunks } where
+   *   chunkTimings lists the spoken chunks' [{ text, start, end }] in seconds,
+   *   or is null for a single chunk
+   */
+  async synthesize(text, options = {}) {
+    const {
+      model = DEFAULT_MODEL,
+      output = null,
+      stream = null,
+      signal = null,
+      onRetry = null,
+      startedAt = performance.now(),
+    } = options;
+    const chunks =
+      options.chunks || splitTextIntoChunks(text, this.options.maxChunkCharacters).map((chunkText) => ({ text: chunkText }));
+    const request = { id: `synthesis_${++synthesisCount}`, text, model, output, chunks };
+
+    const indexes = (options.only || chunks.map((_, index) => index)).filter(
+      (index) => chunks[index] && chunks[index].status !== "done"
+    );
+    indexes.forEach((index) => {
+      chunks[index].status = "pending";
+      chunks[index].error = null;
+    });
+
+    const controller = this.track(signal);
+    const progress = (index) => {
+      const completed = chunks.filter((chunk) => chunk.status === "done").length;
+      this.emit("progress", { request, index, chunk: chunks[index], completed, total: chunks.length });
+    };
+
+    this.emit("start", { request });
+
+    try {
+      await runWithConcurrency(indexes, this.options.chunkConcurrency, async (index) => {
+        const chunk = chunks[index];
+
+        // Pauses are generated locally once the format of the speech is known
+        if (chunk.pauseMs) {
+          chunk.status = "done";
+          progress(index);
+          return;
+        }
+
+        chunk.status = "working";
+        progress(index);
+
+        try {
+          const blob = await this.requestSpeech(chunk.text, {
+            model: chunk.model || model,
+            output,
+            signal: controller.signal,
+            onRetry,
+            stream: stream
+              ? {
+                  onStart: (contentType) => stream.onStart(index, contentType),
+                  onData: (bytes) => stream.onData(index, bytes),
+                }
+              : null,
+            onResponse: (response) => {
+              chunk.response = response;
+            },
+          });
+          chunk.blob = await wrapRawAudio(blob, output);
+          chunk.status = "done";
+          if (stream && stream.onEnd) stream.onEnd(index);
+        } catch (error) {
+          if (!isAbortError(error)) {
+            console.error(`Text-to-speech error (chunk ${index + 1}):`, error);
+          }
+          // Cancelled chunks stay retryable like failed ones
+          chunk.status = "failed";
+          chunk.error = isAbortError(error) ? "Cancelled" : error.message;
+          if (stream && stream.onError) stream.onError(index, error);
+        }
+
+        progress(index);
+      });
+
+      const failed = chunks.filter((chunk) => chunk.status !== "done");
+      if (failed.length > 0) {
+        let error;
+        if (controller.signal.aborted) {
+          error = createAbortError();
+        } else if (chunks.length === 1) {
+          error = new Error(failed[0].error);
+        } else {
+          error = new Error(`${failed.length} of ${chunks.length} chunks failed: ${failed[0].error}`);
+        }
+        error.chunks = chunks;
+        throw error;
+      }
+
+      const chunkBlobs = await getChunkAudio(chunks);
+      const blob = await concatAudioBlobs(chunkBlobs);
+      const chunkTimings = chunks.length > 1 ? await measureChunkTimings(chunks, chunkBlobs) : null;
+      const responses = chunks.filter((chunk) => chunk.response).map((chunk) => chunk.response);
+      const metadata = await collectGenerationMetadata(responses, startedAt, blob, output);
+
+      const result = { blob, metadata, chunkTimings, chunks };
+      this.emit("success", { request, result });
+      return result;
+    } catch (error) {
+      this.emit("error", { request, error });
+      throw error;
+    } finally {
+      this.controllers.delete(controller);
+    }
+  }
+
+  /**
+   * Cancels every request this client has in flight
+   */
+  cancel() {
+    this.controllers.forEach((controller) => controller.abort());
+    this.controllers.clear();
+  }
+
+  /**
+   * Creates an AbortController that cancel() aborts, following `signal`
+   * @param {AbortSignal|null} signal - Caller's signal, if any
+   * @returns {AbortController}
+   */
+  track(signal) {
+    const controller = new AbortController();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener("abort", () => controller.abort(), { once: true });
+    }
+    this.controllers.add(controller);
+    return controller;
+  }
+}
+
+/**
+ * Reads the `exp` claim from a JWT without verifying it
+ * @param {string} token - JWT token
+ * @returns {number|null} Expiry in ms since epoch, or null if the token has none
+ */
+function getTokenExpiry(token) {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const claims = JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, "=")));
+    return typeof claims.exp === "number" ? claims.exp * 1000 : null;
+  } catch (error) {
+    console.warn("Unable to read session token expiry:", error);
+    return null;
+  }
+}
+
+/**
+ * Decides when a token that was just issued should be renewed
+ *
+ * The margin is capped at half the token's lifetime, and renewal waits at
+ * least sessionMinRenewalDelayMs, so short-lived tokens (or a clock that
+ * runs ahead of the backend's) aren't renewed again straight away.
+ *
+ * @param {number|null} expiresAt - Expiry in ms since epoch, from getTokenExpiry()
+ * @param {Object} options - { sessionRenewalMarginMs, sessionMinRenewalDelayMs }
+ * @returns {number|null} Renewal time in ms since epoch, or null if the token doesn't expire
+ */
+function getRenewalTime(expiresAt, { sessionRenewalMarginMs, sessionMinRenewalDelayMs }) {
+  if (expiresAt === null) return null;
+  const now = Date.now();
+  const margin = Math.min(sessionRenewalMarginMs, Math.max(0, (expiresAt - now) / 2));
+  return Math.max(now + sessionMinRenewalDelayMs, expiresAt - margin);
+}
+
+// ============================================================================
+// HISTORY STORE
+// ============================================================================
+
+/**
+ * Text-to-speech history in IndexedDB
+ *
+ * Entry metadata and audio Blobs are kept in separate object stores. Writes
+ * apply the retention limits, evicting the oldest unpinned entries first.
+ * Readers log errors and return empty results, so a browser without
+ * IndexedDB simply has no history.
+ *
+ * History entry structure (audio is stored separately, see getAudio):
+ * {
+ *   id: string,              // Request ID from Deepgram or local timestamp
+ *   timestamp: string,       // ISO 8601 timestamp
+ *   text: string,            // Input text
+ *   model: string,           // Model name used
+ *   mimeType: string,        // MIME type of the stored audio
+ *   size: number,            // Audio size in bytes
+ *   ...details               // Whatever the caller passed to save()
+ * }
+ *
+ * @param {Object} [options] - Overrides for DEFAULT_HISTORY_OPTIONS
+ */
+export class HistoryStore extends EventTarget {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_HISTORY_OPTIONS, ...options };
+
+    // Cached promise for the opened (and migrated) database
+    this.dbPromise = null;
+  }
+
+  /**
+   * Dispatches "change" so views of the history can refresh
+   */
+  emitChange() {
+    this.dispatchEvent(new Event("change"));
+  }
+
+  /**
+   * Opens the history database, creating stores on first use and
+   * migrating any legacy localStorage history into it.
+   * The open is cached so every caller shares one connection.
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!globalThis.indexedDB) {
+        reject(new Error("IndexedDB is not supported in this browser"));
+        return;
+      }
+
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+          const entries = db.createObjectStore(ENTRIES_STORE, { keyPath: "id" });
+          entries.createIndex("timestamp", "timestamp");
+        }
+        if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+          db.createObjectStore(AUDIO_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          db.createObjectStore(QUEUE_STORE, { keyPath: "id" });
+        }
+      };
+
+      // Another tab still holds the older version open and hasn't let go
+      let blocked = false;
+      request.onblocked = () => {
+        blocked = true;
+        reject(new Error("Close other tabs of this app to finish updating history"));
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // The caller already gave up; a later call opens a fresh connection
+        if (blocked) {
+          db.close();
+          return;
+        }
+        // Step aside when another tab needs to upgrade; the next call reopens
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    }).then(async (db) => {
+      await migrateLegacyHistory(db);
+      return db;
+    });
+
+    // Allow a later call to retry if opening failed
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Retrieves every history entry, newest first
+   * @returns {Promise<Array>} History entries, or an empty array if none exist
+   */
+  async list() {
+    try {
+      const db = await this.open();
+      const store = db.transaction(ENTRIES_STORE).objectStore(ENTRIES_STORE);
+      const entries = await idbRequest(store.index("timestamp").getAll());
+      return entries.reverse();
+    } catch (error) {
+      console.error("Error reading history:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Retrieves a specific history entry by its request ID
+   * @param {string} requestId - The unique ID of the history entry
+   * @returns {Promise<Object|undefined>} The history entry, or undefined if not found
+   */
+  async get(requestId) {
+    try {
+      const db = await this.open();
+      const store = db.transaction(ENTRIES_STORE).objectStore(ENTRIES_STORE);
+      return await idbRequest(store.get(requestId));
+    } catch (error) {
+      console.error("Error reading history entry:", error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Lists the ids of every stored entry
+   * @returns {Promise<Array<string>>}
+   */
+  async listIds() {
+    const db = await this.open();
+    return idbRequest(db.transaction(ENTRIES_STORE).objectStore(ENTRIES_STORE).getAllKeys());
+  }
+
+  /**
+   * Retrieves the stored audio for a history entry
+   * @param {string} requestId - The unique ID of the history entry
+   * @returns {Promise<Blob|null>} The audio blob, or null if not found
+   */
+  async getAudio(requestId) {
+    try {
+      const db = await this.open();
+      const store = db.transaction(AUDIO_STORE).objectStore(AUDIO_STORE);
+      const record = await idbRequest(store.get(requestId));
+      return record ? record.blob : null;
+    } catch (error) {
+      console.error("Error reading history audio:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Retrieves every audio Blob stored for a history entry
+   * Comparison entries hold one Blob per voice, dialogue entries the joined
+   * track followed by each line's audio, and post-processed entries the
+   * processed audio followed by the original; other entries hold one.
+   * @param {string} requestId - The unique ID of the history entry
+   * @returns {Promise<Array<Blob>>} The audio blobs, empty if not found
+   */
+  async getAudioSet(requestId) {
+    try {
+      const db = await this.open();
+      const store = db.transaction(AUDIO_STORE).objectStore(AUDIO_STORE);
+      const record = await idbRequest(store.get(requestId));
+      if (!record) return [];
+      return record.blobs || [record.blob];
+    } catch (error) {
+      console.error("Error reading history audio:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Saves a text-to-speech result
+   *
+   * @param {Blob} audioBlob - The audio blob to save
+   * @param {string} text - The input text
+   * @param {string} model - Model name used for generation
+   * @param {Object} [details] - Extra fields stored on the entry (e.g. metadata)
+   * @param {Blob|null} [originalBlob] - Audio as generated, kept for comparison when audioBlob was post-processed
+   * @returns {Promise<Object|null>} The saved history entry, or null if save failed
+   */
+  async save(audioBlob, text, model, details = {}, originalBlob = null) {
+    try {
+      const db = await this.open();
+
+      // Generate a fallback ID
+      const requestId = `local_${Date.now()}`;
+
+      const historyEntry = {
+        id: requestId,
+        timestamp: new Date().toISOString(),
+        text,
+        model,
+        mimeType: audioBlob.type || "audio/wav",
+        size: audioBlob.size + (originalBlob ? originalBlob.size : 0),
+        ...details,
+      };
+
+      await this.put(
+        db,
+        historyEntry,
+        originalBlob ? { id: requestId, blob: audioBlob, blobs: [audioBlob, originalBlob] } : { id: requestId, blob: audioBlob }
+      );
+
+      return historyEntry;
+    } catch (error) {
+      console.error("Error saving to history:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Saves a voice comparison as one grouped entry
+   * Every voice's audio is kept in the entry's audio record, in result order.
+   *
+   * @param {Array<Object>} results - Successful results: { model, blob, latency, duration, metadata }
+   * @param {string} text - The input text
+   * @param {Object|null} output - Output format options used for every voice
+   * @param {Array<Object>} [lexicon] - Pronunciation rules that fired
+   * @returns {Promise<Object|null>} The saved history entry, or null if save failed
+   */
+  async saveComparison(results, text, output, lexicon = []) {
+    try {
+      const db = await this.open();
+      const requestId = `local_${Date.now()}`;
+
+      const historyEntry = {
+        id: requestId,
+        timestamp: new Date().toISOString(),
+        type: "comparison",
+        text,
+        model: results[0].model,
+        models: results.map((result) => result.model),
+        mimeType: results[0].blob.type || "audio/wav",
+        size: results.reduce((sum, result) => sum + result.blob.size, 0),
+        output,
+        lexicon,
+        results: results.map(({ model, latency, duration, blob, metadata }) => ({
+          model,
+          latency,
+          duration,
+          size: blob.size,
+          mimeType: blob.type || "audio/wav",
+          metadata,
+        })),
+      };
+
+      await this.put(db, historyEntry, {
+        id: requestId,
+        blob: results[0].blob,
+        blobs: results.map((result) => result.blob),
+      });
+
+      return historyEntry;
+    } catch (error) {
+      console.error("Error saving comparison to history:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Saves a dialogue as one entry
+   * The joined track is the entry's audio; each line's audio is kept after
+   * it, in line order, so single lines can be regenerated later.
+   *
+   * @param {Blob} trackBlob - The joined dialogue
+   * @param {Array<Blob>} lineBlobs - Audio of each line
+   * @param {string} text - The script with speaker labels
+   * @param {Object} details - Extra fields stored on the entry; `dialogue` is
+   *   { gapMs, speakers: [{ name, model }], lines: [{ speaker, text, duration }] }
+   * @returns {Promise<Object|null>} The saved history entry, or null if save failed
+   */
+  async saveDialogue(trackBlob, lineBlobs, text, details) {
+    try {
+      const db = await this.open();
+      const requestId = `local_${Date.now()}`;
+      const { speakers, lines } = details.dialogue;
+      const models = [...new Set(lines.map((line) => speakers[line.speaker].model))];
+      const blobs = [trackBlob, ...lineBlobs];
+
+      const historyEntry = {
+        id: requestId,
+        timestamp: new Date().toISOString(),
+        type: "dialogue",
+        text,
+        model: models[0],
+        models,
+        mimeType: trackBlob.type || "audio/wav",
+        size: blobs.reduce((sum, blob) => sum + blob.size, 0),
+        ...details,
+      };
+
+      await this.put(db, historyEntry, { id: requestId, blob: trackBlob, blobs });
+
+      return historyEntry;
+    } catch (error) {
+      console.error("Error saving dialogue to history:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Adds complete entries, e.g. from an imported bundle, then applies the
+   * retention limits
+   *
+   * @param {Array<Object>} records - [{ entry, audio: { id, blob, blobs? } }]
+   * @returns {Promise<number>} How many of the added entries were evicted straight away
+   */
+  async importEntries(records) {
+    if (records.length === 0) return 0;
+
+    const db = await this.open();
+    const transaction = db.transaction([ENTRIES_STORE, AUDIO_STORE], "readwrite");
+    records.forEach(({ entry, audio }) => {
+      transaction.objectStore(ENTRIES_STORE).put(entry);
+      transaction.objectStore(AUDIO_STORE).put(audio);
+    });
+    await idbTransactionDone(transaction);
+
+    await this.enforceRetention(db);
+    const kept = new Set(await this.listIds());
+    this.emitChange();
+    return records.filter(({ entry }) => !kept.has(entry.id)).length;
+  }
+
+  /**
+   * Writes an entry and its audio record, then applies retention limits
+   * Metadata and audio are written together so neither is left orphaned.
+   *
+   * @param {IDBDatabase} db - The open history database
+   * @param {Object} historyEntry - Entry metadata
+   * @param {Object} audioRecord - { id, blob, blobs? }
+   * @returns {Promise<void>}
+   */
+  async put(db, historyEntry, audioRecord) {
+    const transaction = db.transaction([ENTRIES_STORE, AUDIO_STORE], "readwrite");
+    transaction.objectStore(ENTRIES_STORE).put(historyEntry);
+    transaction.objectStore(AUDIO_STORE).put(audioRecord);
+    await idbTransactionDone(transaction);
+
+    await this.enforceRetention(db);
+    this.emitChange();
+  }
+
+  /**
+   * Evicts the oldest history entries until the store is within
+   * maxEntries, maxBytes and the storage quota reserve.
+   * The newest entry is always kept.
+   *
+   * @param {IDBDatabase} db - The open history database
+   * @returns {Promise<void>}
+   */
+  async enforceRetention(db) {
+    const { maxEntries, maxBytes, storageReserveBytes } = this.options;
+    const readStore = db.transaction(ENTRIES_STORE).objectStore(ENTRIES_STORE);
+    const oldestFirst = await idbRequest(readStore.index("timestamp").getAll());
+
+    let count = oldestFirst.length;
+    let totalBytes = oldestFirst.reduce((sum, entry) => sum + (entry.size || 0), 0);
+
+    // How many bytes must be freed to restore the storage quota reserve
+    let quotaDeficit = 0;
+    if (globalThis.navigator && navigator.storage && navigator.storage.estimate) {
+      try {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        if (quota > 0) {
+          quotaDeficit = Math.max(0, storageReserveBytes - (quota - usage));
+        }
+      } catch (error) {
+        console.warn("Unable to estimate storage quota:", error);
+      }
+    }
+
+    const evictIds = [];
+    for (const entry of oldestFirst) {
+      if (count <= 1) break;
+      // Pinned entries still count towards the limits but are never evicted
+      if (entry.pinned) continue;
+      const overCount = count > maxEntries;
+      const overBytes = totalBytes > maxBytes;
+      const overQuota = quotaDeficit > 0;
+      if (!overCount && !overBytes && !overQuota) break;
+
+      evictIds.push(entry.id);
+      count -= 1;
+      totalBytes -= entry.size || 0;
+      quotaDeficit -= entry.size || 0;
+    }
+
+    if (evictIds.length > 0) {
+      await deleteRecords(db, evictIds);
+    }
+  }
+
+  /**
+   * Merges changes into a stored history entry
+   *
+   * @param {string} requestId - The unique ID of the history entry
+   * @param {Object} changes - Fields to set on the entry
+   * @returns {Promise<Object|null>} The updated entry, or null if not found
+   */
+  async update(requestId, changes) {
+    const db = await this.open();
+    const transaction = db.transaction(ENTRIES_STORE, "readwrite");
+    const store = transaction.objectStore(ENTRIES_STORE);
+    const entry = await idbRequest(store.get(requestId));
+    if (!entry) return null;
+
+    const updated = { ...entry, ...changes };
+    store.put(updated);
+    await idbTransactionDone(transaction);
+    return updated;
+  }
+
+  /**
+   * Deletes history entries and their audio
+   *
+   * @param {Array<string>} requestIds - IDs of the entries to delete
+   * @returns {Promise<void>}
+   */
+  async delete(requestIds) {
+    await deleteRecords(await this.open(), requestIds);
+    this.emitChange();
+  }
+
+  /**
+   * Deletes every history entry
+   *
+   * @returns {Promise<boolean>} True if successful, false if error occurred
+   */
+  async clear() {
+    try {
+      const db = await this.open();
+      const transaction = db.transaction([ENTRIES_STORE, AUDIO_STORE], "readwrite");
+      transaction.objectStore(ENTRIES_STORE).clear();
+      transaction.objectStore(AUDIO_STORE).clear();
+      await idbTransactionDone(transaction);
+      this.emitChange();
+      return true;
+    } catch (error) {
+      console.error("Error clearing history:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Reads the generations queued while offline, oldest first
+   *
+   * @returns {Promise<Array<Object>>} Queue items, each with an `id` and ISO `timestamp`
+   */
+  async getQueue() {
+    try {
+      const db = await this.open();
+      const store = db.transaction(QUEUE_STORE).objectStore(QUEUE_STORE);
+      const items = await idbRequest(store.getAll());
+      return items.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    } catch (error) {
+      console.error("Error reading generation queue:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Saves a queue item
+   *
+   * @param {Object} item - Queue item (see getQueue)
+   */
+  async putQueueItem(item) {
+    const db = await this.open();
+    const transaction = db.transaction(QUEUE_STORE, "readwrite");
+    transaction.objectStore(QUEUE_STORE).put(item);
+    await idbTransactionDone(transaction);
+  }
+
+  /**
+   * Removes a queue item
+   *
+   * @param {string} id - Queue item id
+   */
+  async deleteQueueItem(id) {
+    const db = await this.open();
+    const transaction = db.transaction(QUEUE_STORE, "readwrite");
+    transaction.objectStore(QUEUE_STORE).delete(id);
+    await idbTransactionDone(transaction);
+  }
+}
+
+/**
+ * Wraps an IDBRequest in a Promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<*>} The request result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Waits for an IDBTransaction to commit
+ * @param {IDBTransaction} transaction - The transaction to wait for
+ * @returns {Promise<void>}
+ */
+function idbTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+  });
+}
+
+/**
+ * Deletes entries and their audio in one transaction
+ *
+ * @param {IDBDatabase} db - The open history database
+ * @param {Array<string>} requestIds - IDs of the entries to delete
+ * @returns {Promise<void>}
+ */
+async function deleteRecords(db, requestIds) {
+  const transaction = db.transaction([ENTRIES_STORE, AUDIO_STORE], "readwrite");
+  const entriesStore = transaction.objectStore(ENTRIES_STORE);
+  const audioStore = transaction.objectStore(AUDIO_STORE);
+  requestIds.forEach((id) => {
+    entriesStore.delete(id);
+    audioStore.delete(id);
+  });
+  await idbTransactionDone(transaction);
+}
+
+/**
+ * Converts a base64 string back to a Blob
+ * Used when migrating legacy localStorage entries
+ * @param {string} base64 - Base64 string representation of the audio
+ * @param {string} mimeType - MIME type for the resulting blob
+ * @returns {Blob}
+ */
+function base64ToBlob(base64, mimeType = "audio/wav") {
+  const byteCharacters = atob(base64);
+  const byteArray = new Uint8Array(byteCharacters.length);
+  for (let i = 0; i < byteCharacters.length; i++) {
+    byteArray[i] = byteCharacters.charCodeAt(i);
+  }
+  return new Blob([byteArray], { type: mimeType });
+}
+
+/**
+ * Moves history entries saved by older versions of this app (base64 audio
+ * in localStorage) into IndexedDB, then removes the localStorage key.
+ * Entries that fail to decode are skipped.
+ * @param {IDBDatabase} db - The open history database
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyHistory(db) {
+  if (!globalThis.localStorage) return;
+
+  let legacy;
+  try {
+    const raw = localStorage.getItem(HISTORY_KEY);
+    if (!raw) return;
+    legacy = JSON.parse(raw);
+  } catch (error) {
+    console.warn("Ignoring unreadable legacy history:", error);
+    localStorage.removeItem(HISTORY_KEY);
+    return;
+  }
+
+  if (!Array.isArray(legacy) || legacy.length === 0) {
+    localStorage.removeItem(HISTORY_KEY);
+    return;
+  }
+
+  const transaction = db.transaction([ENTRIES_STORE, AUDIO_STORE], "readwrite");
+  const entriesStore = transaction.objectStore(ENTRIES_STORE);
+  const audioStore = transaction.objectStore(AUDIO_STORE);
+
+  legacy.forEach((entry) => {
+    const audioBase64 = entry.audioBase64 || entry.response?.audioBase64;
+    if (!entry.id || !audioBase64) return;
+
+    let blob;
+    try {
+      blob = base64ToBlob(audioBase64);
+    } catch (error) {
+      console.warn(`Skipping legacy history entry ${entry.id}:`, error);
+      return;
+    }
+
+    entriesStore.put({
+      id: entry.id,
+      timestamp: entry.timestamp || new Date().toISOString(),
+      text: entry.text || "",
+      model: entry.model,
+      mimeType: blob.type,
+      size: blob.size,
+    });
+    audioStore.put({ id: entry.id, blob });
+  });
+
+  await idbTransactionDone(transaction);
+  localStorage.removeItem(HISTORY_KEY);
+}
+
+// ============================================================================
+// REQUEST HELPERS
+// ============================================================================
+
+/**
+ * Adds the configurable output options to a request URL as query parameters
+ *
+ * @param {URL} url - The request URL
+ * @param {Object|null} output - Output format: { encoding, container, sampleRate, bitRate }
+ */
+function setOutputParams(url, output) {
+  if (!output) return;
+  const format = OUTPUT_FORMATS[output.encoding];
+
+  url.searchParams.set("encoding", output.encoding);
+  if (output.container && format.containers.length > 1) {
+    url.searchParams.set("container", output.container);
+  }
+  if (output.sampleRate && format.sampleRates.length > 1) {
+    url.searchParams.set("sample_rate", String(output.sampleRate));
+  }
+  if (output.bitRate && format.bitRates.length > 1) {
+    url.searchParams.set("bit_rate", String(output.bitRate));
+  }
+}
+
+/**
+ * Reads the metadata headers the backend forwards from Deepgram
+ *
+ * @param {Headers} headers - Response headers
+ * @returns {Object} Fields from RESPONSE_METADATA_HEADERS that were present
+ */
+function readResponseMetadata(headers) {
+  const metadata = {};
+  Object.entries(RESPONSE_METADATA_HEADERS).forEach(([key, name]) => {
+    const value = headers.get(name);
+    if (value) {
+      metadata[key] = key === "characters" ? Number(value) : value;
+    }
+  });
+  return metadata;
+}
+
+/**
+ * Runs a request, retrying transient failures with exponential backoff
+ *
+ * Each attempt gets its own AbortSignal that fires when the caller's signal
+ * aborts or when timeoutMs elapses. Cancellation is never retried;
+ * timeouts, network errors, 5xx and 429 are, up to maxRetries times.
+ *
+ * @param {function(AbortSignal): Promise<*>} send - Performs one attempt
+ * @param {Object} [options] - { signal, onRetry({ attempt, maxAttempts, secondsLeft, error }),
+ *   timeoutMs, maxRetries, baseDelayMs, maxDelayMs }; the last four default
+ *   to DEFAULT_CLIENT_OPTIONS
+ * @returns {Promise<*>} The result of the first successful attempt
+ */
+async function requestWithRetry(
+  send,
+  {
+    signal = null,
+    onRetry = null,
+    timeoutMs = DEFAULT_CLIENT_OPTIONS.requestTimeoutMs,
+    maxRetries = DEFAULT_CLIENT_OPTIONS.maxRetries,
+    baseDelayMs = DEFAULT_CLIENT_OPTIONS.retryBaseDelayMs,
+    maxDelayMs = DEFAULT_CLIENT_OPTIONS.retryMaxDelayMs,
+  } = {}
+) {
+  const maxAttempts = maxRetries + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    if (signal && signal.aborted) throw createAbortError();
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const forwardAbort = () => controller.abort();
+    if (signal) signal.addEventListener("abort", forwardAbort);
+
+    let failure;
+    try {
+      return await send(controller.signal);
+    } catch (error) {
+      failure = error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", forwardAbort);
+    }
+
+    if (signal && signal.aborted) throw createAbortError();
+    if (timedOut) {
+      const timeoutError = new Error(`Request timed out after ${Math.round(timeoutMs / 1000)} s`);
+      timeoutError.retryable = failure.retryable !== false;
+      failure = timeoutError;
+    }
+
+    if (attempt >= maxAttempts || !isRetryableError(failure)) throw failure;
+
+    const delayMs = getRetryDelay(failure, attempt, baseDelayMs, maxDelayMs);
+    console.warn(`Attempt ${attempt} of ${maxAttempts} failed, retrying in ${delayMs} ms:`, failure);
+    await waitForRetry(delayMs, signal, (secondsLeft) => {
+      if (onRetry) onRetry({ attempt: attempt + 1, maxAttempts, secondsLeft, error: failure });
+    });
+  }
+}
+
+/**
+ * Whether a failed attempt is worth retrying
+ * Network errors surface from fetch() as TypeError; HTTP errors carry a status.
+ *
+ * @param {Error} error - The failure
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (error.retryable !== undefined) return error.retryable;
+  if (error.status) return error.status === 429 || error.status >= 500;
+  return error.name === "TypeError";
+}
+
+/**
+ * Delay before the next attempt: Retry-After when given, otherwise
+ * exponential backoff with jitter (between half and all of the step).
+ * Either way the wait never exceeds maxDelayMs.
+ *
+ * @param {Error} error - The failure, possibly with retryAfterMs
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {number} baseDelayMs - Step before the first retry
+ * @param {number} maxDelayMs - Longest wait
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, baseDelayMs, maxDelayMs) {
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    return Math.min(error.retryAfterMs, maxDelayMs);
+  }
+  const step = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date)
+ *
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Waits before a retry, reporting the seconds left once per second
+ *
+ * @param {number} delayMs - How long to wait
+ * @param {AbortSignal|null} signal - Rejects with an AbortError when aborted
+ * @param {function(number)} onTick - Called with the whole seconds remaining
+ * @returns {Promise<void>}
+ */
+function waitForRetry(delayMs, signal, onTick) {
+  return new Promise((resolve, reject) => {
+    const endsAt = Date.now() + delayMs;
+
+    const tick = () => onTick(Math.max(1, Math.ceil((endsAt - Date.now()) / 1000)));
+    const interval = setInterval(tick, 1000);
+    const timer = setTimeout(() => {
+      cleanup();
+      resolve();
+    }, delayMs);
+    tick();
+
+    function onAbort() {
+      cleanup();
+      reject(createAbortError());
+    }
+    function cleanup() {
+      clearTimeout(timer);
+      clearInterval(interval);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    }
+
+    if (signal) signal.addEventListener("abort", onAbort);
+  });
+}
+
+/**
+ * Creates the error thrown when a request is cancelled
+ *
+ * @returns {DOMException}
+ */
+function createAbortError() {
+  return new DOMException("Request cancelled", "AbortError");
+}
+
+/**
+ * Whether an error comes from cancelling a request
+ *
+ * @param {Error} error - The failure
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return Boolean(error) && error.name === "AbortError";
+}
+
+// ============================================================================
+// TEXT CHUNKING
+// ============================================================================
+
+/**
+ * Splits text into chunks no longer than maxChars
+ *
+ * Paragraphs (blank-line separated) and sentences are kept whole where
+ * possible and packed greedily into chunks. A single sentence longer than
+ * maxChars is split at the last whitespace that fits, or hard-split if it
+ * has none.
+ *
+ * @param {string} text - The text to split
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {Array<string>} Non-empty chunks, in order
+ */
+export function splitTextIntoChunks(text, maxChars) {
+  const chunks = [];
+  let current = "";
+
+  const pushCurrent = () => {
+    if (current.trim()) chunks.push(current.trim());
+    current = "";
+  };
+
+  const paragraphs = text.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+
+  paragraphs.forEach((paragraph, paragraphIndex) => {
+    const separator = paragraphIndex > 0 && current ? "\n\n" : "";
+
+    // Whole paragraph fits in the current chunk
+    if (current.length + separator.length + paragraph.length <= maxChars) {
+      current += separator + paragraph;
+      return;
+    }
+
+    // Start the paragraph in a fresh chunk, then pack its sentences
+    pushCurrent();
+    splitSentences(paragraph).forEach((sentence) => {
+      const joiner = current ? " " : "";
+      if (current.length + joiner.length + sentence.length <= maxChars) {
+        current += joiner + sentence;
+        return;
+      }
+
+      pushCurrent();
+      let rest = sentence;
+      while (rest.length > maxChars) {
+        const breakAt = rest.lastIndexOf(" ", maxChars);
+        const cut = breakAt > 0 ? breakAt : maxChars;
+        chunks.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+      }
+      current = rest;
+    });
+  });
+
+  pushCurrent();
+  return chunks;
+}
+
+/**
+ * Splits a paragraph into sentences, keeping terminal punctuation and
+ * closing quotes/brackets attached to the sentence they end
+ *
+ * @param {string} paragraph - A single paragraph of text
+ * @returns {Array<string>} Trimmed sentences
+ */
+function splitSentences(paragraph) {
+  const matches = paragraph.match(/[^.!?\u2026]+(?:[.!?\u2026]+["'\u201d\u2019)\]]*|$)/g) || [];
+  return matches.map((sentence) => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Runs an async worker over items with at most `limit` running at once
+ * The worker is responsible for handling its own errors
+ * (a throwing worker rejects the returned promise early)
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Collects the audio of a finished chunk plan in order, generating silence
+ * for pause chunks in the same WAV format as the speech so joining stays lossless
+ *
+ * @param {Array<Object>} chunks - Completed chunks (see synthesize)
+ * @returns {Promise<Array<Blob>>}
+ */
+async function getChunkAudio(chunks) {
+  if (!chunks.some((chunk) => chunk.pauseMs)) {
+    return chunks.map((chunk) => chunk.blob);
+  }
+
+  const speech = chunks.find((chunk) => chunk.blob);
+  const format = (speech && readWavInfo(await speech.blob.arrayBuffer())) || {
+    audioFormat: 1,
+    channels: 1,
+    sampleRate: 24000,
+    bitsPerSample: 16,
+  };
+
+  return chunks.map((chunk) => (chunk.pauseMs ? createSilenceBlob(chunk.pauseMs, format) : chunk.blob));
+}
+
+/**
+ * Measures where each spoken chunk sits in the joined audio
+ * Pause chunks aren't listed, but their silence is counted.
+ *
+ * @param {Array<Object>} chunks - Completed chunks (see synthesize)
+ * @param {Array<Blob>} blobs - Audio for each chunk, from getChunkAudio()
+ * @returns {Promise<Array<{text: string, start: number, end: number}>>} Times in seconds
+ */
+async function measureChunkTimings(chunks, blobs) {
+  const timings = [];
+  let elapsed = 0;
+
+  for (let i = 0; i < chunks.length; i++) {
+    const info = readWavInfo(await blobs[i].arrayBuffer());
+    const duration = info
+      ? info.dataLength / (info.sampleRate * info.channels * (info.bitsPerSample / 8))
+      : (await decodeAudioBlob(blobs[i])).duration;
+
+    if (!chunks[i].pauseMs) {
+      timings.push({ text: chunks[i].text, start: elapsed, end: elapsed + duration });
+    }
+    elapsed += duration;
+  }
+
+  return timings;
+}
+
+// ============================================================================
+// AUDIO UTILITIES
+// ============================================================================
+
+/**
+ * Shared AudioContext used for decoding, created on first use
+ */
+let sharedAudioContext = null;
+
+/**
+ * Returns the shared AudioContext, creating it on first use
+ * @returns {AudioContext}
+ */
+export function getAudioContext() {
+  if (!sharedAudioContext) {
+    const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+    if (!AudioContextClass) {
+      throw new Error("Web Audio is not supported in this browser");
+    }
+    sharedAudioContext = new AudioContextClass();
+  }
+  return sharedAudioContext;
+}
+
+/**
+ * Reads the format and data location of a RIFF/WAVE file
+ *
+ * Streaming WAV responses often carry a placeholder data length
+ * (0 or 0xFFFFFFFF); in that case the rest of the file is treated as data.
+ *
+ * @param {ArrayBuffer} buffer - The file contents
+ * @returns {Object|null} { audioFormat, channels, sampleRate, bitsPerSample,
+ *   blockAlign, dataOffset, dataLength }, or null if not a WAV file
+ */
+export function readWavInfo(buffer) {
+  if (buffer.byteLength < 12) return null;
+  const view = new DataView(buffer);
+  const tag = (offset) =>
+    String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+
+  if (tag(0) !== "RIFF" || tag(8) !== "WAVE") return null;
+
+  let info = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.byteLength) {
+    const id = tag(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === "fmt ") {
+      // Header not fully received yet
+      if (body + 16 > buffer.byteLength) return null;
+      info = {
+        audioFormat: view.getUint16(body, true),
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (id === "data") {
+      if (!info) return null;
+      const available = buffer.byteLength - body;
+      const dataLength = size === 0 || size > available ? available : size;
+      return { ...info, dataOffset: body, dataLength };
+    }
+
+    // Chunks are word-aligned
+    offset = body + size + (size % 2);
+  }
+
+  return null;
+}
+
+/**
+ * Builds a WAV Blob from raw sample data
+ *
+ * @param {Object} format - { audioFormat, channels, sampleRate, bitsPerSample }
+ * @param {Array<BufferSource|Blob>} dataParts - Sample data, in order
+ * @returns {Blob} audio/wav Blob
+ */
+function createWavBlob(format, dataParts) {
+  const { audioFormat = 1, channels, sampleRate, bitsPerSample } = format;
+  const blockAlign = channels * (bitsPerSample / 8);
+  const dataLength = dataParts.reduce((sum, part) => sum + (part.byteLength ?? part.size), 0);
+
+  const header = new ArrayBuffer(44);
+  const view = new DataView(header);
+  const writeTag = (offset, value) => {
+    for (let i = 0; i < 4; i++) view.setUint8(offset + i, value.charCodeAt(i));
+  };
+
+  writeTag(0, "RIFF");
+  view.setUint32(4, 36 + dataLength, true);
+  writeTag(8, "WAVE");
+  writeTag(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, audioFormat, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitsPerSample, true);
+  writeTag(36, "data");
+  view.setUint32(40, dataLength, true);
+
+  return new Blob([header, ...dataParts], { type: "audio/wav" });
+}
+
+/**
+ * Encodes decoded audio as 16-bit PCM WAV
+ *
+ * @param {Array<Float32Array>} channelData - One Float32Array per channel
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Blob} audio/wav Blob
+ */
+export function encodeWav(channelData, sampleRate) {
+  const channels = channelData.length;
+  const frames = channelData[0] ? channelData[0].length : 0;
+  const pcm = new DataView(new ArrayBuffer(frames * channels * 2));
+
+  let offset = 0;
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channelData[channel][frame]));
+      pcm.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  }
+
+  return createWavBlob({ channels, sampleRate, bitsPerSample: 16 }, [pcm.buffer]);
+}
+
+/**
+ * Checks whether decodePcmSamples() can handle a WAV format
+ *
+ * @param {Object} format - Format from readWavInfo() or getRawPcmFormat()
+ * @returns {boolean}
+ */
+export function isDecodablePcm(format) {
+  return (
+    (format.audioFormat === 1 && format.bitsPerSample === 16) ||
+    ((format.audioFormat === 6 || format.audioFormat === 7) && format.bitsPerSample === 8)
+  );
+}
+
+/**
+ * Decodes linear16, A-law or mu-law bytes into 16-bit samples
+ * Channels stay interleaved, as in the input.
+ *
+ * @param {Uint8Array} bytes - Sample data (whole samples only)
+ * @param {Object} format - Format from readWavInfo() or getRawPcmFormat()
+ * @returns {Int16Array} Interleaved samples
+ */
+export function decodePcmSamples(bytes, format) {
+  if (format.audioFormat === 1) {
+    const samples = new Int16Array(bytes.length / 2);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = view.getInt16(i * 2, true);
+    }
+    return samples;
+  }
+
+  const expand = format.audioFormat === 7 ? mulawToLinear : alawToLinear;
+  const samples = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    samples[i] = expand(bytes[i]);
+  }
+  return samples;
+}
+
+/**
+ * Expands one G.711 mu-law byte to a 16-bit sample
+ * @param {number} byte - Encoded sample
+ * @returns {number} Linear sample
+ */
+function mulawToLinear(byte) {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = ((((value & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+  return value & 0x80 ? -magnitude : magnitude;
+}
+
+/**
+ * Expands one G.711 A-law byte to a 16-bit sample
+ * @param {number} byte - Encoded sample
+ * @returns {number} Linear sample
+ */
+function alawToLinear(byte) {
+  const value = byte ^ 0x55;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude =
+    exponent === 0 ? (mantissa << 4) + 8 : ((mantissa << 4) + 0x108) << (exponent - 1);
+  return value & 0x80 ? magnitude : -magnitude;
+}
+
+/**
+ * Decodes an audio Blob with Web Audio
+ *
+ * @param {Blob} blob - Encoded audio
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeAudioBlob(blob) {
+  const buffer = await blob.arrayBuffer();
+  return getAudioContext().decodeAudioData(buffer);
+}
+
+/**
+ * Creates a WAV file of silence
+ *
+ * @param {number} durationMs - Length of the silence
+ * @param {Object} format - { audioFormat, channels, sampleRate, bitsPerSample } (see readWavInfo)
+ * @returns {Blob} audio/wav Blob
+ */
+function createSilenceBlob(durationMs, format) {
+  const frames = Math.round((durationMs / 1000) * format.sampleRate);
+  const bytes = new Uint8Array(frames * format.channels * (format.bitsPerSample / 8));
+  // Zero is only silent in signed PCM: unsigned 8-bit PCM is centred on 128,
+  // and mu-law and A-law encode zero as 0xFF and 0xD5
+  if (format.audioFormat === 1 && format.bitsPerSample === 8) {
+    bytes.fill(128);
+  } else if (format.audioFormat === 7) {
+    bytes.fill(0xff);
+  } else if (format.audioFormat === 6) {
+    bytes.fill(0xd5);
+  }
+  return createWavBlob(format, [bytes]);
+}
+
+/**
+ * Joins several audio Blobs into one playable file
+ *
+ * - WAV files with matching formats are joined losslessly by concatenating
+ *   their sample data under a new header
+ * - MP3 files are joined by concatenating frames
+ * - Anything else is decoded with Web Audio and re-encoded as WAV
+ *
+ * @param {Array<Blob>} blobs - Audio to join, in order
+ * @returns {Promise<Blob>} The joined audio
+ */
+async function concatAudioBlobs(blobs) {
+  if (blobs.length === 1) return blobs[0];
+
+  const buffers = await Promise.all(blobs.map((blob) => blob.arrayBuffer()));
+  const wavInfos = buffers.map(readWavInfo);
+  const first = wavInfos[0];
+  const sameWavFormat =
+    first &&
+    wavInfos.every(
+      (info) =>
+        info &&
+        info.audioFormat === first.audioFormat &&
+        info.channels === first.channels &&
+        info.sampleRate === first.sampleRate &&
+        info.bitsPerSample === first.bitsPerSample
+    );
+
+  if (sameWavFormat) {
+    const parts = buffers.map((buffer, i) =>
+      new Uint8Array(buffer, wavInfos[i].dataOffset, wavInfos[i].dataLength)
+    );
+    return createWavBlob(first, parts);
+  }
+
+  if (blobs.every((blob) => blob.type === "audio/mpeg")) {
+    return new Blob(blobs, { type: "audio/mpeg" });
+  }
+
+  const context = getAudioContext();
+  const decoded = await Promise.all(buffers.map((buffer) => context.decodeAudioData(buffer)));
+  const channels = Math.max(...decoded.map((audio) => audio.numberOfChannels));
+  const frames = decoded.reduce((sum, audio) => sum + audio.length, 0);
+  const channelData = Array.from({ length: channels }, () => new Float32Array(frames));
+
+  let offset = 0;
+  decoded.forEach((audio) => {
+    for (let channel = 0; channel < channels; channel++) {
+      // Mono segments are copied into every output channel
+      const source = audio.getChannelData(Math.min(channel, audio.numberOfChannels - 1));
+      channelData[channel].set(source, offset);
+    }
+    offset += audio.length;
+  });
+
+  return encodeWav(channelData, context.sampleRate);
+}
+
+/**
+ * Describes headerless PCM output in the same shape as readWavInfo()
+ *
+ * @param {Object|null} output - Output format: { encoding, container, sampleRate, bitRate }
+ * @returns {Object|null} { audioFormat, channels, sampleRate, bitsPerSample },
+ *   or null if the output is not raw linear16, mu-law or A-law
+ */
+export function getRawPcmFormat(output) {
+  if (!output || output.container !== "none") return null;
+
+  const audioFormats = { linear16: 1, alaw: 6, mulaw: 7 };
+  const audioFormat = audioFormats[output.encoding];
+  if (!audioFormat) return null;
+
+  return {
+    audioFormat,
+    channels: 1,
+    sampleRate: output.sampleRate,
+    bitsPerSample: output.encoding === "linear16" ? 16 : 8,
+  };
+}
+
+/**
+ * Wraps headerless PCM in a WAV header so <audio> can play it
+ * Mu-law and A-law are expanded to 16-bit PCM, since not every browser
+ * plays G.711 WAV files. Anything else is returned unchanged.
+ *
+ * @param {Blob} blob - Audio returned by the backend
+ * @param {Object|null} output - Output format: { encoding, container, sampleRate, bitRate }
+ * @returns {Blob} Playable audio
+ */
+async function wrapRawAudio(blob, output) {
+  const rawFormat = getRawPcmFormat(output);
+  if (!rawFormat) return blob;
+
+  const buffer = await blob.arrayBuffer();
+
+  // Some backends add a header anyway
+  if (readWavInfo(buffer)) {
+    return new Blob([buffer], { type: "audio/wav" });
+  }
+
+  if (rawFormat.audioFormat === 1) {
+    return createWavBlob(rawFormat, [buffer]);
+  }
+
+  const samples = decodePcmSamples(new Uint8Array(buffer), rawFormat);
+  return createWavBlob({ ...rawFormat, audioFormat: 1, bitsPerSample: 16 }, [samples.buffer]);
+}
+
+/**
+ * Measures decoded properties of generated audio
+ * WAV headers are read directly; other formats are decoded, which
+ * resamples to the AudioContext's rate, so the requested sample rate is
+ * reported for them instead.
+ *
+ * @param {Blob} blob - Generated audio
+ * @param {Object|null} output - Output format options used for the request
+ * @returns {Promise<{duration?: number, sampleRate?: number, channels?: number}>}
+ */
+async function measureAudio(blob, output) {
+  try {
+    const info = readWavInfo(await blob.arrayBuffer());
+    if (info && info.blockAlign > 0) {
+      return {
+        duration: info.dataLength / info.blockAlign / info.sampleRate,
+        sampleRate: info.sampleRate,
+        channels: info.channels,
+      };
+    }
+    const decoded = await decodeAudioBlob(blob);
+    const measured = { duration: decoded.duration, channels: decoded.numberOfChannels };
+    if (output && output.sampleRate) {
+      measured.sampleRate = output.sampleRate;
+    }
+    return measured;
+  } catch (error) {
+    console.warn("Unable to measure audio:", error);
+    return {};
+  }
+}
+
+/**
+ * Combines the responses of a generation with client-side measurements
+ *
+ * @param {Array<Object>} responses - From requestSpeech()'s onResponse, one per request
+ * @param {number} startedAt - performance.now() when the generation started
+ * @param {Blob} audioBlob - The final audio
+ * @param {Object|null} output - Output format options used
+ * @returns {Promise<Object>} Metadata to save on the history entry
+ */
+async function collectGenerationMetadata(responses, startedAt, audioBlob, output) {
+  const unique = (key) => [...new Set(responses.map((response) => response[key]).filter(Boolean))];
+  const metadata = {};
+
+  const requestIds = unique("requestId");
+  if (requestIds.length > 0) metadata.requestIds = requestIds;
+  const modelNames = unique("modelName");
+  if (modelNames.length > 0) metadata.modelNames = modelNames;
+  const modelUuids = unique("modelUuid");
+  if (modelUuids.length > 0) metadata.modelUuids = modelUuids;
+  if (responses.length > 0 && responses.every((response) => Number.isFinite(response.characters))) {
+    metadata.characters = responses.reduce((sum, response) => sum + response.characters, 0);
+  }
+  const contentTypes = unique("contentType");
+  if (contentTypes.length > 0) metadata.contentType = contentTypes.join(", ");
+
+  if (responses.length > 0) {
+    metadata.timeToFirstByte = Math.round(Math.min(...responses.map((response) => response.firstByteAt)) - startedAt);
+    metadata.latency = Math.round(Math.max(...responses.map((response) => response.completedAt)) - startedAt);
+  }
+  metadata.bytes = audioBlob.size;
+
+  return { ...metadata, ...(await measureAudio(audioBlob, output)) };
+}
@@ -0,0 +1,589 @@
+/**
+ * <tts-player> Web Component
+ *
+ * A compact "listen to this" player for docs and marketing pages, built on
+ * TextToSpeechClient and the same api/ endpoints as the starter. Nothing is
+ * requested until the play button is pressed; the audio is then cached, so
+ * pressing it again (or another player with the same text and options)
+ * plays without a new request.
+ *
+ * Usage:
+ *
+ *   <script type="module" src="https://tts.example.com/assets/tts-player.js"></script>
+ *
+ *   <tts-player model="aura-2-thalia-en">Welcome to the docs.</tts-player>
+ *   <tts-player target="#article" encoding="mp3" api-base="https://tts.example.com/"></tts-player>
+ *
+ * Attributes:
+ * - text        Text to speak; without it the text of `target` is spoken,
+ *               and without that the element's own content
+ * - target      CSS selector of the element whose text is spoken
+ * - model       Voice model (defaults to the client's default)
+ * - encoding, container, sample-rate, bit-rate   Output format (see OUTPUT_FORMATS)
+ * - api-base    URL the api/ endpoints are resolved against (defaults to the page)
+ * - label       Accessible name of the play button (defaults to "Listen")
+ * - autoplay    Generate and play as soon as the element is added
+ * - state       Set by the element: idle, loading, ready, playing or error
+ *
+ * Events (CustomEvent, payload in `detail`):
+ * - generate    { text, model, output }       audio is being requested
+ * - ready       { blob, metadata, cached }    audio can be played
+ * - play, pause, ended                        playback started, paused or finished
+ * - error       { error }                     generation or playback failed
+ *
+ * The element's own content is only read, not shown; the player replaces it.
+ *
+ * Methods: generate(), play(), pause(), reset()
+ *
+ * Styling:
+ * - Colors come from the @deepgram/styles tokens (--dg-*) when the host page
+ *   loads them, with the same fallbacks as the starter
+ * - The host element can be sized and positioned like any inline element,
+ *   and `tts-player[state="playing"]` etc. can be targeted from page CSS
+ */
+
+import { OUTPUT_FORMATS, TextToSpeechClient, isAbortError } from "./tts-client.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Number of generated clips kept in memory for the page
+ * The oldest clip is dropped first once exceeded.
+ */
+const PLAYER_CACHE_SIZE = 20;
+
+/**
+ * Attributes that change what is spoken; changing one discards the audio
+ */
+const SOURCE_ATTRIBUTES = ["text", "target", "model", "encoding", "container", "sample-rate", "bit-rate", "api-base"];
+
+/**
+ * Shadow DOM markup and styles of every player
+ */
+const PLAYER_TEMPLATE = `
+  <style>
+    :host {
+      display: inline-flex;
+      align-items: center;
+      gap: 0.5rem;
+      max-width: 100%;
+      padding: 0.25rem 0.75rem 0.25rem 0.25rem;
+      border: 1px solid var(--dg-border, #2c2c33);
+      border-radius: 999px;
+      background: var(--dg-charcoal, #1a1a1f);
+      color: var(--dg-text, #fbfbff);
+      font-size: 0.8125rem;
+      line-height: 1;
+      vertical-align: middle;
+    }
+
+    :host([hidden]) {
+      display: none;
+    }
+
+    button {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      flex: none;
+      width: 2rem;
+      height: 2rem;
+      padding: 0;
+      border: none;
+      border-radius: 50%;
+      background: var(--dg-primary, #13ef95);
+      color: var(--dg-almost-black, #050506);
+      cursor: pointer;
+    }
+
+    button:focus-visible {
+      outline: 2px solid var(--dg-primary, #13ef95);
+      outline-offset: 2px;
+    }
+
+    button:disabled {
+      cursor: progress;
+    }
+
+    svg {
+      width: 0.875rem;
+      height: 0.875rem;
+      fill: currentColor;
+    }
+
+    .track {
+      position: relative;
+      flex: 1 1 6rem;
+      min-width: 4rem;
+      height: 0.25rem;
+      border-radius: 999px;
+      background: var(--dg-pebble, #4e4e52);
+      cursor: pointer;
+    }
+
+    .track-fill {
+      position: absolute;
+      inset: 0 auto 0 0;
+      width: 0;
+      border-radius: inherit;
+      background: var(--dg-primary, #13ef95);
+    }
+
+    .time {
+      flex: none;
+      color: var(--dg-muted, #949498);
+      font-variant-numeric: tabular-nums;
+    }
+
+    :host([state="error"]) {
+      border-color: var(--dg-danger, #f04438);
+    }
+
+    :host([state="error"]) .time {
+      color: var(--dg-danger, #f04438);
+    }
+
+    :host([state="loading"]) button svg {
+      animation: tts-player-spin 1s linear infinite;
+    }
+
+    @keyframes tts-player-spin {
+      to {
+        transform: rotate(360deg);
+      }
+    }
+  </style>
+  <button type="button" part="button"></button>
+  <div class="track" part="track" role="slider" aria-label="Seek" aria-valuemin="0" aria-valuemax="0" aria-valuenow="0" tabindex="-1">
+    <div class="track-fill"></div>
+  </div>
+  <span class="time" part="time" aria-live="polite">0:00</span>
+  <audio preload="auto"></audio>
+`;
+
+/**
+ * Button icons, by player state
+ */
+const PLAYER_ICONS = {
+  play: '<svg viewBox="0 0 16 16" aria-hidden="true"><path d="M4 2.5v11l9-5.5z"/></svg>',
+  pause: '<svg viewBox="0 0 16 16" aria-hidden="true"><path d="M3.5 2.5h3v11h-3zm6 0h3v11h-3z"/></svg>',
+  loading:
+    '<svg viewBox="0 0 16 16" aria-hidden="true"><path d="M8 1.5a6.5 6.5 0 1 0 6.5 6.5h-2A4.5 4.5 0 1 1 8 3.5z"/></svg>',
+  retry:
+    '<svg viewBox="0 0 16 16" aria-hidden="true"><path d="M8 2.5a5.5 5.5 0 1 0 5.3 7h-2.1A3.5 3.5 0 1 1 8 4.5c1 0 1.8.4 2.5 1L8.5 7.5H14V2l-2 2A5.5 5.5 0 0 0 8 2.5z"/></svg>',
+};
+
+/**
+ * One TextToSpeechClient per api-base, so players on a page share a session token
+ */
+const clients = new Map();
+
+/**
+ * Generated clips by cache key (see TtsPlayerElement.getCacheKey), oldest first
+ */
+const audioCache = new Map();
+
+// ============================================================================
+// ELEMENT
+// ============================================================================
+
+/**
+ * The <tts-player> custom element (see the module comment for its API)
+ */
+export class TtsPlayerElement extends HTMLElement {
+  static get observedAttributes() {
+    return [...SOURCE_ATTRIBUTES, "label"];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" }).innerHTML = PLAYER_TEMPLATE;
+
+    this.button = this.shadowRoot.querySelector("button");
+    this.track = this.shadowRoot.querySelector(".track");
+    this.trackFill = this.shadowRoot.querySelector(".track-fill");
+    this.timeLabel = this.shadowRoot.querySelector(".time");
+    this.audio = this.shadowRoot.querySelector("audio");
+
+    // Audio currently loaded into the player, its object URL and cache key
+    this.blob = null;
+    this.metadata = null;
+    this.audioUrl = null;
+    this.cacheKey = null;
+
+    // Pending generation: its promise and the controller that cancels it
+    this.generation = null;
+    this.controller = null;
+
+    this.button.addEventListener("click", () => this.toggle());
+    this.track.addEventListener("click", (event) => this.seekTo(event));
+    this.audio.addEventListener("timeupdate", () => this.renderTime());
+    this.audio.addEventListener("loadedmetadata", () => this.renderTime());
+    this.audio.addEventListener("play", () => {
+      this.setState("playing");
+      this.emit("play", {});
+    });
+    this.audio.addEventListener("pause", () => {
+      // Also fired after reset() unloads the audio
+      if (this.audio.ended || !this.blob) return;
+      this.setState("ready");
+      this.emit("pause", {});
+    });
+    this.audio.addEventListener("ended", () => {
+      this.setState("ready");
+      this.renderTime();
+      this.emit("ended", {});
+    });
+  }
+
+  connectedCallback() {
+    if (!this.hasAttribute("state")) {
+      this.setState("idle");
+    }
+    if (this.hasAttribute("autoplay")) {
+      this.play();
+    }
+  }
+
+  disconnectedCallback() {
+    // Moving the element (e.g. re-sorting a list) disconnects and reconnects
+    // it in the same task; only stop playback if it was really removed
+    queueMicrotask(() => {
+      if (!this.isConnected) this.reset();
+    });
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    if (name === "label") {
+      this.renderButton();
+      return;
+    }
+    // The cached clip no longer matches; the next play generates again
+    if (this.cacheKey || this.generation) {
+      this.reset();
+    }
+  }
+
+  /**
+   * Text that will be spoken, resolved from text, target or the element's content
+   * @returns {string}
+   */
+  get text() {
+    if (this.hasAttribute("text")) {
+      return this.getAttribute("text").trim();
+    }
+
+    const selector = this.getAttribute("target");
+    const source = selector ? document.querySelector(selector) : this;
+    if (!source) return "";
+    return source.textContent.replace(/\s+/g, " ").trim();
+  }
+
+  set text(value) {
+    this.setAttribute("text", value);
+  }
+
+  /**
+   * Output format from the encoding, container, sample-rate and bit-rate
+   * attributes. Values the encoding doesn't support fall back to its default.
+   * @returns {Object|null} { encoding, container, sampleRate, bitRate }, or
+   *   null for the backend's default format
+   */
+  get output() {
+    const encoding = this.getAttribute("encoding");
+    if (!encoding) return null;
+
+    const format = OUTPUT_FORMATS[encoding];
+    if (!format) {
+      console.warn(`<tts-player>: unsupported encoding "${encoding}", using the default format`);
+      return null;
+    }
+
+    const pick = (attribute, allowed) => {
+      if (allowed.length === 0) return null;
+      const value = this.getAttribute(attribute);
+      return allowed.map(String).includes(value) ? value : String(allowed[0]);
+    };
+
+    const sampleRate = pick("sample-rate", format.sampleRates);
+    const bitRate = pick("bit-rate", format.bitRates);
+
+    return {
+      encoding,
+      container: pick("container", format.containers),
+      sampleRate: sampleRate ? Number(sampleRate) : null,
+      bitRate: bitRate ? Number(bitRate) : null,
+    };
+  }
+
+  /**
+   * Client for this player's api-base, shared with other players
+   * @returns {TextToSpeechClient}
+   */
+  get client() {
+    const baseUrl = new URL(this.getAttribute("api-base") || "./", document.baseURI).href;
+    if (!clients.has(baseUrl)) {
+      clients.set(baseUrl, new TextToSpeechClient({ baseUrl, history: false }));
+    }
+    return clients.get(baseUrl);
+  }
+
+  /**
+   * Key under which the current text and options are cached
+   * @returns {string}
+   */
+  getCacheKey() {
+    return JSON.stringify([this.client.baseUrl, this.getAttribute("model") || "", this.output, this.text]);
+  }
+
+  /**
+   * Generates the audio for the current text and options, or loads it from
+   * the cache. Concurrent calls share one request.
+   * @returns {Promise<Blob>} The generated audio
+   */
+  generate() {
+    const cacheKey = this.getCacheKey();
+    if (this.cacheKey === cacheKey && this.blob) {
+      return Promise.resolve(this.blob);
+    }
+    if (this.generation && this.generation.cacheKey === cacheKey) {
+      return this.generation.promise;
+    }
+
+    this.reset();
+    const generation = { cacheKey, promise: null };
+    this.generation = generation;
+    generation.promise = this.loadAudio(generation).finally(() => {
+      if (this.generation === generation) {
+        this.generation = null;
+        this.controller = null;
+      }
+    });
+    return generation.promise;
+  }
+
+  /**
+   * Requests or looks up the audio and loads it into the player
+   * @param {Object} generation - { cacheKey } of the pending generation
+   * @returns {Promise<Blob>}
+   */
+  async loadAudio(generation) {
+    const { cacheKey } = generation;
+    const text = this.text;
+    const model = this.getAttribute("model") || undefined;
+    const output = this.output;
+
+    try {
+      if (!text) {
+        throw new Error("Nothing to read");
+      }
+
+      let cached = audioCache.get(cacheKey);
+      const fromCache = Boolean(cached);
+      if (cached) {
+        // Move to the end so it's evicted last
+        audioCache.delete(cacheKey);
+        audioCache.set(cacheKey, cached);
+      } else {
+        this.setState("loading");
+        this.emit("generate", { text, model, output });
+
+        this.controller = new AbortController();
+        const { blob, metadata } = await this.client.synthesize(text, {
+          model,
+          output,
+          signal: this.controller.signal,
+        });
+        cached = { blob, metadata };
+        audioCache.set(cacheKey, cached);
+        if (audioCache.size > PLAYER_CACHE_SIZE) {
+          audioCache.delete(audioCache.keys().next().value);
+        }
+      }
+
+      // Attributes changed or reset() was called while this was running
+      if (this.generation !== generation) {
+        return cached.blob;
+      }
+
+      this.blob = cached.blob;
+      this.metadata = cached.metadata;
+      this.cacheKey = cacheKey;
+      this.audioUrl = URL.createObjectURL(cached.blob);
+      this.audio.src = this.audioUrl;
+      this.setState("ready");
+      this.emit("ready", { blob: cached.blob, metadata: cached.metadata, cached: fromCache });
+      return cached.blob;
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error("<tts-player> error:", error);
+        this.setState("error", error.message);
+        this.emit("error", { error });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generates the audio if needed and starts playback
+   * Errors are reported through the "error" event.
+   * @returns {Promise<void>}
+   */
+  async play() {
+    try {
+      const blob = await this.generate();
+      // Reset or removed while the audio was generated
+      if (blob !== this.blob) return;
+      await this.audio.play();
+    } catch (error) {
+      if (isAbortError(error) || this.getAttribute("state") === "error") return;
+      // Autoplay without a user gesture; the audio stays ready to play
+      if (error.name === "NotAllowedError") return;
+      // Playback itself failed, e.g. an unsupported format or a blocked autoplay
+      console.error("<tts-player> playback error:", error);
+      this.setState("error", error.message);
+      this.emit("error", { error });
+    }
+  }
+
+  /**
+   * Pauses playback
+   */
+  pause() {
+    this.audio.pause();
+  }
+
+  /**
+   * Plays or pauses depending on the current state
+   */
+  toggle() {
+    const state = this.getAttribute("state");
+    if (state === "playing") {
+      this.pause();
+    } else if (state !== "loading") {
+      this.play();
+    }
+  }
+
+  /**
+   * Stops playback, cancels a pending generation and unloads the audio
+   * Cached audio stays cached.
+   */
+  reset() {
+    if (this.controller) {
+      this.controller.abort();
+    }
+    this.generation = null;
+    this.controller = null;
+
+    const { audioUrl } = this;
+    this.blob = null;
+    this.metadata = null;
+    this.audioUrl = null;
+    this.cacheKey = null;
+
+    this.audio.pause();
+    this.audio.removeAttribute("src");
+    this.audio.load();
+    if (audioUrl) {
+      URL.revokeObjectURL(audioUrl);
+    }
+    this.setState("idle");
+  }
+
+  /**
+   * Seeks to the clicked position of the progress track
+   * @param {MouseEvent} event - Click on the track
+   */
+  seekTo(event) {
+    const { duration } = this.audio;
+    if (!this.blob || !Number.isFinite(duration)) return;
+
+    const rect = this.track.getBoundingClientRect();
+    const fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+    this.audio.currentTime = fraction * duration;
+    this.renderTime();
+  }
+
+  /**
+   * Reflects the state attribute and updates the controls
+   * @param {string} state - idle, loading, ready, playing or error
+   * @param {string} [message] - Error message shown as a tooltip
+   */
+  setState(state, message) {
+    this.setAttribute("state", state);
+    this.button.title = state === "error" ? message || "Unable to generate audio" : "";
+    this.renderButton();
+    this.renderTime();
+  }
+
+  /**
+   * Updates the button icon and accessible name for the current state
+   */
+  renderButton() {
+    const state = this.getAttribute("state");
+    const label = this.getAttribute("label") || "Listen";
+    const buttons = {
+      loading: ["loading", "Generating audio"],
+      playing: ["pause", "Pause"],
+      error: ["retry", `${label} (retry)`],
+    };
+    const [icon, name] = buttons[state] || ["play", label];
+
+    this.button.innerHTML = PLAYER_ICONS[icon];
+    this.button.setAttribute("aria-label", name);
+    this.button.disabled = state === "loading";
+  }
+
+  /**
+   * Updates the progress track and time label
+   */
+  renderTime() {
+    const state = this.getAttribute("state");
+    const { currentTime, duration } = this.audio;
+    const known = this.blob && Number.isFinite(duration) && duration > 0;
+
+    this.trackFill.style.width = known ? `${(currentTime / duration) * 100}%` : "0";
+    this.track.setAttribute("aria-valuemax", known ? duration.toFixed(1) : "0");
+    this.track.setAttribute("aria-valuenow", known ? currentTime.toFixed(1) : "0");
+
+    if (state === "error") {
+      this.timeLabel.textContent = "Error";
+    } else if (state === "loading") {
+      this.timeLabel.textContent = "…";
+    } else if (known) {
+      this.timeLabel.textContent =
+        state === "playing" || currentTime > 0
+          ? `${formatTime(currentTime)} / ${formatTime(duration)}`
+          : formatTime(duration);
+    } else {
+      this.timeLabel.textContent = "0:00";
+    }
+  }
+
+  /**
+   * Dispatches a CustomEvent from the element
+   * @param {string} type - Event name
+   * @param {Object} detail - Event payload
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true }));
+  }
+}
+
+/**
+ * Formats seconds as m:ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+if (!customElements.get("tts-player")) {
+  customElements.define("tts-player", TtsPlayerElement);
+}
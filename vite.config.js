@@ -1,34 +1,87 @@
-import { defineConfig } from 'vite';
+import { readFileSync, readdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { defineConfig, loadEnv } from 'vite';
+import { mockBackend } from './mock/backend.js';
 
-export default defineConfig({
-  root: '.',
-  base: './',
-  server: {
-    port: 8080,
-    strictPort: true,
-    open: false,
-    host: true,
-    proxy: {
-      '/api': {
-        target: process.env.VITE_BACKEND_URL || 'http://localhost:8081',
-        changeOrigin: true
-      }
+/**
+ * Emits sw.js with the list of files to precache
+ *
+ * The build output and everything in public/ are listed, and a hash of
+ * their contents becomes the cache version, so each deploy replaces the
+ * previous cache.
+ */
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256');
+      const files = Object.values(bundle).map((file) => {
+        hash.update(file.fileName);
+        hash.update(file.type === 'chunk' ? file.code : file.source);
+        return file.fileName;
+      });
+
+      const publicFiles = readdirSync('public');
+      publicFiles.forEach((name) => hash.update(readFileSync(`public/${name}`)));
+
+      const manifest = {
+        version: hash.digest('hex').slice(0, 12),
+        urls: ['./', ...files, ...publicFiles].filter((name) => !name.endsWith('.map'))
+      };
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: readFileSync('sw.js', 'utf8').replace('self.__PRECACHE_MANIFEST', JSON.stringify(manifest))
+      });
     }
-  },
-  preview: {
-    port: 4173,
-    open: false,
-    host: true
-  },
-  build: {
-    outDir: 'dist',
-    emptyOutDir: true,
-    rollupOptions: {
-      output: {
-        entryFileNames: 'assets/[name].js',
-        chunkFileNames: 'assets/[name].js',
-        assetFileNames: 'assets/[name].[ext]'
+  };
+}
+
+export default defineConfig(({ mode }) => {
+  // `vite --mode mock` or VITE_MOCK_BACKEND=true serves /api from mock/backend.js
+  // instead of proxying it to a starter backend
+  const env = loadEnv(mode, process.cwd(), '');
+  const useMock = mode === 'mock' || env.VITE_MOCK_BACKEND === 'true';
+
+  return {
+    root: '.',
+    base: './',
+    plugins: [serviceWorker(), useMock && mockBackend(env)],
+    server: {
+      port: 8080,
+      strictPort: true,
+      open: false,
+      host: true,
+      proxy: useMock ? undefined : {
+        '/api': {
+          target: env.VITE_BACKEND_URL || 'http://localhost:8081',
+          changeOrigin: true
+        }
+      }
+    },
+    preview: {
+      port: 4173,
+      open: false,
+      host: true
+    },
+    build: {
+      outDir: 'dist',
+      emptyOutDir: true,
+      rollupOptions: {
+        // tts-player.js is built on its own so other pages can load the <tts-player> element
+        input: {
+          index: 'index.html',
+          'tts-player': 'tts-player.js'
+        },
+        output: {
+          entryFileNames: 'assets/[name].js',
+          chunkFileNames: 'assets/[name].js',
+          assetFileNames: 'assets/[name].[ext]'
+        }
       }
     }
-  }
+  };
 });